@@ -1,5 +1,7 @@
 // Background Service Worker for Scroll Capture Extension
 
+importScripts('utils/settings.js', 'utils/image-processor.js', 'utils/filename.js', 'utils/zip-writer.js', 'utils/image-metadata.js');
+
 // ============================================
 // 2.1 可视区域截图功能
 // ============================================
@@ -7,8 +9,8 @@
 /**
  * 捕获当前可视区域截图
  * @param {number} tabId - 标签页ID
- * @param {string} format - 图片格式 ('png' | 'jpeg')
- * @param {number} quality - JPEG质量 (0-100)
+ * @param {string} format - 图片格式 ('png' | 'jpeg' | 'webp' | 'avif')
+ * @param {number} quality - 有损格式的质量 (0-100)
  * @returns {Promise<{success: boolean, dataUrl?: string, error?: string}>}
  */
 async function captureVisibleArea(tabId, format = 'png', quality = 92) {
@@ -20,15 +22,13 @@ async function captureVisibleArea(tabId, format = 'png', quality = 92) {
       return { success: false, error: 'RESTRICTED_PAGE' };
     }
 
-    const options = {
-      format: format === 'jpeg' ? 'jpeg' : 'png'
-    };
-    
-    if (format === 'jpeg') {
-      options.quality = quality;
-    }
+    format = await resolveOutputFormat(format);
+    let dataUrl = await captureTab(tab.windowId, getCaptureOptions(format, quality));
 
-    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, options);
+    // captureVisibleTab 只能输出 png / jpeg，其他格式需要重新编码
+    if (format !== 'png' && format !== 'jpeg') {
+      dataUrl = await encodeDataUrl(dataUrl, format, quality);
+    }
     
     return {
       success: true,
@@ -58,6 +58,24 @@ function isRestrictedPage(url) {
   return restrictedPrefixes.some(prefix => url.startsWith(prefix));
 }
 
+/**
+ * 确定输出格式和质量
+ * 未指定格式时（快捷键、页面内发起的截图）使用设置中的默认格式及其质量
+ * @param {string} format - 调用方指定的格式（可选）
+ * @param {number} quality - 调用方指定的质量（可选）
+ * @returns {Promise<{format: string, quality: number}>}
+ */
+async function getOutputOptions(format, quality) {
+  if (format) {
+    return { format, quality: quality || getFormatQuality(null, format) };
+  }
+  const settings = await getSettings();
+  return {
+    format: settings.defaultFormat,
+    quality: getFormatQuality(settings, settings.defaultFormat)
+  };
+}
+
 
 /**
  * 获取图片尺寸
@@ -88,9 +106,16 @@ async function getImageDimensions(dataUrl) {
  * @param {number} quality - JPEG质量
  * @param {function} onProgress - 进度回调
  * @param {boolean} showPageProgress - 是否在页面上显示进度条（从popup调用时为false）
+ * @param {object} options - 截图选项
+ * @param {boolean} options.horizontal - 是否同时横向滚动，按网格截取整个页面宽度
+ * @param {number} options.startY - 截图起始位置（CSS 像素），默认页面顶部
+ * @param {number} options.endY - 截图结束位置（CSS 像素），默认页面底部
+ * @param {number} options.maxHeight - 最大截图高度（CSS 像素），默认使用设置，0 表示不限制
+ * @param {string} options.range - 'fromHere' | 'toHere'，截取内部滚动容器时按容器的滚动位置重新计算范围
  * @returns {Promise<{success: boolean, dataUrl?: string, error?: string}>}
  */
-async function captureFullPage(tabId, format = 'png', quality = 92, onProgress = null, showPageProgress = true) {
+async function captureFullPage(tabId, format = 'png', quality = 92, onProgress = null, showPageProgress = true, options = {}) {
+  const session = acquireCaptureSession(tabId);
   try {
     const tab = await chrome.tabs.get(tabId);
 
@@ -98,16 +123,64 @@ async function captureFullPage(tabId, format = 'png', quality = 92, onProgress =
       return { success: false, error: 'RESTRICTED_PAGE' };
     }
 
-    // 注入content script获取页面信息
+    const settings = await getSettings();
+    // 浏览器不支持编码所选格式时（如 AVIF）沿回退链改用其他格式
+    format = await resolveOutputFormat(format);
+
+    // 预滚动一遍页面，触发图片懒加载和无限滚动内容
+    const warmupMode = options.warmup || settings.lazyLoadWarmup;
+    if (WARMUP_LIMITS[warmupMode]) {
+      await warmUpLazyContent(tabId, WARMUP_LIMITS[warmupMode]);
+    }
+
+    // 注入content script获取页面信息（预滚动后页面高度通常会增加，需在之后读取）
     const scrollInfo = await getScrollInfo(tabId);
     if (!scrollInfo) {
       return { success: false, error: 'CANNOT_GET_SCROLL_INFO' };
     }
 
-    const { scrollHeight, viewportHeight, viewportWidth, devicePixelRatio } = scrollInfo;
+    const { scrollHeight, scrollWidth, viewportHeight, viewportWidth, devicePixelRatio } = scrollInfo;
+
+    // 页面本身不滚动时（聊天应用、网页邮箱等 SPA 布局），改为截取主要的内部滚动容器
+    if (scrollHeight <= viewportHeight + 10 && !options.horizontal) {
+      const containerInfo = await findPageScrollContainer(tabId);
+      if (containerInfo) {
+        // 范围换算为容器内容坐标，fixed/sticky 策略和重叠同整页截图；文字层的坐标无法对应，不提供
+        return await captureScrollContainer(tabId, containerInfo, format, quality, onProgress, {
+          ...getContainerRange(containerInfo, scrollInfo, options, settings.captureMaxHeight),
+          fixedElementPolicy: options.fixedElementPolicy || resolveFixedElementPolicy(settings, tab.url),
+          overlap: settings.captureOverlap
+        });
+      }
+    }
+
     const dpr = devicePixelRatio || 1;
+    const horizontal = !!options.horizontal && scrollWidth > viewportWidth;
+
+    // 截图范围（文档坐标）：默认整页，可从指定位置开始，在指定位置或最大高度处结束
+    const rangeStart = Math.min(Math.max(0, Math.round(options.startY || 0)), scrollHeight - 1);
+    let rangeEnd = options.endY ? Math.min(scrollHeight, Math.round(options.endY)) : scrollHeight;
+    const maxHeight = options.maxHeight ?? settings.captureMaxHeight;
+    if (maxHeight > 0) rangeEnd = Math.min(rangeEnd, rangeStart + maxHeight);
+    const rangeHeight = Math.max(1, rangeEnd - rangeStart);
+
+    // 相邻两屏之间保留重叠区域，用于拼接时检测接缝；重叠不超过半屏
+    const overlap = Math.min(Math.max(0, settings.captureOverlap || 0), Math.floor(viewportHeight / 2));
+    const scrollStep = viewportHeight - overlap;
+    const maxScrollY = Math.max(rangeStart, rangeStart + rangeHeight - viewportHeight);
+    const totalScrolls = 1 + Math.ceil((maxScrollY - rangeStart) / scrollStep);
+
+    // 横向按整屏宽度分列，最后一列贴右对齐
+    const maxScrollX = horizontal ? Math.max(0, scrollWidth - viewportWidth) : 0;
+    const totalColumns = 1 + Math.ceil(maxScrollX / viewportWidth);
+    const totalFrames = totalScrolls * totalColumns;
+
+    // fixed/sticky 元素按类别处理（可被单次截图参数覆盖），每屏截图前重新检测
+    const fixedPolicy = options.fixedElementPolicy || resolveFixedElementPolicy(settings, tab.url);
+    const collectText = settings.pdfTextLayer;
 
     // 保存原始滚动位置
+    const originalScrollX = scrollInfo.currentScrollX || 0;
     const originalScrollY = scrollInfo.currentScrollY;
 
     // 隐藏滚动条
@@ -118,20 +191,23 @@ async function captureFullPage(tabId, format = 'png', quality = 92, onProgress =
       await sendMessageToTab(tabId, { action: 'showProgress', percent: 0 });
     }
 
-    // 先滚动到顶部并捕获第一张，获取实际图片尺寸
-    await scrollToPosition(tabId, 0);
-    await delay(300);
+    // 先滚动到起始位置（横向模式同时滚动到最左侧）并捕获第一张，获取实际图片尺寸
+    // 截图位置都相对于起始位置；起始位置超出页面可滚动范围时，第一张的位置为负数
+    const firstScrollY = horizontal
+      ? (await scrollPageTo(tabId, 0, rangeStart))?.y
+      : await scrollToPosition(tabId, rangeStart);
+    await applyFixedElementPolicy(tabId, fixedPolicy, true, totalScrolls === 1);
+    await waitForPaint(tabId);
 
-    const captureOptions = { format: format === 'jpeg' ? 'jpeg' : 'png' };
-    if (format === 'jpeg') captureOptions.quality = quality;
+    const captureOptions = getCaptureOptions(format, quality);
 
-    // 截图前隐藏进度条，截图后恢复
+    // 截图前临时隐藏进度条（保留暂停/取消状态），截图后恢复
     if (showPageProgress) {
-      await sendMessageToTab(tabId, { action: 'hideProgress' });
+      await sendMessageToTab(tabId, { action: 'tempHideProgress' });
     }
-    const firstDataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, captureOptions);
+    const firstDataUrl = await captureTab(tab.windowId, captureOptions);
     if (showPageProgress) {
-      await sendMessageToTab(tabId, { action: 'showProgress', percent: 0 });
+      await sendMessageToTab(tabId, { action: 'tempShowProgress' });
     }
     const firstImgDimensions = await getImageDimensions(firstDataUrl);
 
@@ -139,95 +215,156 @@ async function captureFullPage(tabId, format = 'png', quality = 92, onProgress =
     const captureWidth = firstImgDimensions.width;
     const captureViewportHeight = firstImgDimensions.height;
 
-    // 计算总高度（按实际像素）
-    const totalHeight = Math.ceil(scrollHeight * dpr);
-    const totalScrolls = Math.ceil(scrollHeight / viewportHeight);
+    // 计算总尺寸（按实际像素），非横向模式宽度为一屏
+    const totalHeight = Math.ceil(rangeHeight * dpr);
+    const totalWidth = horizontal ? Math.ceil(scrollWidth * dpr) : captureWidth;
 
     const screenshots = [{
       dataUrl: firstDataUrl,
-      y: 0,
-      height: captureViewportHeight,
-      isLast: totalScrolls === 1
+      x: 0,
+      y: Math.round(((firstScrollY ?? rangeStart) - rangeStart) * dpr),
+      row: 0,
+      column: 0,
+      pageText: collectText ? await collectFrameText(tabId) : null
     }];
 
     // 更新进度
-    const progress = Math.round((1 / totalScrolls) * 100);
+    const progress = Math.round((1 / totalFrames) * 100);
     if (onProgress) onProgress(progress);
     if (showPageProgress) {
       await sendMessageToTab(tabId, { action: 'updateProgress', percent: progress });
     }
 
-    // 如果需要多次截图，隐藏 fixed/sticky 元素（第一屏已经截取，后续屏幕隐藏这些元素避免重复）
-    if (totalScrolls > 1) {
-      await hideFixedElements(tabId);
-    }
+    // 继续捕获剩余部分，逐行从左到右
+    let cancelled = false;
+    for (let i = 0; i < totalScrolls && !cancelled; i++) {
+      const scrollY = Math.min(rangeStart + i * scrollStep, maxScrollY);
 
-    // 继续捕获剩余部分
-    for (let i = 1; i < totalScrolls; i++) {
-      const scrollY = i * viewportHeight;
-      const isLastScroll = i === totalScrolls - 1;
+      for (let j = 0; j < totalColumns; j++) {
+        if (i === 0 && j === 0) continue;
 
-      // 滚动到指定位置
-      await scrollToPosition(tabId, scrollY);
+        // 暂停时在此等待；取消后停止截图，已截取的部分按需保留
+        if (await captureCheckpoint(session)) {
+          cancelled = true;
+          break;
+        }
 
-      // 等待页面渲染，并确保不超过 captureVisibleTab 的调用频率限制（每秒最多2次）
-      await delay(550);
+        const scrollX = Math.min(j * viewportWidth, maxScrollX);
 
-      // 截图前隐藏进度条，截图后恢复
-      if (showPageProgress) {
-        await sendMessageToTab(tabId, { action: 'hideProgress' });
-      }
-      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, captureOptions);
-      if (showPageProgress) {
-        await sendMessageToTab(tabId, { action: 'showProgress', percent: Math.round((i / totalScrolls) * 100) });
-      }
+        // 滚动到指定位置，使用页面实际滚动到的位置（平滑滚动库、页面高度变化都可能导致偏差）
+        let actual;
+        if (horizontal) {
+          actual = await scrollPageTo(tabId, scrollX, scrollY);
+        } else {
+          actual = { x: 0, y: await scrollToPosition(tabId, scrollY) };
+        }
 
-      // 计算实际捕获高度（按实际像素）
-      let captureHeight = captureViewportHeight;
-      if (isLastScroll) {
-        // 最后一张的实际高度
-        captureHeight = totalHeight - (i * captureViewportHeight);
-        if (captureHeight <= 0) captureHeight = captureViewportHeight;
-      }
+        // 滚动后可能有元素变为 fixed（如滚动后才吸顶的导航栏），每屏重新检测
+        await applyFixedElementPolicy(tabId, fixedPolicy, i === 0, i === totalScrolls - 1);
 
-      screenshots.push({
-        dataUrl,
-        y: i * captureViewportHeight,
-        height: captureHeight,
-        isLast: isLastScroll
-      });
+        // 等待页面绘制稳定，调用频率限制由 captureTab 按实际配额调度
+        await waitForPaint(tabId);
 
-      // 更新进度
-      const prog = Math.round(((i + 1) / totalScrolls) * 100);
-      if (onProgress) onProgress(prog);
-      if (showPageProgress) {
-        await sendMessageToTab(tabId, { action: 'updateProgress', percent: prog });
+        const frameIndex = i * totalColumns + j;
+
+        // 截图前临时隐藏进度条，截图后恢复
+        if (showPageProgress) {
+          await sendMessageToTab(tabId, { action: 'tempHideProgress' });
+        }
+        const dataUrl = await captureTab(tab.windowId, captureOptions);
+        if (showPageProgress) {
+          await sendMessageToTab(tabId, { action: 'tempShowProgress' });
+        }
+
+        screenshots.push({
+          dataUrl,
+          x: Math.round((actual?.x ?? scrollX) * dpr),
+          y: Math.round(((actual?.y ?? scrollY) - rangeStart) * dpr),
+          row: i,
+          column: j,
+          pageText: collectText ? await collectFrameText(tabId) : null
+        });
+
+        // 更新进度
+        const prog = Math.round(((frameIndex + 1) / totalFrames) * 100);
+        if (onProgress) onProgress(prog);
+        if (showPageProgress) {
+          await sendMessageToTab(tabId, { action: 'updateProgress', percent: prog });
+        }
       }
     }
 
     // 恢复 fixed/sticky 元素的可见性
-    if (totalScrolls > 1) {
-      await restoreFixedElements(tabId);
-    }
+    await restoreFixedElements(tabId);
 
     // 恢复滚动条
     await restoreScrollbar(tabId);
 
     // 恢复原始滚动位置
-    await scrollToPosition(tabId, originalScrollY);
+    if (horizontal) {
+      await scrollPageTo(tabId, originalScrollX, originalScrollY);
+    } else {
+      await scrollToPosition(tabId, originalScrollY);
+    }
 
     // 隐藏进度指示器
     if (showPageProgress) {
       await sendMessageToTab(tabId, { action: 'hideProgress' });
     }
 
-    // 拼接截图
-    const finalDataUrl = await stitchScreenshots(screenshots, captureWidth, totalHeight, captureViewportHeight, format, quality);
+    if (cancelled && !session.keepPartial) {
+      return { success: false, error: 'CAPTURE_CANCELLED' };
+    }
+
+    // 取消时只保留完整截取的行（横向模式下最后一行可能只截取了一部分）
+    let frames = screenshots;
+    if (cancelled) {
+      const lastRow = screenshots[screenshots.length - 1].row;
+      if (lastRow > 0 && screenshots.filter(screenshot => screenshot.row === lastRow).length < totalColumns) {
+        frames = screenshots.filter(screenshot => screenshot.row < lastRow);
+      }
+    }
+
+    // 在重叠区域比对像素行，修正每一行的实际位置（以第一列为准，同一行的截图滚动位置相同）
+    const rowLeaders = frames.filter(screenshot => screenshot.column === 0);
+    const seamCorrections = overlap > 0
+      ? await alignScreenshots(rowLeaders, Math.round(overlap * dpr))
+      : [];
+    for (const screenshot of frames) {
+      screenshot.y = rowLeaders[screenshot.row].y;
+    }
+
+    // 部分截图的高度截止到最后一屏的底部
+    const outputHeight = cancelled
+      ? Math.min(totalHeight, rowLeaders[rowLeaders.length - 1].y + captureViewportHeight)
+      : totalHeight;
+
+    // 拼接截图（超出 canvas 尺寸限制时按设置拆分或平铺）
+    const stitched = await stitchScreenshots(frames, totalWidth, outputHeight, captureViewportHeight, format, quality, settings.oversizeMode);
+    const images = stitched.images.map(image => ({
+      dataUrl: image.dataUrl,
+      dimensions: { width: Math.round(image.width / dpr), height: Math.round(image.height / dpr) }
+    }));
 
     return {
       success: true,
-      dataUrl: finalDataUrl,
-      dimensions: { width: Math.round(captureWidth / dpr), height: scrollHeight }
+      dataUrl: images[0].dataUrl,
+      dimensions: stitched.output === 'single'
+        ? { width: Math.round(totalWidth / dpr), height: cancelled ? Math.round(outputHeight / dpr) : rangeHeight }
+        : images[0].dimensions,
+      // single: 单张图片；parts: 拆分为多张编号图片；tiled: 平铺为一张多列图片
+      output: stitched.output,
+      parts: stitched.output === 'parts'
+        ? images.map((image, index) => ({ ...image, index: index + 1, total: images.length }))
+        : undefined,
+      format,
+      seamCorrections,
+      // 用户取消并保留了已截取的部分
+      partial: cancelled,
+      // 可搜索 PDF 的文字层（拆分或平铺输出时坐标无法对应，不提供）
+      textLayer: collectText && stitched.output === 'single'
+        ? buildTextLayer(frames, dpr, totalWidth, outputHeight)
+        : undefined
     };
   } catch (error) {
     console.error('Capture full page failed:', error);
@@ -240,7 +377,102 @@ async function captureFullPage(tabId, format = 'png', quality = 92, onProgress =
       }
     } catch (e) {}
     return { success: false, error: error.message };
+  } finally {
+    releaseCaptureSession(tabId);
+  }
+}
+
+/**
+ * 收集当前屏幕的文字行和链接区域（视口坐标）
+ * @param {number} tabId
+ * @returns {Promise<{texts: Array, links: Array}|null>} content script 不可用时返回 null
+ */
+async function collectFrameText(tabId) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, { action: 'collectPageText' }) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 将每屏收集的文字和链接换算到拼接后图片的像素坐标，并去掉重叠区域的重复项
+ * @param {Array} frames - 截图数组 {x, y, pageText}（y 已按接缝检测修正）
+ * @param {number} dpr
+ * @param {number} width - 输出图片宽度（像素）
+ * @param {number} height - 输出图片高度（像素）
+ * @returns {{width: number, height: number, texts: Array, links: Array}}
+ */
+function buildTextLayer(frames, dpr, width, height) {
+  const texts = new Map();
+  const links = new Map();
+  const place = (item, frame) => ({
+    ...item,
+    x: Math.round(item.x * dpr + frame.x),
+    y: Math.round(item.y * dpr + frame.y),
+    width: Math.round(item.width * dpr),
+    height: Math.round(item.height * dpr)
+  });
+  const inside = (item) => item.y + item.height > 0 && item.y < height && item.x + item.width > 0 && item.x < width;
+
+  for (const frame of frames) {
+    if (!frame.pageText) continue;
+    // 重叠区域内同一位置的内容只保留一份，位置按 8 像素取整以容忍接缝修正误差
+    for (const item of frame.pageText.texts) {
+      const placed = place(item, frame);
+      if (inside(placed)) texts.set(`${placed.text}|${Math.round(placed.x / 8)}|${Math.round(placed.y / 8)}`, placed);
+    }
+    for (const item of frame.pageText.links) {
+      const placed = place(item, frame);
+      if (inside(placed)) links.set(`${placed.href}|${Math.round(placed.x / 8)}|${Math.round(placed.y / 8)}`, placed);
+    }
+  }
+
+  return { width, height, texts: [...texts.values()], links: [...links.values()] };
+}
+
+/**
+ * 根据当前滚动位置计算截图范围
+ * @param {number} tabId
+ * @param {string} range - 'fromHere' 从当前位置到页面底部 | 'toHere' 从页面顶部到当前屏幕底部
+ * @returns {Promise<{startY?: number, endY?: number, range?: string}>}
+ */
+async function getRangeFromScrollPosition(tabId, range) {
+  const scrollInfo = await getScrollInfo(tabId);
+  if (!scrollInfo) return {};
+  if (range === 'fromHere') {
+    return { startY: scrollInfo.currentScrollY, range };
+  }
+  if (range === 'toHere') {
+    return { startY: 0, endY: scrollInfo.currentScrollY + scrollInfo.viewportHeight, range };
   }
+  return {};
+}
+
+/**
+ * 将全页截图的范围换算为内部滚动容器的内容坐标
+ * 从当前位置、截到当前位置以容器的滚动位置为准，其他位置从页面坐标减去容器在视口中的位置
+ * @param {object} containerInfo - 容器信息（describeScrollContainer 返回）
+ * @param {object} scrollInfo - 页面滚动信息
+ * @param {object} options - captureFullPage 的截图选项
+ * @param {number} defaultMaxHeight - 未指定 maxHeight 时的最大截图高度，0 表示不限制
+ * @returns {{startY: number, endY: number}}
+ */
+function getContainerRange(containerInfo, scrollInfo, options, defaultMaxHeight) {
+  const toContainerY = (y) => Math.round(y - (scrollInfo.currentScrollY || 0) - containerInfo.viewportTop + containerInfo.scrollTop);
+
+  let startY = 0;
+  if (options.range === 'fromHere') startY = containerInfo.scrollTop;
+  else if (options.startY) startY = toContainerY(options.startY);
+  startY = Math.min(Math.max(0, startY), containerInfo.scrollHeight - 1);
+
+  let endY = containerInfo.scrollHeight;
+  if (options.range === 'toHere') endY = containerInfo.scrollTop + containerInfo.clientHeight;
+  else if (options.endY) endY = toContainerY(options.endY);
+  const maxHeight = options.maxHeight ?? defaultMaxHeight;
+  if (maxHeight > 0) endY = Math.min(endY, startY + maxHeight);
+
+  return { startY, endY: Math.max(startY + 1, Math.min(containerInfo.scrollHeight, endY)) };
 }
 
 /**
@@ -263,6 +495,7 @@ async function getScrollInfo(tabId) {
         ),
         viewportHeight: window.innerHeight,
         viewportWidth: window.innerWidth,
+        currentScrollX: window.scrollX,
         currentScrollY: window.scrollY,
         devicePixelRatio: window.devicePixelRatio || 1
       })
@@ -274,19 +507,164 @@ async function getScrollInfo(tabId) {
   }
 }
 
+// 预滚动的时间和高度上限（高度为 CSS 像素）
+const WARMUP_LIMITS = {
+  normal: { maxDuration: 10000, maxHeight: 30000 },
+  deep: { maxDuration: 30000, maxHeight: 150000 }
+};
+
+/**
+ * 预滚动页面：逐屏滚动到底部再回到原位置，触发懒加载图片和无限滚动内容
+ * 每屏等待网络空闲和可见图片解码完成，超过时间或高度上限时提前结束
+ * @param {number} tabId
+ * @param {{maxDuration: number, maxHeight: number}} limits
+ * @returns {Promise<object|null>} 预滚动结果 { scrollHeight, steps, elapsed, timedOut }
+ */
+async function warmUpLazyContent(tabId, limits) {
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: async (maxDuration, maxHeight) => {
+        const NETWORK_IDLE_TIME = 500;
+        const STEP_TIMEOUT = 3000;
+        const startTime = performance.now();
+        const deadline = startTime + maxDuration;
+        const originalX = window.scrollX;
+        const originalY = window.scrollY;
+        const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+        const getScrollHeight = () => Math.max(
+          document.body.scrollHeight,
+          document.documentElement.scrollHeight
+        );
+
+        // 通过 PerformanceObserver 记录最近一次资源加载完成的时间
+        let lastResourceTime = performance.now();
+        let observer = null;
+        try {
+          observer = new PerformanceObserver((list) => {
+            if (list.getEntries().length) lastResourceTime = performance.now();
+          });
+          observer.observe({ type: 'resource' });
+        } catch (e) {}
+
+        // 视口内仍在加载的图片
+        const getPendingImages = () => Array.from(document.images).filter(img => {
+          if (img.complete) return false;
+          const rect = img.getBoundingClientRect();
+          return rect.bottom > 0 && rect.top < window.innerHeight && rect.width > 0 && rect.height > 0;
+        });
+
+        // 等待网络空闲：一段时间内没有新的资源加载完成，且视口内的图片都已加载
+        const waitForNetworkIdle = async (until) => {
+          while (performance.now() < until) {
+            await wait(100);
+            if (performance.now() - lastResourceTime >= NETWORK_IDLE_TIME && getPendingImages().length === 0) {
+              return true;
+            }
+          }
+          return false;
+        };
+
+        // 等待视口内的图片解码完成，避免截到空白的占位图
+        const waitForImageDecode = async (until) => {
+          const visible = Array.from(document.images).filter(img => {
+            if (!img.complete || !img.naturalWidth) return false;
+            const rect = img.getBoundingClientRect();
+            return rect.bottom > 0 && rect.top < window.innerHeight;
+          });
+          if (visible.length === 0) return;
+          await Promise.race([
+            Promise.all(visible.map(img => img.decode().catch(() => {}))),
+            wait(Math.max(0, until - performance.now()))
+          ]);
+        };
+
+        let y = 0;
+        let steps = 0;
+        let timedOut = false;
+
+        while (true) {
+          window.scrollTo({ top: y, behavior: 'instant' });
+          steps++;
+
+          const stepDeadline = Math.min(deadline, performance.now() + STEP_TIMEOUT);
+          await waitForNetworkIdle(stepDeadline);
+          await waitForImageDecode(stepDeadline);
+
+          if (performance.now() >= deadline) {
+            timedOut = true;
+            break;
+          }
+
+          // 无限滚动页面在滚动到底部后会追加内容，每屏重新读取高度
+          const maxY = Math.min(getScrollHeight(), maxHeight) - window.innerHeight;
+          if (window.scrollY >= maxY || y >= maxY) break;
+          y = Math.min(y + window.innerHeight, maxY);
+        }
+
+        if (observer) observer.disconnect();
+
+        // 回到原位置，等待页面因滚动产生的布局变化稳定
+        window.scrollTo({ left: originalX, top: originalY, behavior: 'instant' });
+        await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+        return {
+          scrollHeight: getScrollHeight(),
+          steps,
+          elapsed: Math.round(performance.now() - startTime),
+          timedOut
+        };
+      },
+      args: [limits.maxDuration, limits.maxHeight]
+    });
+    const result = results[0]?.result || null;
+    console.log('[ScrollCapture] Lazy-load warm-up:', result);
+    return result;
+  } catch (error) {
+    console.error('Lazy-load warm-up failed:', error);
+    return null;
+  }
+}
+
 /**
  * 滚动到指定位置
  * @param {number} tabId
  * @param {number} y
+ * @returns {Promise<number|undefined>} 页面实际滚动到的位置
  */
 async function scrollToPosition(tabId, y) {
-  await chrome.scripting.executeScript({
+  const results = await chrome.scripting.executeScript({
     target: { tabId },
     func: (scrollY) => {
       window.scrollTo({ top: scrollY, behavior: 'instant' });
+      return window.scrollY;
     },
     args: [y]
   });
+  return results[0]?.result;
+}
+
+// 与 manifest 中 content_scripts 的文件列表保持一致：content.js 依赖其中的默认设置以及 PDF、格式、ZIP 和文件名工具
+const CONTENT_SCRIPT_FILES = chrome.runtime.getManifest().content_scripts[0].js;
+
+/**
+ * 向扩展安装或更新前已打开的标签页注入 content script
+ * 已加载时不重复注入：工具脚本的顶层 const 重复声明会报错
+ * @param {number} tabId
+ */
+async function injectContentScripts(tabId) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+    if (response && response.success) return;
+  } catch (e) {
+    // 没有应答，需要注入
+  }
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    files: CONTENT_SCRIPT_FILES
+  });
+  // 等待脚本加载
+  await delay(100);
 }
 
 /**
@@ -310,11 +688,7 @@ async function sendMessageToTab(tabId, message) {
     ];
     if (importantActions.includes(message.action)) {
       try {
-        await chrome.scripting.executeScript({
-          target: { tabId },
-          files: ['content.js']
-        });
-        await delay(100);
+        await injectContentScripts(tabId);
         await chrome.tabs.sendMessage(tabId, message);
       } catch (e) {
         console.error('Failed to inject content script:', e);
@@ -331,6 +705,182 @@ function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// captureVisibleTab 调用频率限制：每个滑动窗口内最多调用次数（Chrome 为每秒 2 次）
+const CAPTURE_QUOTA_CALLS = 2;
+const CAPTURE_QUOTA_WINDOW = 1000;
+// 超出频率限制时的退避重试
+const CAPTURE_BACKOFF_BASE = 500;
+const CAPTURE_MAX_RETRIES = 5;
+// 等待页面绘制稳定的最长时间
+const PAINT_SETTLE_TIMEOUT = 1000;
+
+// 最近一个窗口内 captureVisibleTab 的调用时间
+const captureCallTimes = [];
+// 收到频率限制错误后，在此时间之前暂停所有截图
+let captureBackoffUntil = 0;
+
+/**
+ * 等待 captureVisibleTab 的调用配额
+ * 记录实际的调用时间，只在窗口内调用次数用完时等待，而不是每次固定等待
+ */
+async function waitForCaptureQuota() {
+  while (true) {
+    const now = Date.now();
+    while (captureCallTimes.length && now - captureCallTimes[0] >= CAPTURE_QUOTA_WINDOW) {
+      captureCallTimes.shift();
+    }
+
+    const wait = Math.max(
+      captureBackoffUntil - now,
+      captureCallTimes.length >= CAPTURE_QUOTA_CALLS
+        ? CAPTURE_QUOTA_WINDOW - (now - captureCallTimes[0])
+        : 0
+    );
+    if (wait <= 0) {
+      captureCallTimes.push(now);
+      return;
+    }
+    await delay(wait);
+  }
+}
+
+/**
+ * 是否为 captureVisibleTab 的调用频率超限错误
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isCaptureQuotaError(error) {
+  return /MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND|quota/i.test(error?.message || '');
+}
+
+/**
+ * 截取标签页可视区域（按配额调度）
+ * 超出频率限制时按指数退避重试，而不是直接失败
+ * @param {number} windowId
+ * @param {object} options - captureVisibleTab 参数
+ * @returns {Promise<string>} dataUrl
+ */
+async function captureTab(windowId, options) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForCaptureQuota();
+    try {
+      return await chrome.tabs.captureVisibleTab(windowId, options);
+    } catch (error) {
+      if (!isCaptureQuotaError(error) || attempt >= CAPTURE_MAX_RETRIES) throw error;
+
+      const backoff = CAPTURE_BACKOFF_BASE * Math.pow(2, attempt);
+      captureBackoffUntil = Math.max(captureBackoffUntil, Date.now() + backoff);
+      console.warn('[ScrollCapture] Capture quota exceeded, retrying in', backoff, 'ms');
+    }
+  }
+}
+
+/**
+ * 等待页面绘制稳定
+ * 在页面中等待两帧 requestAnimationFrame（滚动后的内容已绘制），再等待主线程空闲
+ * 标签页不可见时 rAF 不会触发，最多等待 maxWait 毫秒
+ * @param {number} tabId
+ * @param {number} maxWait
+ */
+async function waitForPaint(tabId, maxWait = PAINT_SETTLE_TIMEOUT) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (maxWait) => new Promise(resolve => {
+        const timer = setTimeout(resolve, maxWait);
+        const done = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        requestAnimationFrame(() => requestAnimationFrame(() => {
+          if (typeof requestIdleCallback === 'function') {
+            requestIdleCallback(done, { timeout: 200 });
+          } else {
+            done();
+          }
+        }));
+      }),
+      args: [maxWait]
+    });
+  } catch (error) {
+    // 无法注入脚本时退回固定等待
+    await delay(300);
+  }
+}
+
+// 暂停期间检查恢复/取消的间隔
+const CAPTURE_PAUSE_POLL = 500;
+
+// 进行中的截图任务，按标签页记录 { session, users }，用于取消和暂停
+// 全页截图转为滚动容器截图时共用同一个任务；批量截图期间所有参与的标签页共用同一个任务
+const captureSessions = new Map();
+
+/**
+ * 获取标签页上进行中的截图任务，没有时创建
+ * @param {number} tabId
+ * @param {object} shared - 共用的任务（批量截图），可选
+ * @returns {{cancelled: boolean, paused: boolean, keepPartial: boolean}}
+ */
+function acquireCaptureSession(tabId, shared = null) {
+  let entry = captureSessions.get(tabId);
+  if (!entry) {
+    entry = {
+      session: shared || { cancelled: false, paused: false, keepPartial: false },
+      users: 0
+    };
+    captureSessions.set(tabId, entry);
+  }
+  entry.users++;
+  return entry.session;
+}
+
+/**
+ * 释放标签页上的截图任务
+ * @param {number} tabId
+ */
+function releaseCaptureSession(tabId) {
+  const entry = captureSessions.get(tabId);
+  if (entry && --entry.users <= 0) {
+    captureSessions.delete(tabId);
+  }
+}
+
+/**
+ * 暂停、继续或取消截图任务
+ * @param {object} session
+ * @param {string} command - 'pause' | 'resume' | 'cancel'
+ * @param {boolean} keepPartial - 取消时是否保留已截取的部分
+ */
+function controlCaptureSession(session, command, keepPartial = false) {
+  switch (command) {
+    case 'pause':
+      session.paused = true;
+      break;
+    case 'resume':
+      session.paused = false;
+      break;
+    case 'cancel':
+      session.keepPartial = !!keepPartial;
+      session.cancelled = true;
+      session.paused = false;
+      break;
+  }
+}
+
+/**
+ * 截图检查点：每屏截图前调用，暂停时在此等待
+ * @param {object} session
+ * @returns {Promise<boolean>} 任务是否已取消
+ */
+async function captureCheckpoint(session) {
+  while (session.paused && !session.cancelled) {
+    // 定期调用扩展 API，避免 Service Worker 在暂停期间因空闲被回收
+    await chrome.runtime.getPlatformInfo();
+    await delay(CAPTURE_PAUSE_POLL);
+  }
+  return session.cancelled;
+}
+
 /**
  * 隐藏页面中的 fixed/sticky 定位元素
  * 这些元素在滚动截图时会重复出现，需要在第一屏之后隐藏
@@ -369,6 +919,143 @@ async function hideFixedElements(tabId) {
   });
 }
 
+/**
+ * 按策略显示或隐藏页面中的 fixed/sticky 定位元素
+ * 每屏截图前调用，重新检测 fixed/sticky 元素，覆盖滚动后才变为 fixed 的元素（只重新检查有变化的部分）
+ * 元素按位置和尺寸分为 header / footer / sidebar / sticky / other 五类，
+ * 策略为 'hide' 始终隐藏、'first' 仅第一屏显示、'last' 仅最后一屏显示、'always' 始终显示，
+ * policy.selectors 中匹配的元素优先使用对应的策略
+ * @param {number} tabId
+ * @param {object} policy - 各类元素的策略，见 resolveFixedElementPolicy
+ * @param {boolean} isFirst - 是否为第一屏（横向模式下为第一行）
+ * @param {boolean} isLast - 是否为最后一屏（横向模式下为最后一行）
+ */
+async function applyFixedElementPolicy(tabId, policy, isFirst, isLast) {
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    func: (policy, isFirst, isLast) => {
+      const hidden = window.__scrollCaptureHiddenElements || (window.__scrollCaptureHiddenElements = []);
+      // 元素类别在第一次检测到时确定，避免滚动后位置变化导致分类变化
+      const categories = window.__scrollCaptureFixedCategories || (window.__scrollCaptureFixedCategories = new WeakMap());
+      const selectorRules = Object.entries(policy.selectors || {});
+
+      const classify = (el, position) => {
+        if (position === 'sticky') return 'sticky';
+        const rect = el.getBoundingClientRect();
+        const wide = rect.width >= window.innerWidth / 2;
+        if (!wide && rect.height >= window.innerHeight / 2) return 'sidebar';
+        if (wide && rect.top <= 1) return 'header';
+        if (wide && rect.bottom >= window.innerHeight - 1) return 'footer';
+        return 'other';
+      };
+
+      // sticky 元素未吸附时位于正常文档流中，隐藏会在截图中留下空白
+      const isStuck = (el, style) => {
+        const rect = el.getBoundingClientRect();
+        const top = parseFloat(style.top);
+        const bottom = parseFloat(style.bottom);
+        return (!isNaN(top) && Math.abs(rect.top - top) < 1) ||
+          (!isNaN(bottom) && Math.abs(window.innerHeight - rect.bottom - bottom) < 1);
+      };
+
+      const getPolicy = (el, category) => {
+        const rule = selectorRules.find(([selector]) => {
+          try {
+            return el.matches(selector);
+          } catch (e) {
+            return false;
+          }
+        });
+        return rule ? rule[1] : (policy[category] || 'hide');
+      };
+
+      const shouldShow = (elementPolicy) =>
+        elementPolicy === 'always' ||
+        (elementPolicy === 'first' && isFirst) ||
+        (elementPolicy === 'last' && isLast);
+
+      const show = (el) => {
+        const index = hidden.findIndex(item => item.element === el);
+        if (index === -1) return;
+        el.style.visibility = hidden[index].originalVisibility;
+        hidden.splice(index, 1);
+      };
+
+      const hide = (el) => {
+        if (hidden.some(item => item.element === el)) return;
+        hidden.push({
+          element: el,
+          originalVisibility: el.style.visibility,
+          originalDisplay: el.style.display
+        });
+        // 使用 visibility: hidden 而不是 display: none，保持布局不变
+        el.style.visibility = 'hidden';
+      };
+
+      // 第一屏全量扫描一次，之后只检查已知的 fixed/sticky 元素，以及 MutationObserver 记录的新增或 class/style 变化的子树
+      let scan = window.__scrollCaptureFixedScan;
+      if (!scan) {
+        scan = window.__scrollCaptureFixedScan = { candidates: new Set(), pending: [document.documentElement], observer: null };
+        scan.collect = (records) => {
+          for (const record of records) {
+            if (record.type === 'attributes') scan.pending.push(record.target);
+            else record.addedNodes.forEach(node => { if (node.nodeType === Node.ELEMENT_NODE) scan.pending.push(node); });
+          }
+        };
+        scan.observer = new MutationObserver(scan.collect);
+        scan.observer.observe(document.documentElement, { subtree: true, childList: true, attributes: true, attributeFilter: ['class', 'style'] });
+      }
+      scan.collect(scan.observer.takeRecords());
+
+      const isPositioned = (el) => {
+        const position = window.getComputedStyle(el).position;
+        return position === 'fixed' || position === 'sticky';
+      };
+      for (const root of scan.pending.splice(0)) {
+        if (!root.isConnected) continue;
+        if (isPositioned(root)) scan.candidates.add(root);
+        for (const el of root.querySelectorAll('*')) {
+          if (isPositioned(el)) scan.candidates.add(el);
+        }
+      }
+
+      for (const el of scan.candidates) {
+        // 跳过我们自己的截图 UI 元素
+        if (el.id && el.id.startsWith('scroll-capture-')) continue;
+        if (!el.isConnected) {
+          show(el);
+          scan.candidates.delete(el);
+          continue;
+        }
+
+        const style = window.getComputedStyle(el);
+        const position = style.position;
+        // 已不再是 fixed/sticky 的元素恢复显示
+        if (position !== 'fixed' && position !== 'sticky') {
+          show(el);
+          continue;
+        }
+
+        let category = categories.get(el);
+        if (!category) {
+          category = classify(el, position);
+          categories.set(el, category);
+        }
+
+        if (shouldShow(getPolicy(el, category)) || (position === 'sticky' && !isStuck(el, style))) {
+          show(el);
+        } else {
+          hide(el);
+        }
+      }
+
+      // 丢弃本次隐藏元素产生的 style 变化记录
+      scan.observer.takeRecords();
+    },
+    args: [policy, isFirst, isLast]
+  });
+}
+
 /**
  * 恢复被隐藏的 fixed/sticky 定位元素
  * @param {number} tabId
@@ -387,7 +1074,10 @@ async function restoreFixedElements(tabId) {
       console.log('[ScrollCapture] Restored', window.__scrollCaptureHiddenElements.length, 'fixed/sticky elements');
 
       // 清理
+      if (window.__scrollCaptureFixedScan) window.__scrollCaptureFixedScan.observer.disconnect();
       delete window.__scrollCaptureHiddenElements;
+      delete window.__scrollCaptureFixedCategories;
+      delete window.__scrollCaptureFixedScan;
     }
   });
 }
@@ -459,46 +1149,254 @@ async function restoreScrollbar(tabId) {
 }
 
 
+/**
+ * 计算拼接方案
+ * 图片超出 canvas 限制时，按 oversizeMode 拆分为多张分段图片（split），
+ * 或将分段横向平铺到一张图片中（tile）；平铺也放不下时退回拆分
+ * @param {number} totalWidth - 总宽度（实际像素）
+ * @param {number} totalHeight - 总高度（实际像素）
+ * @param {string} oversizeMode - 超长处理方式 ('split' | 'tile')
+ * @returns {{output: string, segmentHeight: number, segments: number, columns: number}}
+ */
+function planStitch(totalWidth, totalHeight, oversizeMode = 'split') {
+  const maxSegmentHeight = Math.min(MAX_CANVAS_DIMENSION, Math.floor(MAX_CANVAS_AREA / totalWidth));
+
+  if (totalHeight <= maxSegmentHeight) {
+    return { output: 'single', segmentHeight: totalHeight, segments: 1, columns: 1 };
+  }
+
+  if (oversizeMode === 'tile') {
+    // 从两列开始尝试，直到平铺后的图片满足 canvas 限制
+    for (let columns = 2; columns * totalWidth <= MAX_CANVAS_DIMENSION; columns++) {
+      const segmentHeight = Math.ceil(totalHeight / columns);
+      if (segmentHeight <= MAX_CANVAS_DIMENSION && columns * totalWidth * segmentHeight <= MAX_CANVAS_AREA) {
+        return { output: 'tiled', segmentHeight, segments: columns, columns };
+      }
+    }
+    console.warn('[ScrollCapture] Page too large to tile, falling back to split parts');
+  }
+
+  const segments = Math.ceil(totalHeight / maxSegmentHeight);
+  return { output: 'parts', segmentHeight: Math.ceil(totalHeight / segments), segments, columns: 1 };
+}
+
 /**
  * 拼接多张截图
+ * 超出 canvas 尺寸限制时按 planStitch 的方案分段渲染，每段只解码与其相交的截图
  * @param {Array} screenshots - 截图数组
  * @param {number} totalWidth - 总宽度（实际像素）
  * @param {number} totalHeight - 总高度（实际像素）
- * @param {number} captureViewportHeight - 每张截图的高度（实际像素）
+ * @param {number} captureViewportHeight - 截图的默认高度（实际像素），截图自带 height 时以其为准
  * @param {string} format - 输出格式
  * @param {number} quality - JPEG质量
- * @returns {Promise<string>} - 拼接后的dataUrl
+ * @param {string} oversizeMode - 超长处理方式 ('split' | 'tile')
+ * @returns {Promise<{output: string, images: Array<{dataUrl: string, width: number, height: number}>}>}
  */
-async function stitchScreenshots(screenshots, totalWidth, totalHeight, captureViewportHeight, format, quality) {
-  // 创建离屏canvas
-  const canvas = new OffscreenCanvas(totalWidth, totalHeight);
-  const ctx = canvas.getContext('2d');
+async function stitchScreenshots(screenshots, totalWidth, totalHeight, captureViewportHeight, format, quality, oversizeMode = 'split') {
+  const plan = planStitch(totalWidth, totalHeight, oversizeMode);
+
+  // 每张截图按实际滚动位置放置，重叠部分由后一张覆盖（后续屏幕已隐藏 fixed/sticky 元素）
+  const placements = screenshots.map(screenshot => ({
+    dataUrl: screenshot.dataUrl,
+    destX: screenshot.x || 0,
+    destY: screenshot.y,
+    height: screenshot.height || captureViewportHeight
+  }));
+
+  if (plan.output !== 'single') {
+    console.log(`[ScrollCapture] Image ${totalWidth}x${totalHeight} exceeds canvas limit, output: ${plan.output}, segments: ${plan.segments}`);
+  }
 
-  for (const screenshot of screenshots) {
-    const img = await createImageBitmap(await fetch(screenshot.dataUrl).then(r => r.blob()));
-    
-    if (screenshot.isLast && screenshots.length > 1) {
-      // 最后一张截图，只取底部需要的部分
-      const sourceY = img.height - screenshot.height;
-      const destY = totalHeight - screenshot.height;
+  const segmentCanvasHeight = (index) => Math.min(plan.segmentHeight, totalHeight - index * plan.segmentHeight);
+
+  if (plan.output === 'tiled') {
+    const canvas = new OffscreenCanvas(totalWidth * plan.columns, plan.segmentHeight);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    for (let i = 0; i < plan.segments; i++) {
+      await drawSegment(ctx, placements, i * plan.segmentHeight, segmentCanvasHeight(i), i * totalWidth, totalWidth);
+    }
+    return {
+      output: 'tiled',
+      images: [{ dataUrl: await canvasToDataUrl(canvas, format, quality), width: canvas.width, height: canvas.height }]
+    };
+  }
+
+  // single 与 parts 都是逐段生成独立图片，single 只有一段
+  const images = [];
+  for (let i = 0; i < plan.segments; i++) {
+    const canvas = new OffscreenCanvas(totalWidth, segmentCanvasHeight(i));
+    const ctx = canvas.getContext('2d');
+    await drawSegment(ctx, placements, i * plan.segmentHeight, canvas.height, 0, totalWidth);
+    images.push({ dataUrl: await canvasToDataUrl(canvas, format, quality), width: canvas.width, height: canvas.height });
+  }
+
+  return { output: plan.output, images };
+}
+
+// 接缝检测：每行缩放采样的列数、参与比对的最少行数、可接受的平均差异上限（0-255）
+const SEAM_SAMPLE_COLUMNS = 64;
+const SEAM_MIN_MATCH_ROWS = 16;
+const SEAM_MAX_DIFF = 12;
+
+/**
+ * 在相邻截图的重叠区域比对像素行，找出每张截图的实际位置并就地修正 y
+ * 懒加载图片、折叠头部、平滑滚动库都会让实际滚动距离与预期不一致
+ * @param {Array} screenshots - 截图数组 {dataUrl, y}
+ * @param {number} overlapRows - 预期的重叠行数（实际像素）
+ * @returns {Promise<Array<{frame: number, expectedY: number, actualY: number, offset: number}>>} 被修正的截图
+ */
+async function alignScreenshots(screenshots, overlapRows) {
+  const corrections = [];
+  let previous = await getRowSignatures(screenshots[0].dataUrl);
+
+  for (let i = 1; i < screenshots.length; i++) {
+    const current = await getRowSignatures(screenshots[i].dataUrl);
+    const screenshot = screenshots[i];
+    const expectedY = screenshot.y;
+    const prevY = screenshots[i - 1].y;
+
+    const offset = findSeamOffset(previous, current, expectedY - prevY, overlapRows);
+    if (offset !== 0) {
+      screenshot.y = expectedY + offset;
+      corrections.push({ frame: i, expectedY, actualY: screenshot.y, offset });
+    }
+    previous = current;
+  }
+
+  if (corrections.length > 0) {
+    console.log('[ScrollCapture] Seam corrections:', corrections.map(c => `frame ${c.frame}: ${c.offset > 0 ? '+' : ''}${c.offset}px`).join(', '));
+  }
+  return corrections;
+}
+
+/**
+ * 计算截图每一行的灰度签名（将每行缩放为 SEAM_SAMPLE_COLUMNS 个采样点）
+ * 同时标记纯色行，纯色行无法提供位置信息
+ * @param {string} dataUrl
+ * @returns {Promise<{rows: Float32Array[], uniform: Uint8Array, height: number}>}
+ */
+async function getRowSignatures(dataUrl) {
+  const img = await createImageBitmap(await fetch(dataUrl).then(r => r.blob()));
+  const height = img.height;
+  const canvas = new OffscreenCanvas(SEAM_SAMPLE_COLUMNS, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, img.width, height, 0, 0, SEAM_SAMPLE_COLUMNS, height);
+  img.close();
+
+  const data = ctx.getImageData(0, 0, SEAM_SAMPLE_COLUMNS, height).data;
+  const rows = [];
+  const uniform = new Uint8Array(height);
+  for (let y = 0; y < height; y++) {
+    const row = new Float32Array(SEAM_SAMPLE_COLUMNS);
+    let min = 255;
+    let max = 0;
+    for (let x = 0; x < SEAM_SAMPLE_COLUMNS; x++) {
+      const idx = (y * SEAM_SAMPLE_COLUMNS + x) * 4;
+      row[x] = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+      if (row[x] < min) min = row[x];
+      if (row[x] > max) max = row[x];
+    }
+    rows.push(row);
+    uniform[y] = max - min < 4 ? 1 : 0;
+  }
+  return { rows, uniform, height };
+}
+
+/**
+ * 在 ±(overlapRows - SEAM_MIN_MATCH_ROWS) 范围内搜索与上一张截图最吻合的偏移
+ * 两边都是纯色的行不参与比对；找不到明显更好的位置时保持预期位置
+ * @param {object} previous - 上一张截图的行签名
+ * @param {object} current - 当前截图的行签名
+ * @param {number} expectedDistance - 两张截图之间的预期距离（实际像素）
+ * @param {number} overlapRows - 预期的重叠行数
+ * @returns {number} 相对预期位置的偏移（实际像素）
+ */
+function findSeamOffset(previous, current, expectedDistance, overlapRows) {
+  const maxShift = Math.max(0, overlapRows - SEAM_MIN_MATCH_ROWS);
+  if (maxShift === 0) return 0;
+
+  const scoreAt = (offset) => {
+    const distance = expectedDistance + offset;
+    let total = 0;
+    let count = 0;
+    for (let r = 0; r < current.height; r++) {
+      const prevRow = distance + r;
+      if (prevRow < 0) continue;
+      if (prevRow >= previous.height) break;
+      if (previous.uniform[prevRow] && current.uniform[r]) continue;
+      const a = previous.rows[prevRow];
+      const b = current.rows[r];
+      let diff = 0;
+      for (let x = 0; x < SEAM_SAMPLE_COLUMNS; x++) diff += Math.abs(a[x] - b[x]);
+      total += diff / SEAM_SAMPLE_COLUMNS;
+      count++;
+    }
+    return count >= SEAM_MIN_MATCH_ROWS ? total / count : Infinity;
+  };
+
+  const expectedScore = scoreAt(0);
+  let bestOffset = 0;
+  let bestScore = expectedScore;
+  for (let offset = -maxShift; offset <= maxShift; offset++) {
+    if (offset === 0) continue;
+    const score = scoreAt(offset);
+    if (score < bestScore) {
+      bestScore = score;
+      bestOffset = offset;
+    }
+  }
+
+  // 只有明显优于预期位置时才修正，避免在重复图案上误判
+  if (bestOffset !== 0 && bestScore <= SEAM_MAX_DIFF && bestScore < expectedScore * 0.5) {
+    return bestOffset;
+  }
+  return 0;
+}
+
+/**
+ * 将整页中 [segmentTop, segmentTop + segmentHeight) 范围内的截图绘制到 canvas
+ * @param {OffscreenCanvasRenderingContext2D} ctx
+ * @param {Array} placements - 截图位置信息
+ * @param {number} segmentTop - 分段在整页中的起始位置
+ * @param {number} segmentHeight - 分段高度
+ * @param {number} offsetX - 绘制的水平偏移（平铺时使用）
+ * @param {number} totalWidth - 总宽度
+ */
+async function drawSegment(ctx, placements, segmentTop, segmentHeight, offsetX, totalWidth) {
+  const segmentBottom = segmentTop + segmentHeight;
+
+  for (const placement of placements) {
+    const top = Math.max(placement.destY, segmentTop);
+    const bottom = Math.min(placement.destY + placement.height, segmentBottom);
+    if (bottom <= top) continue;
+
+    const img = await createImageBitmap(await fetch(placement.dataUrl).then(r => r.blob()));
+    const sourceY = top - placement.destY;
+    const height = Math.min(bottom - top, img.height - sourceY);
+    if (height > 0) {
+      const width = Math.min(img.width, totalWidth - placement.destX);
       ctx.drawImage(
         img,
-        0, sourceY, img.width, screenshot.height,
-        0, destY, totalWidth, screenshot.height
+        0, sourceY, width, height,
+        offsetX + placement.destX, top - segmentTop, width, height
       );
-    } else {
-      ctx.drawImage(img, 0, screenshot.y);
     }
+    img.close();
   }
+}
+
+/**
+ * 将 canvas 转换为 dataUrl
+ * @param {OffscreenCanvas} canvas
+ * @param {string} format - 输出格式
+ * @param {number} quality - 有损格式的质量
+ * @returns {Promise<string>}
+ */
+async function canvasToDataUrl(canvas, format, quality) {
+  const blob = await canvas.convertToBlob(getEncodeOptions(format, quality));
 
-  // 转换为blob
-  const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
-  const blob = await canvas.convertToBlob({ 
-    type: mimeType, 
-    quality: format === 'jpeg' ? quality / 100 : undefined 
-  });
-  
-  // 转换为dataUrl
   return new Promise((resolve) => {
     const reader = new FileReader();
     reader.onloadend = () => resolve(reader.result);
@@ -506,42 +1404,98 @@ async function stitchScreenshots(screenshots, totalWidth, totalHeight, captureVi
   });
 }
 
+/**
+ * 将截图重新编码为指定格式
+ * @param {string} dataUrl
+ * @param {string} format
+ * @param {number} quality
+ * @returns {Promise<string>}
+ */
+async function encodeDataUrl(dataUrl, format, quality) {
+  const img = await createImageBitmap(await fetch(dataUrl).then(r => r.blob()));
+  const canvas = new OffscreenCanvas(img.width, img.height);
+  canvas.getContext('2d').drawImage(img, 0, 0);
+  return await canvasToDataUrl(canvas, format, quality);
+}
+
 // ============================================
 // 2.3 图片保存和剪贴板功能
 // ============================================
 
 /**
- * 生成带时间戳的文件名
- * @param {string} format - 图片格式
- * @returns {string}
- */
-function generateFilename(format = 'png') {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const hours = String(now.getHours()).padStart(2, '0');
-  const minutes = String(now.getMinutes()).padStart(2, '0');
-  const seconds = String(now.getSeconds()).padStart(2, '0');
-  
-  return `screenshot_${year}${month}${day}_${hours}${minutes}${seconds}.${format}`;
+ * 取下一个文件名序号（{counter}），跨会话递增
+ * @returns {Promise<number>}
+ */
+async function nextFilenameCounter() {
+  const { filenameCounter = 0 } = await chrome.storage.local.get(['filenameCounter']);
+  await chrome.storage.local.set({ filenameCounter: filenameCounter + 1 });
+  return filenameCounter + 1;
+}
+
+/**
+ * 按设置中的文件名模板和子文件夹生成下载路径
+ * @param {string} format - 图片格式，也可为 'pdf' / 'svg'
+ * @param {Object} context - {title, url, mode, width, height}
+ * @param {string} dataUrl - 未提供宽高时从图片中读取（可选）
+ * @returns {Promise<string>} 相对于下载目录的路径
+ */
+async function generateFilename(format = 'png', context = {}, dataUrl = null) {
+  const settings = await getSettings();
+  const template = settings.filenameTemplate || DEFAULT_SETTINGS.filenameTemplate;
+  // 子文件夹按网站规则优先，同样可以使用模板变量
+  const folder = resolveDownloadFolder(settings, context.url);
+  const values = { ...context };
+  const usesToken = (name) => templateUsesToken(template, name) || templateUsesToken(folder, name);
+
+  if (usesToken('counter')) {
+    values.counter = await nextFilenameCounter();
+  }
+  if (!values.width && dataUrl && getFormatFromDataUrl(dataUrl) && (usesToken('width') || usesToken('height'))) {
+    Object.assign(values, await getImageDimensions(dataUrl));
+  }
+
+  // 非图片格式（如 pdf）直接使用格式名作为扩展名
+  const extension = IMAGE_FORMATS[format] ? getFileExtension(format) : format;
+  return buildFilename(template, values, extension, folder);
+}
+
+/**
+ * 读取标签页标题和地址，用于文件名模板
+ * @param {number} tabId - 标签页ID
+ * @returns {Promise<{title?: string, url?: string}>}
+ */
+async function getTabFilenameContext(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    return { title: tab.title, url: tab.url };
+  } catch (e) {
+    return {};
+  }
 }
 
 /**
  * 下载图片
  * @param {string} dataUrl - 图片数据URL
- * @param {string} filename - 文件名（可选）
+ * @param {string} filename - 文件名（可选，不传时按文件名模板生成）
  * @param {string} format - 图片格式
+ * @param {Object} context - 文件名模板变量和写入图片的来源信息
+ *   {title, url, mode, width, height, capturedAt, devicePixelRatio, viewportWidth, viewportHeight}（可选）
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-async function downloadImage(dataUrl, filename = null, format = 'png') {
+async function downloadImage(dataUrl, filename = null, format = 'png', context = {}) {
   try {
-    const finalFilename = filename || generateFilename(format);
+    const settings = await getSettings();
+    // 以实际编码结果为准（编码器不支持时格式可能已回退）
+    const finalFilename = filename || await generateFilename(getFormatFromDataUrl(dataUrl) || format, context, dataUrl);
+    // PNG / JPEG 写入页面地址、标题、截图时间等来源信息，可在设置中关闭
+    // 只有刚截取的图片才有 capturedAt；从磁盘打开的文件与当前标签页无关，不写入
+    const url = settings.embedMetadata && context.capturedAt ? embedCaptureMetadata(dataUrl, context) : dataUrl;
     
     await chrome.downloads.download({
-      url: dataUrl,
+      url: url,
       filename: finalFilename,
-      saveAs: false
+      // 开启后由浏览器弹出保存对话框，默认位置为上面生成的路径
+      saveAs: !!settings.downloadSaveAs
     });
     
     return { success: true };
@@ -551,6 +1505,26 @@ async function downloadImage(dataUrl, filename = null, format = 'png') {
   }
 }
 
+/**
+ * 设置中开启来源信息栏时，由页面为刚截取的图片加上信息栏（与批量截图使用同一绘制函数）
+ * @param {number} tabId
+ * @param {string} dataUrl
+ * @param {number} capturedAt
+ * @returns {Promise<string>} 未开启或加信息栏失败时返回原图
+ */
+async function applyCaptureStamp(tabId, dataUrl, capturedAt) {
+  const { captureStamp } = await getSettings();
+  if (captureStamp !== 'header' && captureStamp !== 'footer') return dataUrl;
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'applyStamp', dataUrl, capturedAt });
+    if (response && response.success) return response.dataUrl;
+    console.error('[ScrollCapture] Apply stamp failed:', response?.error);
+  } catch (error) {
+    console.error('[ScrollCapture] Apply stamp failed:', error);
+  }
+  return dataUrl;
+}
+
 /**
  * 复制图片到剪贴板
  * Service Worker 中无法直接使用 navigator.clipboard，通过 content script 执行
@@ -607,40 +1581,129 @@ async function copyToClipboard(dataUrl) {
 }
 
 /**
- * 通过 offscreen document 复制（备用方案）
+ * 通过 offscreen document 复制（备用方案）
+ */
+async function copyViaOffscreen(dataUrl) {
+  try {
+    await setupOffscreenDocument();
+    const result = await chrome.runtime.sendMessage({
+      action: 'offscreenCopy',
+      target: 'offscreen',
+      dataUrl
+    });
+    return result || { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 设置 offscreen document
+ */
+async function setupOffscreenDocument() {
+  const offscreenUrl = 'offscreen.html';
+  const existingContexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(offscreenUrl)]
+  });
+
+  if (existingContexts.length > 0) return;
+
+  await chrome.offscreen.createDocument({
+    url: offscreenUrl,
+    reasons: ['CLIPBOARD', 'BLOBS'],
+    justification: 'Copy screenshot image to clipboard and create blob URLs for large downloads'
+  });
+}
+
+// ============================================
+// 2.3.1 大文件下载（批量 ZIP）
+// ============================================
+
+// 下载ID -> offscreen document 中的 blob id，下载结束后释放 blob URL
+const offscreenBlobDownloads = new Map();
+
+/**
+ * 在 offscreen document 中开始接收一个分块发送的文件
+ * 文件可能超过扩展消息的大小上限，由页面分块发送，拼成 blob URL 后再交给 chrome.downloads
+ * @param {string} type - MIME 类型
+ * @returns {Promise<{success: boolean, id?: string, error?: string}>}
+ */
+async function startOffscreenBlob(type) {
+  try {
+    await setupOffscreenDocument();
+    const result = await chrome.runtime.sendMessage({ action: 'offscreenBlobStart', target: 'offscreen', type });
+    return result || { success: false, error: 'OFFSCREEN_NO_RESPONSE' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 向 offscreen document 追加一个 base64 分块
+ * @param {string} id
+ * @param {string} data
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function appendOffscreenBlob(id, data) {
+  try {
+    const result = await chrome.runtime.sendMessage({ action: 'offscreenBlobChunk', target: 'offscreen', id, data });
+    return result || { success: false, error: 'OFFSCREEN_NO_RESPONSE' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 释放 offscreen document 中的文件和 blob URL
+ * @param {string} id
+ */
+async function releaseOffscreenBlob(id) {
+  try {
+    await chrome.runtime.sendMessage({ action: 'offscreenBlobRelease', target: 'offscreen', id });
+  } catch (e) {
+    // offscreen document 已关闭时 blob URL 也随之释放
+  }
+}
+
+/**
+ * 下载 offscreen document 中拼好的文件
+ * 与 downloadImage 一样使用文件名模板、下载子文件夹（含网站规则）和“总是询问保存位置”设置
+ * @param {string} id
+ * @param {string} extension - 扩展名，如 'zip'
+ * @param {object} context - 文件名模板变量
+ * @returns {Promise<{success: boolean, error?: string}>}
  */
-async function copyViaOffscreen(dataUrl) {
+async function downloadOffscreenBlob(id, extension, context = {}) {
   try {
-    await setupOffscreenDocument();
-    const result = await chrome.runtime.sendMessage({
-      action: 'offscreenCopy',
-      target: 'offscreen',
-      dataUrl
+    const result = await chrome.runtime.sendMessage({ action: 'offscreenBlobFinish', target: 'offscreen', id });
+    if (!result?.success) {
+      await releaseOffscreenBlob(id);
+      return { success: false, error: result?.error || 'OFFSCREEN_NO_RESPONSE' };
+    }
+
+    const settings = await getSettings();
+    const downloadId = await chrome.downloads.download({
+      url: result.url,
+      filename: await generateFilename(extension, context),
+      saveAs: !!settings.downloadSaveAs
     });
-    return result || { success: true };
+    offscreenBlobDownloads.set(downloadId, id);
+    return { success: true };
   } catch (error) {
+    console.error('Download failed:', error);
+    await releaseOffscreenBlob(id);
     return { success: false, error: error.message };
   }
 }
 
-/**
- * 设置 offscreen document
- */
-async function setupOffscreenDocument() {
-  const offscreenUrl = 'offscreen.html';
-  const existingContexts = await chrome.runtime.getContexts({
-    contextTypes: ['OFFSCREEN_DOCUMENT'],
-    documentUrls: [chrome.runtime.getURL(offscreenUrl)]
-  });
-
-  if (existingContexts.length > 0) return;
-
-  await chrome.offscreen.createDocument({
-    url: offscreenUrl,
-    reasons: ['CLIPBOARD'],
-    justification: 'Copy screenshot image to clipboard'
-  });
-}
+// 下载完成或中断后释放对应的 blob URL
+chrome.downloads.onChanged.addListener((delta) => {
+  const id = offscreenBlobDownloads.get(delta.id);
+  if (!id || !delta.state || delta.state.current === 'in_progress') return;
+  offscreenBlobDownloads.delete(delta.id);
+  releaseOffscreenBlob(id);
+});
 
 // ============================================
 // 2.4 快捷键命令监听
@@ -652,18 +1715,34 @@ chrome.commands.onCommand.addListener(async (command) => {
   if (!tab) return;
 
   let result;
+  let mode;
+  const { format, quality } = await getOutputOptions();
   
   switch (command) {
     case 'capture-full-page':
-      result = await captureFullPage(tab.id);
+      mode = 'full';
+      result = await captureFullPage(tab.id, format, quality);
       break;
     case 'capture-visible':
-      result = await captureVisibleArea(tab.id);
+      mode = 'visible';
+      result = await captureVisibleArea(tab.id, format, quality);
       break;
     case 'capture-selection':
       // 触发选区截图模式
       await sendMessageToTab(tab.id, { action: 'startSelection' });
       return;
+    case 'capture-from-here':
+      mode = 'fromHere';
+      result = await captureFullPage(tab.id, format, quality, null, true, await getRangeFromScrollPosition(tab.id, 'fromHere'));
+      break;
+    case 'capture-to-here':
+      mode = 'toHere';
+      result = await captureFullPage(tab.id, format, quality, null, true, await getRangeFromScrollPosition(tab.id, 'toHere'));
+      break;
+    case 'capture-to-element':
+      // 在页面上点选截图的结束元素
+      await sendMessageToTab(tab.id, { action: 'startEndElementPick' });
+      return;
     default:
       return;
   }
@@ -675,6 +1754,7 @@ chrome.commands.onCommand.addListener(async (command) => {
       lastCapture: {
         dataUrl: result.dataUrl,
         dimensions: result.dimensions,
+        mode: mode,
         timestamp: Date.now()
       }
     });
@@ -682,7 +1762,13 @@ chrome.commands.onCommand.addListener(async (command) => {
     await sendMessageToTab(tab.id, {
       action: 'showPreview',
       dataUrl: result.dataUrl,
-      dimensions: result.dimensions
+      dimensions: result.dimensions,
+      mode: mode,
+      output: result.output,
+      parts: result.parts,
+      format: result.format,
+      partial: result.partial,
+      textLayer: result.textLayer
     });
   }
 });
@@ -724,7 +1810,20 @@ async function handleMessage(message, sender) {
         });
       };
       // 从 popup 调用时，不在页面上显示进度条（popup 有自己的进度条）
-      return await captureFullPage(tab.id, params.format, params.quality, onProgress, false);
+      return await captureFullPage(tab.id, params.format, params.quality, onProgress, false, {
+        horizontal: !!params.horizontal,
+        // 从当前位置截到底部，或从顶部截到当前位置
+        ...(params.range ? await getRangeFromScrollPosition(tab.id, params.range) : {})
+      });
+    }
+
+    case 'controlCapture': {
+      // 暂停、继续或取消进行中的截图（来自页面进度条或 popup）
+      const tabId = params.tabId || sender.tab?.id;
+      const entry = captureSessions.get(tabId);
+      if (!entry) return { success: false, error: 'NO_ACTIVE_CAPTURE' };
+      controlCaptureSession(entry.session, params.command, params.keepPartial);
+      return { success: true };
     }
 
     case 'captureSelection': {
@@ -737,34 +1836,64 @@ async function handleMessage(message, sender) {
         // 新的调用方式，带 operation 参数
         console.log('[captureSelection] Starting capture with operation:', params.operation);
 
+        const { format, quality } = await getOutputOptions(params.format, params.quality);
         const result = await captureScrollSelection(
           tabId,
           params.rect,
           params.viewportHeight,
           params.viewportWidth,
           params.devicePixelRatio || 1,
-          params.format || 'png',
-          params.quality || 92,
+          format,
+          quality,
           params.containerInfo,
           params.currentScroll
         );
 
         console.log('[captureSelection] Capture result:', result.success, result.error);
 
+        // 元素截图会标记所在的滚动容器，截图完成后移除标记
+        if (params.containerInfo) {
+          try {
+            await releaseScrollContainer(tabId);
+          } catch (e) {}
+        }
+
         if (result.success) {
           // 保存最后截图
           await chrome.storage.local.set({
             lastCapture: {
               dataUrl: result.dataUrl,
               dimensions: result.dimensions,
+              mode: params.mode || 'selection',
               timestamp: Date.now()
             }
           });
 
+          // 超长选区分成多张图片时，复制、下载和编辑都只能处理一张，改为在结果浮层中逐张保存
+          if (result.output === 'parts') {
+            await sendMessageToTab(tabId, {
+              action: 'showPreview',
+              dataUrl: result.dataUrl,
+              dimensions: result.dimensions,
+              mode: params.mode || 'selection',
+              output: result.output,
+              parts: result.parts,
+              format: result.format,
+              partial: result.partial
+            });
+            return result;
+          }
+
+          // 直接复制或下载时不经过编辑器，按设置在这里加上来源信息栏
+          const capturedAt = Date.now();
+          const stampedDataUrl = params.operation === 'edit'
+            ? result.dataUrl
+            : await applyCaptureStamp(tabId, result.dataUrl, capturedAt);
+
           // 根据操作类型执行不同动作
           switch (params.operation) {
             case 'copy':
-              const copyResult = await copyToClipboard(result.dataUrl);
+              const copyResult = await copyToClipboard(stampedDataUrl);
               console.log('[captureSelection] Copy result:', copyResult);
               if (copyResult.success) {
                 await sendMessageToTab(tabId, { action: 'showToast', message: '已复制到剪贴板' });
@@ -774,7 +1903,14 @@ async function handleMessage(message, sender) {
               break;
 
             case 'download':
-              await downloadImage(result.dataUrl, `screenshot_${Date.now()}.png`, params.format || 'png');
+              await downloadImage(stampedDataUrl, null, format, {
+                ...(await getTabFilenameContext(tabId)),
+                mode: params.mode || 'selection',
+                capturedAt,
+                devicePixelRatio: params.devicePixelRatio,
+                viewportWidth: params.viewportWidth,
+                viewportHeight: params.viewportHeight
+              });
               await sendMessageToTab(tabId, { action: 'showToast', message: '已开始下载' });
               break;
 
@@ -782,7 +1918,8 @@ async function handleMessage(message, sender) {
               await sendMessageToTab(tabId, {
                 action: 'openEditor',
                 dataUrl: result.dataUrl,
-                dimensions: result.dimensions
+                dimensions: result.dimensions,
+                mode: params.mode || 'selection'
               });
               break;
           }
@@ -796,14 +1933,38 @@ async function handleMessage(message, sender) {
     }
 
     case 'download': {
-      return await downloadImage(params.dataUrl, params.filename, params.format);
+      // 文件名模板中的标题和地址默认取发送方所在的标签页（popup 发起时取当前标签页）
+      // 写入图片的来源信息只用于带 capturedAt 的截图，见 downloadImage
+      let tab = sender.tab;
+      if (!tab) [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const context = { title: tab?.title, url: tab?.url, ...params.context };
+      return await downloadImage(params.dataUrl, params.filename, params.format, context);
     }
 
     case 'copyToClipboard': {
       return await copyToClipboard(params.dataUrl);
     }
 
-    case 'startSelection': {
+    case 'blobDownloadStart': {
+      return await startOffscreenBlob(params.type);
+    }
+
+    case 'blobDownloadChunk': {
+      return await appendOffscreenBlob(params.id, params.data);
+    }
+
+    case 'blobDownloadFinish': {
+      // 与 download 相同，文件名模板中的标题和地址取发送方所在的标签页
+      const context = { title: sender.tab?.title, url: sender.tab?.url, ...params.context };
+      return await downloadOffscreenBlob(params.id, params.extension, context);
+    }
+
+    case 'startSelection':
+    case 'startContainerPick':
+    case 'startElementPick':
+    case 'startEndElementPick':
+    case 'startFileOpen': {
+      // 选区截图、滚动容器点选、元素截图、结束元素点选和打开文件都在页面内交互完成
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (!tab) return { success: false, error: 'NO_ACTIVE_TAB' };
       if (isRestrictedPage(tab.url)) {
@@ -812,20 +1973,77 @@ async function handleMessage(message, sender) {
       
       // 先尝试发送消息，如果失败则注入 content script
       try {
-        await chrome.tabs.sendMessage(tab.id, { action: 'startSelection' });
+        await chrome.tabs.sendMessage(tab.id, { action });
       } catch (e) {
         // Content script 可能未加载，手动注入并执行
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ['content.js']
-        });
-        // 等待脚本加载
-        await delay(100);
-        await chrome.tabs.sendMessage(tab.id, { action: 'startSelection' });
+        await injectContentScripts(tab.id);
+        await chrome.tabs.sendMessage(tab.id, { action });
       }
       return { success: true };
     }
 
+    case 'captureContainer': {
+      // 截取用户在页面上点选的滚动容器
+      const tabId = sender.tab?.id;
+      if (!tabId) return { success: false, error: 'NO_TAB_ID' };
+      const { format, quality } = await getOutputOptions(params.format, params.quality);
+      const result = await captureScrollContainer(tabId, params.containerInfo, format, quality);
+      if (result.success) {
+        await chrome.storage.local.set({
+          lastCapture: {
+            dataUrl: result.dataUrl,
+            dimensions: result.dimensions,
+            mode: 'container',
+            timestamp: Date.now()
+          }
+        });
+        await sendMessageToTab(tabId, {
+          action: 'showPreview',
+          dataUrl: result.dataUrl,
+          dimensions: result.dimensions,
+          mode: 'container',
+          output: result.output,
+          parts: result.parts,
+          format: result.format,
+          partial: result.partial
+        });
+      }
+      return result;
+    }
+
+    case 'captureToElement': {
+      // 从页面顶部截图到用户点选的元素底部
+      const tabId = sender.tab?.id;
+      if (!tabId) return { success: false, error: 'NO_TAB_ID' };
+      const { format, quality } = await getOutputOptions(params.format, params.quality);
+      const result = await captureFullPage(tabId, format, quality, null, true, {
+        startY: 0,
+        endY: params.endY
+      });
+      if (result.success) {
+        await chrome.storage.local.set({
+          lastCapture: {
+            dataUrl: result.dataUrl,
+            dimensions: result.dimensions,
+            mode: 'toElement',
+            timestamp: Date.now()
+          }
+        });
+        await sendMessageToTab(tabId, {
+          action: 'showPreview',
+          dataUrl: result.dataUrl,
+          dimensions: result.dimensions,
+          mode: 'toElement',
+          output: result.output,
+          parts: result.parts,
+          format: result.format,
+          partial: result.partial,
+          textLayer: result.textLayer
+        });
+      }
+      return result;
+    }
+
     case 'batchCaptureTab': {
       // 批量截图单个标签页
       const { tabId, format, quality } = params;
@@ -849,13 +2067,15 @@ async function handleMessage(message, sender) {
       const tabId = sender.tab?.id;
       if (!tabId) return { success: false, error: 'NO_TAB_ID' };
       const dpr = params.devicePixelRatio || 1;
-      const result = await captureSelectionArea(tabId, params.rect, params.format, params.quality, dpr);
+      const { format, quality } = await getOutputOptions(params.format, params.quality);
+      const result = await captureSelectionArea(tabId, params.rect, format, quality, dpr);
       if (result.success) {
         // 存储截图结果供popup使用
         await chrome.storage.local.set({
           lastCapture: {
             dataUrl: result.dataUrl,
             dimensions: result.dimensions,
+            mode: 'selection',
             timestamp: Date.now()
           }
         });
@@ -863,7 +2083,8 @@ async function handleMessage(message, sender) {
         await sendMessageToTab(tabId, {
           action: 'showPreview',
           dataUrl: result.dataUrl,
-          dimensions: result.dimensions
+          dimensions: result.dimensions,
+          mode: 'selection'
         });
       }
       return result;
@@ -873,14 +2094,15 @@ async function handleMessage(message, sender) {
       // 滚动选区完成，捕获可能跨越多个视口的选区
       const tabId = sender.tab?.id;
       if (!tabId) return { success: false, error: 'NO_TAB_ID' };
+      const { format, quality } = await getOutputOptions(params.format, params.quality);
       const result = await captureScrollSelection(
         tabId,
         params.rect,
         params.viewportHeight,
         params.viewportWidth,
         params.devicePixelRatio || 1,
-        params.format || 'png',
-        params.quality || 92,
+        format,
+        quality,
         params.containerInfo,
         params.currentScroll // 传递当前滚动位置
       );
@@ -889,13 +2111,19 @@ async function handleMessage(message, sender) {
           lastCapture: {
             dataUrl: result.dataUrl,
             dimensions: result.dimensions,
+            mode: 'selection',
             timestamp: Date.now()
           }
         });
         await sendMessageToTab(tabId, {
           action: 'showPreview',
           dataUrl: result.dataUrl,
-          dimensions: result.dimensions
+          dimensions: result.dimensions,
+          mode: 'selection',
+          output: result.output,
+          parts: result.parts,
+          format: result.format,
+          partial: result.partial
         });
       }
       return result;
@@ -922,9 +2150,14 @@ async function handleMessage(message, sender) {
  * @param {number} quality
  * @param {object} containerInfo - 滚动容器信息（可选）
  * @param {object} initialScroll - 选区完成时的滚动位置（可选）
+ * @param {function} onProgress - 进度回调（可选）
+ * @param {object} options - 截图选项（可选，截取内部滚动容器的全部内容时传入）
+ * @param {object} options.fixedElementPolicy - fixed/sticky 元素策略，每屏按策略处理；默认所有屏幕都隐藏
+ * @param {number} options.overlap - 相邻两屏的重叠高度（CSS 像素），拼接前按重叠区域修正接缝；默认不重叠
  * @returns {Promise<object>}
  */
-async function captureScrollSelection(tabId, rect, viewportHeight, viewportWidth, dpr = 1, format = 'png', quality = 92, containerInfo = null, initialScroll = null) {
+async function captureScrollSelection(tabId, rect, viewportHeight, viewportWidth, dpr = 1, format = 'png', quality = 92, containerInfo = null, initialScroll = null, onProgress = null, options = {}) {
+  const session = acquireCaptureSession(tabId);
   try {
     const tab = await chrome.tabs.get(tabId);
     if (isRestrictedPage(tab.url)) {
@@ -963,8 +2196,8 @@ async function captureScrollSelection(tabId, rect, viewportHeight, viewportWidth
     // 判断是否需要滚动截图
     const needsScrollCapture = selectionHeight > effectiveViewportHeight;
 
-    const captureOptions = { format: format === 'jpeg' ? 'jpeg' : 'png' };
-    if (format === 'jpeg') captureOptions.quality = quality;
+    format = await resolveOutputFormat(format);
+    const captureOptions = getCaptureOptions(format, quality);
 
     if (!needsScrollCapture) {
       // 选区在单个视口内，直接截图裁剪
@@ -1015,7 +2248,7 @@ async function captureScrollSelection(tabId, rect, viewportHeight, viewportWidth
         } else {
           await scrollPageTo(tabId, targetScrollX, targetScrollY);
         }
-        await delay(300);
+        await waitForPaint(tabId);
         
         // 重新获取滚动位置并计算裁剪坐标
         const actualScroll = useContainer 
@@ -1036,7 +2269,16 @@ async function captureScrollSelection(tabId, rect, viewportHeight, viewportWidth
         });
       }
       
-      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, captureOptions);
+      if (options.fixedElementPolicy) {
+        await applyFixedElementPolicy(tabId, options.fixedElementPolicy, true, true);
+        await waitForPaint(tabId);
+      }
+
+      const dataUrl = await captureTab(tab.windowId, captureOptions);
+
+      if (options.fixedElementPolicy) {
+        await restoreFixedElements(tabId);
+      }
 
       // 计算实际裁剪宽度，确保不超过容器可视区域（不包含滚动条）
       let actualCropWidth = selectionWidth;
@@ -1077,8 +2319,10 @@ async function captureScrollSelection(tabId, rect, viewportHeight, viewportWidth
     // 需要滚动截图
     await sendMessageToTab(tabId, { action: 'showProgress', percent: 0 });
 
-    // 选区截图时，所有屏幕都隐藏 fixed/sticky 元素
-    await hideFixedElements(tabId);
+    // 选区截图时，所有屏幕都隐藏 fixed/sticky 元素；指定策略时在每屏截图前按策略处理
+    if (!options.fixedElementPolicy) {
+      await hideFixedElements(tabId);
+    }
 
     // 计算实际裁剪宽度（在开始滚动前计算，确保所有截图使用相同的宽度）
     let finalCropWidth = selectionWidth;
@@ -1091,35 +2335,54 @@ async function captureScrollSelection(tabId, rect, viewportHeight, viewportWidth
 
     const screenshots = [];
     let capturedHeight = 0;
+    // 拼接位置按每张裁剪结果的实际像素高度累加，避免缩放比例为小数时出现亚像素偏移
+    let stitchedHeight = 0;
     
     // 使用有效视口高度作为每次捕获的步长
     const stepHeight = useContainer ? effectiveViewportHeight : viewportHeight;
+    // 重叠不超过半屏
+    const overlap = Math.min(Math.max(0, options.overlap || 0), Math.floor(stepHeight / 2));
+
+    let cancelled = false;
 
     while (capturedHeight < selectionHeight) {
-      // 计算当前需要捕获的高度
+      // 暂停时在此等待；取消后停止截图，已截取的部分按需保留
+      if (capturedHeight > 0 && await captureCheckpoint(session)) {
+        cancelled = true;
+        break;
+      }
+
+      // 计算当前需要捕获的高度；第一屏之后向上多截取重叠部分
+      const frameOverlap = Math.min(overlap, capturedHeight);
       const remainingHeight = selectionHeight - capturedHeight;
-      const captureHeight = Math.min(stepHeight, remainingHeight);
+      const captureHeight = Math.min(stepHeight - frameOverlap, remainingHeight);
+      const frameTop = selectionTop + capturedHeight - frameOverlap;
 
       // 计算滚动位置：让选区的当前部分出现在容器/视口顶部
-      const targetScrollY = selectionTop + capturedHeight;
+      const targetScrollY = frameTop;
 
       if (useContainer) {
         await scrollContainerTo(tabId, 0, targetScrollY);
       } else {
         await scrollPageTo(tabId, 0, targetScrollY);
       }
-      await delay(550);
+      await waitForPaint(tabId);
 
       // 获取实际滚动位置
       const actualScroll = useContainer
         ? await getContainerScrollPosition(tabId)
         : await getPageScrollPosition(tabId);
 
+      if (options.fixedElementPolicy) {
+        await applyFixedElementPolicy(tabId, options.fixedElementPolicy, capturedHeight === 0, capturedHeight + captureHeight >= selectionHeight);
+        await waitForPaint(tabId);
+      }
+
       // 截图前临时隐藏进度条（移出视口）
       await sendMessageToTab(tabId, { action: 'tempHideProgress' });
       await delay(30);
 
-      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, captureOptions);
+      const dataUrl = await captureTab(tab.windowId, captureOptions);
 
       // 截图后恢复进度条
       await sendMessageToTab(tabId, { action: 'tempShowProgress' });
@@ -1129,19 +2392,19 @@ async function captureScrollSelection(tabId, rect, viewportHeight, viewportWidth
       let cropX, cropY;
       if (useContainer) {
         // 对于内部容器：
-        // 选区在容器内容中的位置是 selectionTop + capturedHeight
+        // 本屏在容器内容中的位置是 frameTop
         // 容器滚动了 actualScroll.y
-        // 所以选区在容器可视区域中的位置是 (selectionTop + capturedHeight) - actualScroll.y
+        // 所以本屏在容器可视区域中的位置是 frameTop - actualScroll.y
         // 再加上容器在视口中的位置 containerViewportTop
         cropX = containerViewportLeft + (selectionLeft - actualScroll.x);
-        cropY = containerViewportTop + ((selectionTop + capturedHeight) - actualScroll.y);
+        cropY = containerViewportTop + (frameTop - actualScroll.y);
       } else {
         // 对于页面滚动：
-        // 选区在文档中的位置是 selectionTop + capturedHeight
+        // 本屏在文档中的位置是 frameTop
         // 页面滚动了 actualScroll.y
-        // 所以选区在视口中的位置是 (selectionTop + capturedHeight) - actualScroll.y
+        // 所以本屏在视口中的位置是 frameTop - actualScroll.y
         cropX = selectionLeft - actualScroll.x;
-        cropY = (selectionTop + capturedHeight) - actualScroll.y;
+        cropY = frameTop - actualScroll.y;
       }
 
       console.log('[captureScrollSelection] scroll capture:', {
@@ -1174,21 +2437,26 @@ async function captureScrollSelection(tabId, rect, viewportHeight, viewportWidth
         x: cropX,
         y: cropY,
         width: actualCropWidth,
-        height: captureHeight
+        height: captureHeight + frameOverlap
       };
 
       const croppedDataUrl = await cropImage(dataUrl, cropRect, format, quality, dpr);
+      const { height: frameHeight } = await getImageDimensions(croppedDataUrl);
 
+      // 重叠部分与上一屏的底部对齐
+      const frameY = stitchedHeight - Math.round(frameOverlap * dpr);
       screenshots.push({
         dataUrl: croppedDataUrl,
-        y: capturedHeight * dpr,
-        height: captureHeight * dpr
+        y: frameY,
+        height: frameHeight
       });
+      stitchedHeight = frameY + frameHeight;
 
       capturedHeight += captureHeight;
 
       // 更新进度（进度条已在截图后显示，这里更新百分比）
       const finalProgress = Math.round((capturedHeight / selectionHeight) * 100);
+      if (onProgress) onProgress(finalProgress);
       await sendMessageToTab(tabId, { action: 'updateProgress', percent: finalProgress });
     }
 
@@ -1203,15 +2471,39 @@ async function captureScrollSelection(tabId, rect, viewportHeight, viewportWidth
     }
     await sendMessageToTab(tabId, { action: 'hideProgress' });
 
-    // 拼接截图
+    if (cancelled && !session.keepPartial) {
+      return { success: false, error: 'CAPTURE_CANCELLED' };
+    }
+
+    // 在重叠区域比对像素行，修正每一屏的实际位置
+    if (overlap > 0 && screenshots.length > 1) {
+      await alignScreenshots(screenshots, Math.round(overlap * dpr));
+      const last = screenshots[screenshots.length - 1];
+      stitchedHeight = last.y + last.height;
+    }
+
+    // 拼接截图（取消时只拼接已截取的部分；超出 canvas 尺寸限制时按设置拆分或平铺）
     const finalWidth = Math.round(finalCropWidth * dpr);
-    const finalHeight = Math.round(selectionHeight * dpr);
-    const finalDataUrl = await stitchSelectionScreenshots(screenshots, finalWidth, finalHeight, dpr, format, quality);
+    const finalHeight = stitchedHeight;
+    const { oversizeMode } = await getSettings();
+    const stitched = await stitchScreenshots(screenshots, finalWidth, finalHeight, Math.round(stepHeight * dpr), format, quality, oversizeMode);
+    const images = stitched.images.map(image => ({
+      dataUrl: image.dataUrl,
+      dimensions: { width: Math.round(image.width / dpr), height: Math.round(image.height / dpr) }
+    }));
 
     return {
       success: true,
-      dataUrl: finalDataUrl,
-      dimensions: { width: Math.round(finalCropWidth), height: Math.round(selectionHeight) }
+      dataUrl: images[0].dataUrl,
+      dimensions: stitched.output === 'single'
+        ? { width: Math.round(finalCropWidth), height: Math.round(capturedHeight) }
+        : images[0].dimensions,
+      output: stitched.output,
+      parts: stitched.output === 'parts'
+        ? images.map((image, index) => ({ ...image, index: index + 1, total: images.length }))
+        : undefined,
+      format,
+      partial: cancelled
     };
   } catch (error) {
     console.error('Capture scroll selection failed:', error);
@@ -1220,70 +2512,89 @@ async function captureScrollSelection(tabId, rect, viewportHeight, viewportWidth
       await sendMessageToTab(tabId, { action: 'hideProgress' });
     } catch (e) {}
     return { success: false, error: error.message };
+  } finally {
+    releaseCaptureSession(tabId);
   }
 }
 
 /**
- * 查找可滚动容器的通用函数（在页面上下文中执行）
+ * 检测页面的主要内部滚动容器
+ * @param {number} tabId
+ * @returns {Promise<object|null>} 容器信息，没有找到时返回 null
  */
-function findScrollableContainerScript() {
-  const commonSelectors = [
-    '[data-is-streaming]',
-    'main[class*="overflow"]',
-    'div[class*="overflow-y-auto"]',
-    'div[class*="overflow-auto"]',
-    '[role="main"]',
-    'main',
-    '.main-content',
-    '#main-content',
-    '.chat-messages',
-    '.messages-container',
-    '.conversation',
-  ];
-
-  function isScrollable(el) {
-    if (!el) return false;
-    const style = window.getComputedStyle(el);
-    const overflowY = style.overflowY;
-    return (overflowY === 'auto' || overflowY === 'scroll') && el.scrollHeight > el.clientHeight + 10;
-  }
-
-  // 首先尝试常见选择器
-  for (const selector of commonSelectors) {
+async function findPageScrollContainer(tabId) {
+  const message = { action: 'findScrollContainer' };
+  try {
+    return await chrome.tabs.sendMessage(tabId, message) || null;
+  } catch (error) {
+    // Content script 未加载时注入后重试
     try {
-      const elements = document.querySelectorAll(selector);
-      for (const el of elements) {
-        if (isScrollable(el)) {
-          return el;
-        }
-      }
-    } catch (e) {}
+      await injectContentScripts(tabId);
+      return await chrome.tabs.sendMessage(tabId, message) || null;
+    } catch (e) {
+      console.error('Find scroll container failed:', e);
+      return null;
+    }
   }
+}
 
-  // 如果没找到，遍历查找最大的可滚动容器
-  const allElements = document.querySelectorAll('div, main, section, article');
-  let bestContainer = null;
-  let bestScore = 0;
-
-  for (const el of allElements) {
-    if (isScrollable(el)) {
-      const rect = el.getBoundingClientRect();
-      const visibleArea = rect.width * rect.height;
-      const viewportArea = window.innerWidth * window.innerHeight;
-      const areaRatio = visibleArea / viewportArea;
-      const scrollableHeight = el.scrollHeight - el.clientHeight;
-      
-      if (areaRatio > 0.3 && scrollableHeight > 100) {
-        const score = scrollableHeight * areaRatio;
-        if (score > bestScore) {
-          bestScore = score;
-          bestContainer = el;
-        }
-      }
+/**
+ * 移除滚动容器标记
+ * @param {number} tabId
+ */
+async function releaseScrollContainer(tabId) {
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => {
+      document.querySelectorAll('[data-scroll-capture-container]').forEach(el => el.removeAttribute('data-scroll-capture-container'));
     }
-  }
+  });
+}
 
-  return bestContainer;
+/**
+ * 截取整个内部滚动容器（复用选区滚动截图，选区为容器的全部内容）
+ * @param {number} tabId
+ * @param {object} containerInfo - 容器信息（describeScrollContainer 返回）
+ * @param {string} format - 图片格式
+ * @param {number} quality - JPEG质量
+ * @param {function} onProgress - 进度回调
+ * @param {object} options - 截图选项（全页截图转为截取容器时传入）
+ * @param {number} options.startY - 截图起始位置（容器内容坐标），默认容器顶部
+ * @param {number} options.endY - 截图结束位置（容器内容坐标），默认容器底部
+ * @param {object} options.fixedElementPolicy - fixed/sticky 元素策略，默认全部隐藏
+ * @param {number} options.overlap - 相邻两屏的重叠高度（CSS 像素），用于接缝检测
+ * @returns {Promise<{success: boolean, dataUrl?: string, error?: string}>}
+ */
+async function captureScrollContainer(tabId, containerInfo, format = 'png', quality = 92, onProgress = null, options = {}) {
+  try {
+    const startY = options.startY || 0;
+    const rect = {
+      x: 0,
+      y: startY,
+      width: Math.min(containerInfo.clientWidth, containerInfo.scrollWidth),
+      height: (options.endY || containerInfo.scrollHeight) - startY
+    };
+    console.log('[ScrollCapture] Capturing scroll container:', rect);
+
+    const result = await captureScrollSelection(
+      tabId,
+      rect,
+      containerInfo.windowHeight,
+      containerInfo.windowWidth,
+      containerInfo.devicePixelRatio || 1,
+      format,
+      quality,
+      containerInfo,
+      null,
+      onProgress,
+      { fixedElementPolicy: options.fixedElementPolicy, overlap: options.overlap }
+    );
+    return { ...result, container: true };
+  } finally {
+    try {
+      await releaseScrollContainer(tabId);
+    } catch (e) {}
+  }
 }
 
 /**
@@ -1294,6 +2605,12 @@ async function getContainerScrollPosition(tabId) {
     const results = await chrome.scripting.executeScript({
       target: { tabId },
       func: () => {
+        // 优先使用已标记的容器（全页自动检测或用户点选的容器）
+        const marked = document.querySelector('[data-scroll-capture-container]');
+        if (marked) {
+          return { x: marked.scrollLeft, y: marked.scrollTop };
+        }
+
         // 内联容器查找逻辑
         const commonSelectors = [
           '[data-is-streaming]',
@@ -1371,6 +2688,13 @@ async function scrollContainerTo(tabId, x, y) {
   await chrome.scripting.executeScript({
     target: { tabId },
     func: (scrollX, scrollY) => {
+      // 优先使用已标记的容器（全页自动检测或用户点选的容器）
+      const marked = document.querySelector('[data-scroll-capture-container]');
+      if (marked) {
+        marked.scrollTo({ top: scrollY, left: scrollX, behavior: 'instant' });
+        return;
+      }
+
       // 内联容器查找逻辑
       const commonSelectors = [
         '[data-is-streaming]',
@@ -1499,15 +2823,18 @@ async function getPageScrollPosition(tabId) {
 
 /**
  * 滚动页面到指定位置（只滚动 window，不考虑容器）
+ * @returns {Promise<{x: number, y: number}|undefined>} 页面实际滚动到的位置
  */
 async function scrollPageTo(tabId, x, y) {
-  await chrome.scripting.executeScript({
+  const results = await chrome.scripting.executeScript({
     target: { tabId },
     func: (scrollX, scrollY) => {
       window.scrollTo({ top: scrollY, left: scrollX, behavior: 'instant' });
+      return { x: window.scrollX, y: window.scrollY };
     },
     args: [x, y]
   });
+  return results[0]?.result;
 }
 
 /**
@@ -1547,35 +2874,6 @@ async function scrollToPositionEx(tabId, y, useContainer = false) {
   });
 }
 
-/**
- * 拼接选区截图
- */
-async function stitchSelectionScreenshots(screenshots, totalWidth, totalHeight, dpr, format, quality) {
-  const canvas = new OffscreenCanvas(totalWidth, totalHeight);
-  const ctx = canvas.getContext('2d');
-
-  let currentY = 0;
-  for (const screenshot of screenshots) {
-    const img = await createImageBitmap(await fetch(screenshot.dataUrl).then(r => r.blob()));
-    console.log('[stitchSelectionScreenshots] drawing at y:', currentY, 'img size:', img.width, 'x', img.height);
-    // 使用实际图片高度来计算下一个位置，而不是预期高度
-    ctx.drawImage(img, 0, currentY);
-    currentY += img.height;
-  }
-
-  const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
-  const blob = await canvas.convertToBlob({
-    type: mimeType,
-    quality: format === 'jpeg' ? quality / 100 : undefined
-  });
-
-  return new Promise((resolve) => {
-    const reader = new FileReader();
-    reader.onloadend = () => resolve(reader.result);
-    reader.readAsDataURL(blob);
-  });
-}
-
 /**
  * 捕获选区截图
  * @param {number} tabId
@@ -1593,11 +2891,12 @@ async function captureSelectionArea(tabId, rect, format = 'png', quality = 92, d
       return { success: false, error: 'RESTRICTED_PAGE' };
     }
 
+    format = await resolveOutputFormat(format);
+
     // 先捕获整个可视区域
-    const captureOptions = { format: format === 'jpeg' ? 'jpeg' : 'png' };
-    if (format === 'jpeg') captureOptions.quality = quality;
+    const captureOptions = getCaptureOptions(format, quality);
 
-    const fullDataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, captureOptions);
+    const fullDataUrl = await captureTab(tab.windowId, captureOptions);
 
     // 裁剪选区，传入设备像素比
     const croppedDataUrl = await cropImage(fullDataUrl, rect, format, quality, dpr);
@@ -1678,11 +2977,7 @@ async function cropImage(dataUrl, rect, format, quality, dpr = 1) {
 
   ctx.drawImage(img, srcX, srcY, srcW, srcH, 0, 0, srcW, srcH);
   
-  const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
-  const resultBlob = await canvas.convertToBlob({ 
-    type: mimeType, 
-    quality: format === 'jpeg' ? quality / 100 : undefined 
-  });
+  const resultBlob = await canvas.convertToBlob(getEncodeOptions(format, quality));
   
   return new Promise((resolve) => {
     const reader = new FileReader();
@@ -1720,12 +3015,44 @@ async function startBatchCaptureFromStorage() {
     
     // 执行批量截图，传入进度回调和截图模式
     const result = await batchCaptureAllTabs(tabIds, format, quality, tabInfoMap, originalTabId, captureMode);
+
+    // 用户取消且不保留结果时，回到原始标签页提示即可
+    if (!result.success) {
+      if (originalTabId) {
+        await chrome.tabs.update(originalTabId, { active: true });
+        await sendMessageToTab(originalTabId, {
+          action: 'showToast',
+          messageKey: 'captureCancelled',
+          message: '截图已取消'
+        });
+      }
+      console.log('[BatchCapture] Batch capture cancelled');
+      return;
+    }
     
     // 准备结果数据用于预览
     const resultsForPreview = [];
     for (const tabId of tabIds) {
       const tabResult = result.results[tabId];
+      // 批量截图被取消时，之后的标签页没有结果
+      if (!tabResult) continue;
       const tabInfo = tabInfoMap[tabId] || {};
+      // 超长页面被拆分为多张图片时，每张图片单独作为一个结果
+      if (tabResult?.success && tabResult.parts) {
+        for (const part of tabResult.parts) {
+          resultsForPreview.push({
+            tabId,
+            title: `${tabInfo.title || ''}_part${part.index}`,
+            url: tabInfo.url || '',
+            success: true,
+            dataUrl: part.dataUrl,
+            dimensions: part.dimensions,
+            capturedAt: tabResult.capturedAt,
+            error: null
+          });
+        }
+        continue;
+      }
       resultsForPreview.push({
         tabId,
         title: tabInfo.title || '',
@@ -1733,6 +3060,7 @@ async function startBatchCaptureFromStorage() {
         success: tabResult?.success || false,
         dataUrl: tabResult?.dataUrl || null,
         dimensions: tabResult?.dimensions || null,
+        capturedAt: tabResult?.capturedAt || null,
         error: tabResult?.error || null
       });
     }
@@ -1747,7 +3075,8 @@ async function startBatchCaptureFromStorage() {
         await sendMessageToTab(originalTabId, {
           action: 'showBatchResults',
           results: resultsForPreview,
-          format: format
+          format: format,
+          partial: result.partial
         });
         console.log(`[BatchCapture] Results panel should be visible now`);
       } catch (e) {
@@ -1773,20 +3102,36 @@ async function startBatchCaptureFromStorage() {
 async function batchCaptureAllTabs(tabIds, format = 'png', quality = 92, tabInfoMap = {}, progressTabId = null, captureMode = 'full') {
   const results = {};
   const total = tabIds.length;
-  
-  for (let i = 0; i < tabIds.length; i++) {
-    const tabId = tabIds[i];
-    
-    try {
-      // 在截图前，在目标标签页显示进度
-      const result = await captureBatchTabWithProgress(tabId, format, quality, i + 1, total, captureMode);
-      results[tabId] = result;
-    } catch (error) {
-      results[tabId] = { success: false, error: error.message };
+  // 所有标签页共用一个任务，在任一标签页上暂停或取消都作用于整个批量截图
+  // 任务在整个批量截图期间登记在每个标签页（及发起的标签页）上，切换标签页的间隙也能暂停或取消
+  const session = { cancelled: false, paused: false, keepPartial: false };
+  const sessionTabIds = [...new Set([...tabIds, progressTabId].filter(id => id != null))];
+  sessionTabIds.forEach(tabId => acquireCaptureSession(tabId, session));
+
+  try {
+    for (let i = 0; i < tabIds.length; i++) {
+      const tabId = tabIds[i];
+
+      if (await captureCheckpoint(session)) break;
+
+      try {
+        // 在截图前，在目标标签页显示进度
+        const result = await captureBatchTabWithProgress(tabId, format, quality, i + 1, total, captureMode);
+        results[tabId] = { ...result, capturedAt: Date.now() };
+      } catch (error) {
+        results[tabId] = { success: false, error: error.message, capturedAt: Date.now() };
+      }
     }
+  } finally {
+    sessionTabIds.forEach(tabId => releaseCaptureSession(tabId));
+  }
+
+  if (session.cancelled && !session.keepPartial) {
+    return { success: false, error: 'CAPTURE_CANCELLED', results };
   }
   
-  return { success: true, results };
+  // 取消时只包含已截取的标签页
+  return { success: true, results, partial: session.cancelled };
 }
 
 /**
@@ -1806,7 +3151,7 @@ async function captureBatchTabWithProgress(tabId, format, quality, current, tota
     // 激活标签页
     console.log(`[BatchCapture] Activating tab ${tabId}`);
     await chrome.tabs.update(tabId, { active: true });
-    await delay(300);
+    await waitForPaint(tabId);
     
     // 在当前标签页显示进度
     console.log(`[BatchCapture] Showing progress on tab ${tabId}`);
@@ -1866,7 +3211,7 @@ async function captureBatchTab(tabId, format = 'png', quality = 92) {
     if (!wasActive) {
       await chrome.tabs.update(tabId, { active: true });
       // 等待标签页激活和渲染
-      await delay(500);
+      await waitForPaint(tabId);
     }
 
     // 执行全页截图
@@ -1884,106 +3229,7 @@ async function captureBatchTab(tabId, format = 'png', quality = 92) {
  * 不显示进度条，减少UI干扰
  */
 async function captureFullPageForBatch(tabId, format = 'png', quality = 92) {
-  try {
-    const tab = await chrome.tabs.get(tabId);
-
-    if (isRestrictedPage(tab.url)) {
-      return { success: false, error: 'RESTRICTED_PAGE' };
-    }
-
-    // 获取页面滚动信息
-    const scrollInfo = await getScrollInfo(tabId);
-    if (!scrollInfo) {
-      return { success: false, error: 'CANNOT_GET_SCROLL_INFO' };
-    }
-
-    const { scrollHeight, viewportHeight, viewportWidth, devicePixelRatio } = scrollInfo;
-    const dpr = devicePixelRatio || 1;
-
-    // 保存原始滚动位置
-    const originalScrollY = scrollInfo.currentScrollY;
-
-    // 隐藏滚动条
-    await hideScrollbar(tabId);
-
-    // 先滚动到顶部并捕获第一张
-    await scrollToPosition(tabId, 0);
-    await delay(300);
-
-    const captureOptions = { format: format === 'jpeg' ? 'jpeg' : 'png' };
-    if (format === 'jpeg') captureOptions.quality = quality;
-
-    const firstDataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, captureOptions);
-    const firstImgDimensions = await getImageDimensions(firstDataUrl);
-
-    const captureWidth = firstImgDimensions.width;
-    const captureViewportHeight = firstImgDimensions.height;
-    const totalHeight = Math.ceil(scrollHeight * dpr);
-    const totalScrolls = Math.ceil(scrollHeight / viewportHeight);
-
-    const screenshots = [{
-      dataUrl: firstDataUrl,
-      y: 0,
-      height: captureViewportHeight,
-      isLast: totalScrolls === 1
-    }];
-
-    // 如果需要多次截图，隐藏 fixed/sticky 元素
-    if (totalScrolls > 1) {
-      await hideFixedElements(tabId);
-    }
-
-    // 继续捕获剩余部分
-    for (let i = 1; i < totalScrolls; i++) {
-      const scrollY = i * viewportHeight;
-      const isLastScroll = i === totalScrolls - 1;
-
-      await scrollToPosition(tabId, scrollY);
-      await delay(550);
-
-      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, captureOptions);
-
-      let captureHeight = captureViewportHeight;
-      if (isLastScroll) {
-        captureHeight = totalHeight - (i * captureViewportHeight);
-        if (captureHeight <= 0) captureHeight = captureViewportHeight;
-      }
-
-      screenshots.push({
-        dataUrl,
-        y: i * captureViewportHeight,
-        height: captureHeight,
-        isLast: isLastScroll
-      });
-    }
-
-    // 恢复 fixed/sticky 元素
-    if (totalScrolls > 1) {
-      await restoreFixedElements(tabId);
-    }
-
-    // 恢复滚动条
-    await restoreScrollbar(tabId);
-
-    // 恢复原始滚动位置
-    await scrollToPosition(tabId, originalScrollY);
-
-    // 拼接截图
-    const finalDataUrl = await stitchScreenshots(screenshots, captureWidth, totalHeight, captureViewportHeight, format, quality);
-
-    return {
-      success: true,
-      dataUrl: finalDataUrl,
-      dimensions: { width: Math.round(captureWidth / dpr), height: scrollHeight }
-    };
-  } catch (error) {
-    console.error('Capture full page for batch failed:', error);
-    try {
-      await restoreFixedElements(tabId);
-      await restoreScrollbar(tabId);
-    } catch (e) {}
-    return { success: false, error: error.message };
-  }
+  return await captureFullPage(tabId, format, quality, null, false);
 }
 
 // ============================================
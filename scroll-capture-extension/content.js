@@ -10,6 +10,7 @@
   // 编辑工具类型
   const TOOL_TYPES = {
     NONE: 'none',
+    SELECT: 'select',
     RECT: 'rect',
     ELLIPSE: 'ellipse',
     ARROW: 'arrow',
@@ -17,6 +18,9 @@
     PEN: 'pen',
     MARKER: 'marker',
     TEXT: 'text',
+    COUNTER: 'counter',
+    CALLOUT: 'callout',
+    SPOTLIGHT: 'spotlight',
     MOSAIC: 'mosaic',
     BLUR: 'blur',
     CROP: 'crop',
@@ -31,6 +35,17 @@
   // 预设线条宽度
   const STROKE_WIDTHS = [2, 4, 6, 8];
 
+  // 步骤编号的形状
+  const COUNTER_SHAPES = ['circle', 'square', 'diamond'];
+
+  // 标注框的形状：圆角矩形和对话气泡
+  const CALLOUT_SHAPES = ['box', 'bubble'];
+  const CALLOUT_DEFAULT_WIDTH = 220;
+  const CALLOUT_DEFAULT_HEIGHT = 80;
+
+  // 聚光灯压暗选区以外区域的不透明度
+  const SPOTLIGHT_DIM_OPACITY = 0.55;
+
   // 美化模板类型
   const TEMPLATE_TYPES = {
     NONE: 'none',
@@ -41,6 +56,629 @@
     POLAROID: 'polaroid',
   };
 
+  // 撤销记录的内存上限（字节），超长截图上打码、裁剪时保存的像素计入其中
+  const EDITOR_HISTORY_BUDGET = 256 * 1024 * 1024;
+
+  // 文字标注使用的字体
+  const EDITOR_FONT_FAMILY = "-apple-system,BlinkMacSystemFont,'PingFang SC','Microsoft YaHei',sans-serif";
+
+  // 文字工具可选的字体和字号
+  const TEXT_FONTS = [
+    { id: 'sans', labelKey: 'editorFontSans', family: EDITOR_FONT_FAMILY },
+    { id: 'serif', labelKey: 'editorFontSerif', family: "Georgia,'Songti SC','SimSun',serif" },
+    { id: 'mono', labelKey: 'editorFontMono', family: "'SF Mono',Menlo,Consolas,'Courier New',monospace" },
+  ];
+  const TEXT_SIZES = [12, 14, 16, 20, 24, 32, 48, 64];
+
+  // 文字背景的不透明度
+  const TEXT_BACKGROUND_OPACITY = 0.85;
+
+  // 可编辑 SVG 中底图和标注元素的标记属性，重新打开时据此还原
+  const SVG_BASE_ATTR = 'data-scrollsnap-base';
+  const SVG_ANNOTATION_ATTR = 'data-scrollsnap-annotation';
+  const SVG_LEGEND_ATTR = 'data-scrollsnap-legend';
+
+  /**
+   * 平移标注，返回新对象（历史记录中保存的标注不会被修改）
+   */
+  function translateAnnotation(annotation, dx, dy) {
+    const moved = { ...annotation };
+    if ('x' in moved) { moved.x += dx; moved.y += dy; }
+    if ('x1' in moved) { moved.x1 += dx; moved.y1 += dy; moved.x2 += dx; moved.y2 += dy; }
+    if (moved.points) moved.points = moved.points.map(p => ({ x: p.x + dx, y: p.y + dy }));
+    if ('tailX' in moved) { moved.tailX += dx; moved.tailY += dy; }
+    return moved;
+  }
+
+  /**
+   * 标注的外接矩形，文字需要用 ctx 测量宽度
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  function getAnnotationBounds(a, ctx) {
+    const fromPoints = (points) => {
+      const xs = points.map(p => p.x), ys = points.map(p => p.y);
+      const x = Math.min(...xs), y = Math.min(...ys);
+      return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    };
+    switch (a.type) {
+      case TOOL_TYPES.LINE:
+      case TOOL_TYPES.ARROW:
+        return fromPoints([{ x: a.x1, y: a.y1 }, { x: a.x2, y: a.y2 }]);
+      case TOOL_TYPES.PEN:
+      case TOOL_TYPES.MARKER:
+        return fromPoints(a.points);
+      case TOOL_TYPES.TEXT: {
+        const layout = getTextLayout(ctx, a);
+        return { x: a.x, y: a.y, width: layout.width, height: layout.lines.length * layout.lineHeight };
+      }
+      case TOOL_TYPES.COUNTER:
+        return { x: a.x - a.size / 2, y: a.y - a.size / 2, width: a.size, height: a.size };
+      default:
+        return { x: a.x, y: a.y, width: a.width, height: a.height };
+    }
+  }
+
+  /**
+   * 将标注从一个外接矩形缩放到另一个，返回新对象；文字按高度等比缩放字号，步骤编号保持正方形
+   */
+  function scaleAnnotation(annotation, from, to) {
+    const sx = from.width ? to.width / from.width : 1;
+    const sy = from.height ? to.height / from.height : 1;
+    const mapX = (x) => to.x + (x - from.x) * sx;
+    const mapY = (y) => to.y + (y - from.y) * sy;
+    const scaled = { ...annotation };
+    if (scaled.type === TOOL_TYPES.TEXT) {
+      scaled.x = to.x; scaled.y = to.y;
+      scaled.fontSize = Math.max(8, Math.round(scaled.fontSize * sy));
+    } else if (scaled.type === TOOL_TYPES.COUNTER) {
+      scaled.size = Math.max(12, Math.min(to.width, to.height));
+      scaled.x = to.x + to.width / 2; scaled.y = to.y + to.height / 2;
+    } else if ('width' in scaled) {
+      Object.assign(scaled, { x: to.x, y: to.y, width: to.width, height: to.height });
+    } else if ('x1' in scaled) {
+      Object.assign(scaled, { x1: mapX(scaled.x1), y1: mapY(scaled.y1), x2: mapX(scaled.x2), y2: mapY(scaled.y2) });
+    } else if (scaled.points) {
+      scaled.points = scaled.points.map(p => ({ x: mapX(p.x), y: mapY(p.y) }));
+    }
+    return scaled;
+  }
+
+  // 粗略估计标注占用的内存，用于撤销记录的预算
+  function estimateAnnotationBytes(a) {
+    return 64 + (a.points ? a.points.length * 32 : 0) + ((a.text || a.label || '').length * 2);
+  }
+
+  // 两个标注列表本身加上新出现的标注（未变的标注对象前后共享，不重复计算）
+  function estimateAnnotationListBytes(before, after) {
+    const previous = new Set(before);
+    return 8 * (before.length + after.length) + after.reduce((sum, a) => sum + (previous.has(a) ? 0 : estimateAnnotationBytes(a)), 0);
+  }
+
+  function distanceToSegment(px, py, x1, y1, x2, y2) {
+    const dx = x2 - x1, dy = y2 - y1;
+    const t = dx || dy ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / (dx * dx + dy * dy))) : 0;
+    return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+  }
+
+  function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+  }
+
+  /**
+   * 将标注转换为 SVG 元素，标注数据同时写入属性，便于重新载入编辑器
+   * @param {object} a
+   * @param {Array} annotations - 全部标注，用于计算步骤编号
+   */
+  function annotationToSvg(a, annotations) {
+    const n = (value) => Math.round(value * 100) / 100;
+    const color = escapeXml(a.color);
+    const data = ` ${SVG_ANNOTATION_ATTR}="${escapeXml(JSON.stringify(a))}"`;
+    const stroke = (width) => `stroke="${color}" stroke-width="${n(width)}" stroke-linecap="round" stroke-linejoin="round"`;
+    const paint = a.fill ? `fill="${color}"` : `fill="none" ${stroke(a.strokeWidth)}`;
+    switch (a.type) {
+      case TOOL_TYPES.RECT:
+        return `<rect${data} x="${n(a.x)}" y="${n(a.y)}" width="${n(a.width)}" height="${n(a.height)}" ${paint}/>`;
+      case TOOL_TYPES.ELLIPSE:
+        return `<ellipse${data} cx="${n(a.x + a.width / 2)}" cy="${n(a.y + a.height / 2)}" rx="${n(a.width / 2)}" ry="${n(a.height / 2)}" ${paint}/>`;
+      case TOOL_TYPES.LINE:
+        return `<line${data} x1="${n(a.x1)}" y1="${n(a.y1)}" x2="${n(a.x2)}" y2="${n(a.y2)}" ${stroke(a.strokeWidth)}/>`;
+      case TOOL_TYPES.ARROW: {
+        // 箭头头部与 _drawArrow 一致
+        const headLen = a.strokeWidth * 4, angle = Math.atan2(a.y2 - a.y1, a.x2 - a.x1);
+        const head = [[a.x2, a.y2],
+          [a.x2 - headLen * Math.cos(angle - Math.PI / 6), a.y2 - headLen * Math.sin(angle - Math.PI / 6)],
+          [a.x2 - headLen * Math.cos(angle + Math.PI / 6), a.y2 - headLen * Math.sin(angle + Math.PI / 6)]];
+        return `<g${data}><line x1="${n(a.x1)}" y1="${n(a.y1)}" x2="${n(a.x2)}" y2="${n(a.y2)}" ${stroke(a.strokeWidth)}/>` +
+          `<polygon points="${head.map(([x, y]) => `${n(x)},${n(y)}`).join(' ')}" fill="${color}"/></g>`;
+      }
+      case TOOL_TYPES.PEN:
+      case TOOL_TYPES.MARKER: {
+        const d = a.points.map((p, i) => `${i ? 'L' : 'M'}${n(p.x)} ${n(p.y)}`).join(' ');
+        return a.type === TOOL_TYPES.MARKER
+          ? `<path${data} d="${d}" fill="none" ${stroke(a.strokeWidth * 4)} opacity="0.4"/>`
+          : `<path${data} d="${d}" fill="none" ${stroke(a.strokeWidth)}/>`;
+      }
+      case TOOL_TYPES.TEXT: {
+        // 排版、背景和描边与 drawTextAnnotation 一致
+        const layout = getTextLayout(getMeasureContext(), a);
+        const contrast = getContrastTextColor(a.color);
+        const lines = layout.lines.map((line, i) => `<tspan x="${n(layout.anchorX)}" y="${n(a.y + i * layout.lineHeight)}">${escapeXml(line)}</tspan>`);
+        const anchor = { center: 'middle', right: 'end' }[a.align] || 'start';
+        const font = `font-size="${a.fontSize}" font-family="${escapeXml(getTextFontFamily(a))}"${a.bold ? ' font-weight="bold"' : ''}${a.italic ? ' font-style="italic"' : ''}`;
+        const outline = a.effect === 'outline' ? ` stroke="${contrast}" stroke-width="${n(Math.max(2, a.fontSize * 0.15))}" stroke-linejoin="round" paint-order="stroke"` : '';
+        const text = (attrs) => `<text${attrs} ${font} fill="${color}" text-anchor="${anchor}"${outline} dominant-baseline="text-before-edge" xml:space="preserve">${lines.join('')}</text>`;
+        if (a.effect !== 'background') return text(data);
+        const p = layout.padding;
+        return `<g${data}><rect x="${n(a.x - p)}" y="${n(a.y - p)}" width="${n(layout.width + p * 2)}" height="${n(layout.lines.length * layout.lineHeight + p * 2)}" rx="${p}" ` +
+          `fill="${contrast}" fill-opacity="${TEXT_BACKGROUND_OPACITY}"/>${text('')}</g>`;
+      }
+      case TOOL_TYPES.COUNTER: {
+        // 徽标与 drawCounterBadge 一致
+        const r = a.size / 2, text = String(getCounterNumber(annotations, a));
+        const outline = `fill="${color}" stroke="#FFFFFF" stroke-width="${n(Math.max(1.5, a.size * 0.06))}"`;
+        const shape = a.shape === 'square'
+          ? `<rect x="${n(a.x - r)}" y="${n(a.y - r)}" width="${n(a.size)}" height="${n(a.size)}" rx="${n(a.size * 0.2)}" ${outline}/>`
+          : a.shape === 'diamond'
+            ? `<polygon points="${n(a.x)},${n(a.y - r)} ${n(a.x + r)},${n(a.y)} ${n(a.x)},${n(a.y + r)} ${n(a.x - r)},${n(a.y)}" ${outline}/>`
+            : `<circle cx="${n(a.x)}" cy="${n(a.y)}" r="${n(r)}" ${outline}/>`;
+        const fontSize = Math.round(a.size * (a.shape === 'diamond' ? 0.8 : 1) * (text.length > 1 ? 0.45 : 0.55));
+        return `<g${data}>${shape}<text x="${n(a.x)}" y="${n(a.y + a.size * 0.03)}" font-size="${fontSize}" font-weight="bold" font-family="${escapeXml(EDITOR_FONT_FAMILY)}" ` +
+          `fill="${getContrastTextColor(a.color)}" text-anchor="middle" dominant-baseline="central">${text}</text></g>`;
+      }
+      case TOOL_TYPES.CALLOUT: {
+        // 形状和文字布局与 drawCallout 一致，阴影用 CSS 滤镜
+        const tail = getCalloutTail(a).map(p => `${n(p.x)},${n(p.y)}`).join(' ');
+        const body = a.shape === 'bubble'
+          ? `<ellipse cx="${n(a.x + a.width / 2)}" cy="${n(a.y + a.height / 2)}" rx="${n(a.width / 2)}" ry="${n(a.height / 2)}"/>`
+          : `<rect x="${n(a.x)}" y="${n(a.y)}" width="${n(a.width)}" height="${n(a.height)}" rx="${n(getCalloutRadius(a))}"/>`;
+        const layout = layoutCalloutText(getMeasureContext(), a);
+        const top = layout.y + Math.max(0, (layout.height - layout.lines.length * layout.lineHeight) / 2);
+        const lines = layout.lines.map((line, i) => `<tspan x="${n(layout.x + layout.width / 2)}" y="${n(top + layout.lineHeight * (i + 0.5))}">${escapeXml(line)}</tspan>`);
+        const text = lines.length
+          ? `<text font-size="${a.fontSize}" font-family="${escapeXml(EDITOR_FONT_FAMILY)}" fill="${getContrastTextColor(a.color)}" text-anchor="middle" dominant-baseline="central" xml:space="preserve">${lines.join('')}</text>`
+          : '';
+        return `<g${data}><g fill="${color}" style="filter: drop-shadow(0 2px 4px rgba(0,0,0,0.3))">${body}<polygon points="${tail}"/></g>${text}</g>`;
+      }
+      case TOOL_TYPES.SPOTLIGHT:
+        // 压暗效果由 spotlightsToSvg 统一生成，这里只保存标注数据
+        return `<rect${data} x="${n(a.x)}" y="${n(a.y)}" width="${n(a.width)}" height="${n(a.height)}" fill="none"/>`;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * 解析编辑器导出的 SVG，返回底图和标注；不是编辑器导出的 SVG 返回 null
+   * @param {string} svgText
+   * @returns {{dataUrl: string, annotations: Array, counterLegend: boolean}|null}
+   */
+  function parseEditableSvg(svgText) {
+    const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+    const image = doc.querySelector(`image[${SVG_BASE_ATTR}]`);
+    if (!image) return null;
+    const dataUrl = image.getAttribute('href') || image.getAttributeNS('http://www.w3.org/1999/xlink', 'href');
+    if (!dataUrl || !dataUrl.startsWith('data:image/')) return null;
+
+    const annotations = [];
+    doc.querySelectorAll(`[${SVG_ANNOTATION_ATTR}]`).forEach(el => {
+      try {
+        const annotation = JSON.parse(el.getAttribute(SVG_ANNOTATION_ATTR));
+        if (!Object.values(TOOL_TYPES).includes(annotation.type)) return;
+        // 文字以元素内容为准，直接修改 SVG 里的文字后重新打开同样生效
+        if (annotation.type === TOOL_TYPES.TEXT) {
+          annotation.text = Array.from(el.querySelectorAll('tspan'), tspan => tspan.textContent).join('\n');
+        }
+        annotations.push(annotation);
+      } catch (e) {
+        console.warn('[ScrollCapture] Invalid SVG annotation:', e);
+      }
+    });
+    return { dataUrl, annotations, counterLegend: !!doc.querySelector(`[${SVG_LEGEND_ATTR}]`) };
+  }
+
+  /**
+   * 截断文字使其不超过指定宽度
+   */
+  function fitCanvasText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let end = text.length;
+    while (end > 0 && ctx.measureText(text.slice(0, end) + '…').width > maxWidth) end--;
+    return text.slice(0, end) + '…';
+  }
+
+  /**
+   * 来源信息栏的截图时间，带时区便于取证
+   * @param {number} timestamp
+   * @returns {string} 如 2026-01-02 15:04:05 UTC+08:00
+   */
+  function formatStampTime(timestamp) {
+    const date = new Date(timestamp || Date.now());
+    const pad = (value) => String(value).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    const zone = `UTC${offset >= 0 ? '+' : '-'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${zone}`;
+  }
+
+  /**
+   * 信息栏布局，字号随图片宽度缩放
+   * @param {number} width - 图片宽度
+   * @param {object} stamp - {title, url, capturedAt, note}
+   */
+  function getStampLayout(width, stamp) {
+    const fontSize = Math.max(12, Math.min(32, Math.round(width / 90)));
+    const lineHeight = Math.round(fontSize * 1.5);
+    const padding = Math.round(fontSize * 0.75);
+    const rows = stamp.note ? 3 : 2;
+    return { fontSize, lineHeight, padding, height: padding * 2 + lineHeight * rows };
+  }
+
+  /**
+   * 在 y 处绘制来源信息栏：第一行标题和截图时间，第二行网址，有备注时第三行为备注
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} y
+   * @param {number} width
+   * @param {object} stamp - {position, title, url, capturedAt, note}
+   */
+  function drawStampBand(ctx, y, width, stamp) {
+    const { fontSize, lineHeight, padding, height } = getStampLayout(width, stamp);
+    const maxTextWidth = width - padding * 2;
+    ctx.save();
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, y, width, height);
+    ctx.fillStyle = '#E5E5E5';
+    ctx.fillRect(0, stamp.position === 'header' ? y + height - 1 : y, width, 1);
+    ctx.textBaseline = 'middle';
+
+    let rowY = y + padding + lineHeight / 2;
+    const time = formatStampTime(stamp.capturedAt);
+    ctx.font = `${fontSize}px ${EDITOR_FONT_FAMILY}`;
+    const timeWidth = ctx.measureText(time).width;
+    ctx.fillStyle = '#888888';
+    ctx.textAlign = 'right';
+    ctx.fillText(time, width - padding, rowY);
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#191919';
+    ctx.font = `600 ${fontSize}px ${EDITOR_FONT_FAMILY}`;
+    ctx.fillText(fitCanvasText(ctx, stamp.title || '', Math.max(0, maxTextWidth - timeWidth - padding)), padding, rowY);
+
+    rowY += lineHeight;
+    ctx.font = `${fontSize}px ${EDITOR_FONT_FAMILY}`;
+    ctx.fillStyle = '#576B95';
+    ctx.fillText(fitCanvasText(ctx, stamp.url || '', maxTextWidth), padding, rowY);
+
+    if (stamp.note) {
+      rowY += lineHeight;
+      ctx.fillStyle = '#191919';
+      ctx.fillText(fitCanvasText(ctx, stamp.note, maxTextWidth), padding, rowY);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * 步骤编号的尺寸，随线宽档位变化
+   * @param {number} strokeWidth
+   * @returns {number}
+   */
+  function getCounterSize(strokeWidth) {
+    return 16 + strokeWidth * 4;
+  }
+
+  /**
+   * 编号不保存在标注中，按创建顺序（seq）实时计算，删除或撤销后自动重新编号；调整层级不影响编号
+   * @param {Array} annotations
+   * @param {object} counter
+   * @returns {number}
+   */
+  function getCounterNumber(annotations, counter) {
+    return 1 + annotations.filter(a => a.type === TOOL_TYPES.COUNTER && a !== counter && a.seq < counter.seq).length;
+  }
+
+  // 深色背景用白字，浅色（黄色、白色）用黑字
+  function getContrastTextColor(color) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+    if (!match) return '#FFFFFF';
+    const [r, g, b] = match.slice(1).map(hex => parseInt(hex, 16));
+    return (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.65 ? '#000000' : '#FFFFFF';
+  }
+
+  /**
+   * 以 (cx, cy) 为中心绘制编号徽标
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} cx
+   * @param {number} cy
+   * @param {number} size - 外接正方形边长
+   * @param {string} shape - COUNTER_SHAPES 之一
+   * @param {string} color
+   * @param {number} number
+   */
+  function drawCounterBadge(ctx, cx, cy, size, shape, color, number) {
+    const r = size / 2;
+    ctx.save();
+    ctx.beginPath();
+    if (shape === 'square') ctx.roundRect(cx - r, cy - r, size, size, size * 0.2);
+    else if (shape === 'diamond') { ctx.moveTo(cx, cy - r); ctx.lineTo(cx + r, cy); ctx.lineTo(cx, cy + r); ctx.lineTo(cx - r, cy); ctx.closePath(); }
+    else ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+    // 白色描边，放在深色或同色背景上也能看清
+    ctx.lineWidth = Math.max(1.5, size * 0.06);
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.stroke();
+    const text = String(number);
+    const scale = shape === 'diamond' ? 0.8 : 1;
+    ctx.font = `bold ${Math.round(size * scale * (text.length > 1 ? 0.45 : 0.55))}px ${EDITOR_FONT_FAMILY}`;
+    ctx.fillStyle = getContrastTextColor(color);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, cx, cy + size * 0.03);
+    ctx.restore();
+  }
+
+  /**
+   * 图例条目，按编号排列
+   * @param {Array} annotations
+   * @returns {Array<{number: number, color: string, shape: string, label: string}>}
+   */
+  function getCounterLegendItems(annotations) {
+    return annotations
+      .filter(a => a.type === TOOL_TYPES.COUNTER)
+      .sort((a, b) => a.seq - b.seq)
+      .map((a, i) => ({ number: i + 1, color: a.color, shape: a.shape, label: a.label || '' }));
+  }
+
+  /**
+   * 图例布局，字号随图片宽度缩放，每个编号一行
+   * @param {number} width - 图片宽度
+   * @param {number} count - 条目数
+   */
+  function getCounterLegendLayout(width, count) {
+    const fontSize = Math.max(13, Math.min(28, Math.round(width / 70)));
+    const lineHeight = Math.round(fontSize * 1.8);
+    const padding = fontSize;
+    return { fontSize, lineHeight, padding, height: padding * 2 + lineHeight * count };
+  }
+
+  /**
+   * 在 y 处绘制图例：编号徽标加说明文字
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} y
+   * @param {number} width
+   * @param {Array} items - getCounterLegendItems 的结果
+   */
+  function drawCounterLegend(ctx, y, width, items) {
+    const { fontSize, lineHeight, padding, height } = getCounterLegendLayout(width, items.length);
+    const badgeSize = Math.round(lineHeight * 0.75);
+    const textX = padding + badgeSize + Math.round(fontSize * 0.6);
+    ctx.save();
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, y, width, height);
+    ctx.fillStyle = '#E5E5E5';
+    ctx.fillRect(0, y, width, 1);
+    items.forEach((item, i) => {
+      const rowY = y + padding + lineHeight * i + lineHeight / 2;
+      drawCounterBadge(ctx, padding + badgeSize / 2, rowY, badgeSize, item.shape, item.color, item.number);
+      ctx.font = `${fontSize}px ${EDITOR_FONT_FAMILY}`;
+      ctx.fillStyle = '#191919';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(fitCanvasText(ctx, item.label, Math.max(0, width - textX - padding)), textX, rowY);
+    });
+    ctx.restore();
+  }
+
+  function getTextFontFamily(a) {
+    const font = TEXT_FONTS.find(f => f.id === a.fontFamily);
+    return font ? font.family : EDITOR_FONT_FAMILY;
+  }
+
+  function getTextFont(a) {
+    return `${a.italic ? 'italic ' : ''}${a.bold ? 'bold ' : ''}${a.fontSize}px ${getTextFontFamily(a)}`;
+  }
+
+  /**
+   * 文字标注的排版：x, y 为文字块左上角，多行按 align 在文字块内对齐
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} a - 文字标注
+   * @returns {{lines: string[], lineHeight: number, width: number, anchorX: number, padding: number}}
+   */
+  function getTextLayout(ctx, a) {
+    const lines = a.text.split('\n');
+    ctx.save();
+    ctx.font = getTextFont(a);
+    const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+    ctx.restore();
+    const anchorX = a.align === 'center' ? a.x + width / 2 : a.align === 'right' ? a.x + width : a.x;
+    return { lines, lineHeight: a.fontSize + 4, width, anchorX, padding: Math.round(a.fontSize * 0.3) };
+  }
+
+  /**
+   * 绘制文字标注；背景和描边使用与文字颜色对比的黑色或白色，便于在复杂截图上阅读
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} a - {color, fontSize, fontFamily, bold, italic, effect, align, x, y, text}
+   */
+  function drawTextAnnotation(ctx, a) {
+    const layout = getTextLayout(ctx, a);
+    const contrast = getContrastTextColor(a.color);
+    ctx.save();
+    if (a.effect === 'background') {
+      const p = layout.padding;
+      ctx.globalAlpha = TEXT_BACKGROUND_OPACITY;
+      ctx.fillStyle = contrast;
+      ctx.beginPath(); ctx.roundRect(a.x - p, a.y - p, layout.width + p * 2, layout.lines.length * layout.lineHeight + p * 2, p); ctx.fill();
+      ctx.globalAlpha = 1;
+    }
+    ctx.font = getTextFont(a);
+    ctx.textBaseline = 'top';
+    ctx.textAlign = a.align || 'left';
+    ctx.fillStyle = a.color;
+    ctx.strokeStyle = contrast;
+    ctx.lineWidth = Math.max(2, a.fontSize * 0.15);
+    ctx.lineJoin = 'round';
+    layout.lines.forEach((line, i) => {
+      const y = a.y + i * layout.lineHeight;
+      if (a.effect === 'outline') ctx.strokeText(line, layout.anchorX, y);
+      ctx.fillText(line, layout.anchorX, y);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * 按宽度自动换行：中日韩文字逐字换行，其他按单词换行，超长的单词再逐字拆分
+   * @param {CanvasRenderingContext2D} ctx - 已设置好字体
+   * @param {string} text
+   * @param {number} maxWidth
+   * @returns {string[]}
+   */
+  function wrapCanvasText(ctx, text, maxWidth) {
+    const lines = [];
+    String(text || '').split('\n').forEach(paragraph => {
+      const tokens = paragraph.match(/[\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]|\s+|[^\s\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]+/g) || [];
+      let line = '';
+      for (const token of tokens) {
+        if (ctx.measureText(line + token).width <= maxWidth) { line += token; continue; }
+        // 行尾的空白不带到下一行
+        if (!token.trim()) { lines.push(line.trimEnd()); line = ''; continue; }
+        if (line) { lines.push(line.trimEnd()); line = ''; }
+        for (const char of token) {
+          if (line && ctx.measureText(line + char).width > maxWidth) { lines.push(line); line = ''; }
+          line += char;
+        }
+      }
+      lines.push(line.trimEnd());
+    });
+    return lines;
+  }
+
+  let measureContext = null;
+
+  // 导出 SVG 时换行需要测量文字宽度
+  function getMeasureContext() {
+    if (!measureContext) measureContext = document.createElement('canvas').getContext('2d');
+    return measureContext;
+  }
+
+  /**
+   * 标注框的文字布局：对话气泡的文字区域取椭圆的内接矩形
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} a - 标注框
+   * @returns {{x: number, y: number, width: number, height: number, lines: string[], lineHeight: number}}
+   */
+  function layoutCalloutText(ctx, a) {
+    const inset = a.shape === 'bubble' ? 0.15 : 0;
+    const padding = Math.round(a.fontSize * 0.6);
+    const box = {
+      x: a.x + a.width * inset + padding,
+      y: a.y + a.height * inset + padding,
+      width: Math.max(1, a.width * (1 - inset * 2) - padding * 2),
+      height: Math.max(1, a.height * (1 - inset * 2) - padding * 2)
+    };
+    ctx.save();
+    ctx.font = `${a.fontSize}px ${EDITOR_FONT_FAMILY}`;
+    const lines = a.text ? wrapCanvasText(ctx, a.text, box.width) : [];
+    ctx.restore();
+    return { ...box, lines, lineHeight: Math.round(a.fontSize * 1.4) };
+  }
+
+  /**
+   * 文字超出时增加标注框高度，宽度不变
+   * @returns {object} 新对象或原对象
+   */
+  function fitCalloutToText(ctx, a) {
+    const layout = layoutCalloutText(ctx, a);
+    const overflow = layout.lines.length * layout.lineHeight - layout.height;
+    if (overflow <= 0) return a;
+    return { ...a, height: a.height + overflow / (a.shape === 'bubble' ? 0.7 : 1) };
+  }
+
+  /**
+   * 标注框指向目标的尾巴：从框中心到目标点的三角形，顶点顺序与矩形、椭圆路径的绕向一致，
+   * 同一路径填充时与框合并为一个形状
+   * @returns {Array<{x: number, y: number}>} [顶点, 底边两点]
+   */
+  function getCalloutTail(a) {
+    const cx = a.x + a.width / 2, cy = a.y + a.height / 2;
+    const dx = a.tailX - cx, dy = a.tailY - cy, length = Math.hypot(dx, dy) || 1;
+    const halfWidth = Math.max(6, Math.min(a.width, a.height) * 0.15);
+    const px = -dy / length * halfWidth, py = dx / length * halfWidth;
+    const tip = { x: a.tailX, y: a.tailY };
+    let b1 = { x: cx + px, y: cy + py }, b2 = { x: cx - px, y: cy - py };
+    if ((b1.x - tip.x) * (b2.y - tip.y) - (b2.x - tip.x) * (b1.y - tip.y) < 0) [b1, b2] = [b2, b1];
+    return [tip, b1, b2];
+  }
+
+  function getCalloutRadius(a) {
+    return Math.min(12, a.width / 4, a.height / 4);
+  }
+
+  /**
+   * 绘制标注框：框和尾巴一起填充并带阴影，文字按框宽自动换行并居中
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} a - {shape, color, fontSize, x, y, width, height, tailX, tailY, text}
+   */
+  function drawCallout(ctx, a) {
+    ctx.save();
+    ctx.beginPath();
+    if (a.shape === 'bubble') ctx.ellipse(a.x + a.width / 2, a.y + a.height / 2, a.width / 2, a.height / 2, 0, 0, Math.PI * 2);
+    else ctx.roundRect(a.x, a.y, a.width, a.height, getCalloutRadius(a));
+    const [tip, b1, b2] = getCalloutTail(a);
+    ctx.moveTo(tip.x, tip.y); ctx.lineTo(b1.x, b1.y); ctx.lineTo(b2.x, b2.y); ctx.closePath();
+    ctx.shadowColor = 'rgba(0,0,0,0.3)'; ctx.shadowBlur = 8; ctx.shadowOffsetY = 2;
+    ctx.fillStyle = a.color;
+    ctx.fill();
+    ctx.shadowColor = 'transparent';
+
+    const layout = layoutCalloutText(ctx, a);
+    if (layout.lines.length) {
+      ctx.beginPath(); ctx.rect(layout.x, layout.y, layout.width, layout.height); ctx.clip();
+      ctx.font = `${a.fontSize}px ${EDITOR_FONT_FAMILY}`;
+      ctx.fillStyle = getContrastTextColor(a.color);
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      const top = layout.y + Math.max(0, (layout.height - layout.lines.length * layout.lineHeight) / 2);
+      layout.lines.forEach((line, i) => ctx.fillText(line, layout.x + layout.width / 2, top + layout.lineHeight * (i + 0.5)));
+    }
+    ctx.restore();
+  }
+
+  function getSpotlightRadius(a) {
+    return Math.min(12, a.width / 4, a.height / 4);
+  }
+
+  /**
+   * 聚光灯：压暗整张图，再在各选区内重新绘制底图，选区重叠时也不会互相抵消
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {HTMLCanvasElement} base - 底图
+   * @param {Array} annotations
+   */
+  function drawSpotlights(ctx, base, annotations) {
+    const regions = annotations.filter(a => a.type === TOOL_TYPES.SPOTLIGHT);
+    if (!regions.length) return;
+    ctx.save();
+    ctx.fillStyle = `rgba(0,0,0,${SPOTLIGHT_DIM_OPACITY})`;
+    ctx.fillRect(0, 0, base.width, base.height);
+    regions.forEach(a => {
+      ctx.save();
+      ctx.beginPath(); ctx.roundRect(a.x, a.y, a.width, a.height, getSpotlightRadius(a)); ctx.clip();
+      ctx.drawImage(base, 0, 0);
+      ctx.restore();
+    });
+    ctx.restore();
+  }
+
+  /**
+   * 聚光灯的 SVG 遮罩层，放在底图之上、标注之下
+   * @returns {string} 没有聚光灯时为空字符串
+   */
+  function spotlightsToSvg(annotations, width, height) {
+    const regions = annotations.filter(a => a.type === TOOL_TYPES.SPOTLIGHT);
+    if (!regions.length) return '';
+    const n = (value) => Math.round(value * 100) / 100;
+    const holes = regions.map(a => `<rect x="${n(a.x)}" y="${n(a.y)}" width="${n(a.width)}" height="${n(a.height)}" rx="${n(getSpotlightRadius(a))}" fill="black"/>`).join('');
+    return `<defs><mask id="scrollsnap-spotlight"><rect x="0" y="0" width="${width}" height="${height}" fill="white"/>${holes}</mask></defs>\n` +
+      `<rect x="0" y="0" width="${width}" height="${height}" fill="#000000" fill-opacity="${SPOTLIGHT_DIM_OPACITY}" mask="url(#scrollsnap-spotlight)"/>\n`;
+  }
+
   class ImageEditor {
     constructor(options = {}) {
       this.container = null;
@@ -49,13 +687,19 @@
       this.imageData = null;
       this.originalImage = null;
       this.history = [];
-      this.historyIndex = -1;
+      this.historyIndex = 0;
       this.maxHistory = 50;
-      this.currentTool = TOOL_TYPES.NONE;
+      this.currentTool = TOOL_TYPES.SELECT;
       this.currentColor = '#FF3B30';
       this.strokeWidth = 4;
       this.fontSize = 16;
+      // 新建文字标注的字体（TEXT_FONTS 的 id）、粗体、斜体、效果（none / background / outline）和对齐方式
+      this.textOptions = { fontFamily: TEXT_FONTS[0].id, bold: false, italic: false, effect: 'none', align: 'left' };
       this.fillShape = false;
+      this.counterShape = COUNTER_SHAPES[0];
+      this.calloutShape = CALLOUT_SHAPES[0];
+      // 导出时在图片下方附加步骤编号的图例
+      this.counterLegend = !!options.counterLegend;
       this.isDrawing = false;
       this.startX = 0;
       this.startY = 0;
@@ -69,6 +713,25 @@
       this.onCancel = options.onCancel || null;
       this.onClose = options.onClose || null;
       this.getMessage = options.getMessage || ((key) => key);
+      // 全页截图的文字和链接位置，导出可搜索的 PDF
+      this.textLayer = options.textLayer || null;
+      // 截图方式，用于文件名模板中的 {mode}
+      this.captureMode = options.mode || 'edit';
+      // 截图时间；刚截取的图片同时记录当前页面的 DPR 和视口尺寸，写入图片元数据
+      this.capturedAt = options.capturedAt || null;
+      // 来源信息栏 {position, title, url, capturedAt, note}，和模板一样基于原图重新生成底图
+      this.stamp = options.stamp || null;
+      this.stampEnabled = !!(this.stamp && options.stampEnabled);
+      // 底图（截图、模板、裁剪、马赛克和模糊）与矢量标注分层保存，标注可导出为 SVG 后再次编辑
+      this.baseCanvas = null;
+      this.baseCtx = null;
+      this.annotations = options.annotations || [];
+      // 选择工具下选中的标注下标，-1 表示未选中
+      this.selectedIndex = -1;
+      this._dragState = null;
+      this._editingTextIndex = -1;
+      // 刚拖出、还没输入文字的标注框（尚未记入历史）
+      this._pendingCallout = false;
       this._boundOnKeyDown = this._onKeyDown.bind(this);
       // 裁剪相关状态
       this.cropSelection = null; // { x, y, width, height }
@@ -85,7 +748,12 @@
       this._createUI();
       this._bindEvents();
       this._initCanvas();
-      this._saveHistory();
+      if (this.stampEnabled) {
+        this._syncTemplateButtons();
+        this._renderTemplateBase();
+        this._render();
+      }
+      this._resetHistory();
     }
 
     _loadImage(dataUrl) {
@@ -121,6 +789,7 @@
             <div class="sc-editor-canvas-wrapper"><canvas class="sc-editor-canvas"></canvas></div>
             <div class="sc-editor-toolbar">
               <div class="sc-editor-tools">
+                <button class="sc-editor-tool active" data-tool="select" title="${this.getMessage('editorSelect')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M5 3l14 8-6 1.5L10 19z"/></svg></button>
                 <button class="sc-editor-tool" data-tool="rect" title="${this.getMessage('editorRect')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/></svg></button>
                 <button class="sc-editor-tool" data-tool="ellipse" title="${this.getMessage('editorEllipse')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><ellipse cx="12" cy="12" rx="10" ry="7"/></svg></button>
                 <button class="sc-editor-tool" data-tool="arrow" title="${this.getMessage('editorArrow')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M5 19L19 5M19 5v10M19 5H9"/></svg></button>
@@ -128,6 +797,9 @@
                 <button class="sc-editor-tool" data-tool="pen" title="${this.getMessage('editorPen')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 19l7-7 3 3-7 7-3-3z"/><path d="M18 13l-1.5-7.5L2 2l3.5 14.5L13 18l5-5z"/></svg></button>
                 <button class="sc-editor-tool" data-tool="marker" title="${this.getMessage('editorMarker')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 11l-6 6v3h3l6-6"/><path d="M14.5 4L20 9.5"/><path d="M13 6l5 5"/></svg></button>
                 <button class="sc-editor-tool" data-tool="text" title="${this.getMessage('editorText')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 7V4h16v3M9 20h6M12 4v16"/></svg></button>
+                <button class="sc-editor-tool" data-tool="callout" title="${this.getMessage('editorCallout')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 4h16v11H11l-5 5v-5H4z"/><path d="M8 8.5h8M8 11.5h5"/></svg></button>
+                <button class="sc-editor-tool" data-tool="spotlight" title="${this.getMessage('editorSpotlight')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="3" width="20" height="18" rx="2" fill="currentColor" fill-opacity="0.35" stroke="none"/><rect x="7" y="8" width="10" height="8" rx="2"/></svg></button>
+                <button class="sc-editor-tool" data-tool="counter" title="${this.getMessage('editorCounter')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="9"/><path d="M10 9.5l2.5-2V16.5"/></svg></button>
                 <button class="sc-editor-tool" data-tool="mosaic" title="${this.getMessage('editorMosaic')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="6" height="6"/><rect x="15" y="3" width="6" height="6"/><rect x="9" y="9" width="6" height="6"/><rect x="3" y="15" width="6" height="6"/><rect x="15" y="15" width="6" height="6"/></svg></button>
                 <button class="sc-editor-tool" data-tool="blur" title="${this.getMessage('editorBlur')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="3"/><path d="M12 2v2M12 20v2M2 12h2M20 12h2M4.93 4.93l1.41 1.41M17.66 17.66l1.41 1.41M4.93 19.07l1.41-1.41M17.66 6.34l1.41-1.41"/></svg></button>
                 <button class="sc-editor-tool" data-tool="crop" title="${this.getMessage('editorCrop')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M6 2v6H2M6 8v10h10M18 8H8M18 8v14M18 8h4"/></svg></button>
@@ -139,6 +811,7 @@
                 <button class="sc-editor-template" data-template="browser" title="${this.getMessage('editorTemplateBrowser')}"><div class="template-preview browser-preview"></div></button>
                 <button class="sc-editor-template" data-template="gradient_bg" title="${this.getMessage('editorTemplateGradient')}"><div class="template-preview gradient-preview"></div></button>
                 <button class="sc-editor-template" data-template="polaroid" title="${this.getMessage('editorTemplatePolaroid')}"><div class="template-preview polaroid-preview"></div></button>
+                ${this.stamp ? `<button class="sc-editor-template sc-editor-stamp" title="${this.getMessage('editorStamp')}"><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#ccc" stroke-width="2"><rect x="3" y="4" width="18" height="16" rx="2"/><path d="M3 15h18M6 18h8"/></svg></button>` : ''}
               </div>
               <div class="sc-editor-divider"></div>
               <div class="sc-editor-colors">
@@ -148,12 +821,59 @@
               <div class="sc-editor-strokes">
                 ${STROKE_WIDTHS.map(w => `<button class="sc-editor-stroke${w === this.strokeWidth ? ' active' : ''}" data-stroke="${w}"><div style="width: ${w * 3}px; height: ${w}px; background: currentColor; border-radius: ${w/2}px;"></div></button>`).join('')}
               </div>
+              <div class="sc-editor-tool-options" data-options-for="text" style="display: none;">
+                <div class="sc-editor-divider"></div>
+                <select class="sc-editor-select" data-text-option="fontFamily" title="${this.getMessage('editorFontFamily')}">
+                  ${TEXT_FONTS.map(font => `<option value="${font.id}">${this.getMessage(font.labelKey)}</option>`).join('')}
+                </select>
+                <select class="sc-editor-select" data-text-option="fontSize" title="${this.getMessage('editorFontSize')}">
+                  ${TEXT_SIZES.map(size => `<option value="${size}"${size === this.fontSize ? ' selected' : ''}>${size}px</option>`).join('')}
+                </select>
+                <button class="sc-editor-btn" data-text-toggle="bold" title="${this.getMessage('editorBold')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M7 4h6a4 4 0 0 1 0 8H7zM7 12h7a4 4 0 0 1 0 8H7z"/></svg></button>
+                <button class="sc-editor-btn" data-text-toggle="italic" title="${this.getMessage('editorItalic')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10 4h8M6 20h8M14 4l-4 16"/></svg></button>
+                <div class="sc-editor-divider"></div>
+                <button class="sc-editor-btn active" data-text-effect="none" title="${this.getMessage('editorTextPlain')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M5 6V4h14v2M12 4v16M9 20h6"/></svg></button>
+                <button class="sc-editor-btn" data-text-effect="background" title="${this.getMessage('editorTextBackground')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="2" y="2" width="20" height="20" rx="3" fill="currentColor" fill-opacity="0.3" stroke="none"/><path d="M7 8V6h10v2M12 6v12"/></svg></button>
+                <button class="sc-editor-btn" data-text-effect="outline" title="${this.getMessage('editorTextOutline')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M4 3h16v5h-2.5V5.5h-4V18.5H16V21H8v-2.5h2.5V5.5h-4V8H4z"/></svg></button>
+                <div class="sc-editor-divider"></div>
+                <button class="sc-editor-btn active" data-text-align="left" title="${this.getMessage('editorAlignLeft')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 6h16M4 10h10M4 14h16M4 18h10"/></svg></button>
+                <button class="sc-editor-btn" data-text-align="center" title="${this.getMessage('editorAlignCenter')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 6h16M7 10h10M4 14h16M7 18h10"/></svg></button>
+                <button class="sc-editor-btn" data-text-align="right" title="${this.getMessage('editorAlignRight')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 6h16M10 10h10M4 14h16M10 18h10"/></svg></button>
+              </div>
+              <div class="sc-editor-tool-options" data-options-for="callout" style="display: none;">
+                <div class="sc-editor-divider"></div>
+                <button class="sc-editor-btn${this.calloutShape === 'box' ? ' active' : ''}" data-callout-shape="box" title="${this.getMessage('editorCalloutBox')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><path d="M3 4h18v11H11l-5 5v-5H3z"/></svg></button>
+                <button class="sc-editor-btn${this.calloutShape === 'bubble' ? ' active' : ''}" data-callout-shape="bubble" title="${this.getMessage('editorCalloutBubble')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><ellipse cx="12" cy="10" rx="10" ry="7"/><path d="M6 14l-2 7 7-4z"/></svg></button>
+              </div>
+              <div class="sc-editor-tool-options" data-options-for="counter" style="display: none;">
+                <div class="sc-editor-divider"></div>
+                <button class="sc-editor-btn${this.counterShape === 'circle' ? ' active' : ''}" data-counter-shape="circle" title="${this.getMessage('editorCounterCircle')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><circle cx="12" cy="12" r="8"/></svg></button>
+                <button class="sc-editor-btn${this.counterShape === 'square' ? ' active' : ''}" data-counter-shape="square" title="${this.getMessage('editorCounterSquare')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><rect x="4" y="4" width="16" height="16" rx="3"/></svg></button>
+                <button class="sc-editor-btn${this.counterShape === 'diamond' ? ' active' : ''}" data-counter-shape="diamond" title="${this.getMessage('editorCounterDiamond')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><path d="M12 3l9 9-9 9-9-9z"/></svg></button>
+                <button class="sc-editor-btn sc-editor-counter-legend${this.counterLegend ? ' active' : ''}" title="${this.getMessage('editorCounterLegend')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="5" cy="6" r="2"/><circle cx="5" cy="12" r="2"/><circle cx="5" cy="18" r="2"/><path d="M10 6h10M10 12h10M10 18h10"/></svg></button>
+              </div>
+              <div class="sc-editor-object-actions" style="display: none;">
+                <div class="sc-editor-divider"></div>
+                <button class="sc-editor-btn" data-order="forward" title="${this.getMessage('editorBringForward')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 19V5M5 12l7-7 7 7"/></svg></button>
+                <button class="sc-editor-btn" data-order="backward" title="${this.getMessage('editorSendBackward')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 5v14M19 12l-7 7-7-7"/></svg></button>
+                <button class="sc-editor-btn" data-order="front" title="${this.getMessage('editorBringToFront')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M5 3h14M12 21V8M6 14l6-6 6 6"/></svg></button>
+                <button class="sc-editor-btn" data-order="back" title="${this.getMessage('editorSendToBack')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M5 21h14M12 3v13M18 10l-6 6-6-6"/></svg></button>
+                <button class="sc-editor-btn sc-editor-btn-delete" title="${this.getMessage('editorDeleteAnnotation')}"><svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 6h18M8 6V4h8v2M19 6l-1 14H6L5 6M10 11v5M14 11v5"/></svg></button>
+              </div>
             </div>
             <div class="sc-editor-footer">
               <button class="sc-editor-btn-secondary sc-editor-btn-copy" title="${this.getMessage('editorCopyTooltip')}">
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2"/><path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/></svg>
                 ${this.getMessage('btnCopy')}
               </button>
+              <button class="sc-editor-btn-secondary sc-editor-btn-pdf" title="${this.getMessage('editorSavePdfTooltip')}">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/><path d="M14 2v6h6M9 15h6M9 11h2"/></svg>
+                ${this.getMessage('btnSavePdf')}
+              </button>
+              <button class="sc-editor-btn-secondary sc-editor-btn-svg" title="${this.getMessage('editorSaveSvgTooltip')}">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 19l7-7 3 3-7 7-3-3z"/><path d="M18 13l-1.5-7.5L2 2l3.5 14.5L13 18l5-5z"/><path d="M2 2l7.586 7.586"/><circle cx="11" cy="11" r="2"/></svg>
+                ${this.getMessage('btnSaveSvg')}
+              </button>
               <button class="sc-editor-btn-primary sc-editor-btn-save" title="${this.getMessage('editorSaveTooltip')}">
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4M7 10l5 5 5-5M12 15V3"/></svg>
                 ${this.getMessage('btnSave')}
@@ -171,22 +891,70 @@
       this.container.appendChild(styleEl);
       this.container.appendChild(wrapper);
       this.canvas = wrapper.querySelector('.sc-editor-canvas');
-      this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+      this.ctx = this.canvas.getContext('2d');
       this.editorWrapper = wrapper;
     }
 
     _getStyles() {
-      return `.sc-editor-overlay{position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.85);z-index:2147483647;display:flex;align-items:center;justify-content:center;animation:scEditorFadeIn 0.2s ease;font-family:-apple-system,BlinkMacSystemFont,'PingFang SC','Microsoft YaHei',sans-serif}@keyframes scEditorFadeIn{from{opacity:0}to{opacity:1}}.sc-editor-container{background:#1a1a1a;border-radius:12px;display:flex;flex-direction:column;max-width:95vw;max-height:95vh;overflow:hidden;box-shadow:0 20px 60px rgba(0,0,0,0.5)}.sc-editor-header{display:flex;align-items:center;justify-content:space-between;padding:12px 16px;background:#252525;border-bottom:1px solid #333;flex-shrink:0;position:relative;z-index:10}.sc-editor-title{color:#fff;font-size:14px;font-weight:500}.sc-editor-header-actions{display:flex;align-items:center;gap:4px}.sc-editor-dimensions{color:#888;font-size:12px}.sc-editor-btn{background:transparent;border:none;width:32px;height:32px;border-radius:6px;cursor:pointer;display:flex;align-items:center;justify-content:center;color:#999;transition:all 0.15s}.sc-editor-btn:hover:not(:disabled){background:#333;color:#fff}.sc-editor-btn:disabled{opacity:0.3;cursor:not-allowed}.sc-editor-divider{width:1px;height:24px;background:#333;margin:0 8px}.sc-editor-canvas-wrapper{flex:1;overflow:auto;padding:20px;background:#0d0d0d;min-height:300px;position:relative;z-index:1}.sc-editor-canvas{display:block;background:#fff;box-shadow:0 4px 20px rgba(0,0,0,0.3);margin:0 auto}.sc-editor-toolbar{display:flex;align-items:center;padding:12px 16px;background:#252525;border-top:1px solid #333;gap:8px;flex-wrap:wrap;flex-shrink:0;position:relative;z-index:10}.sc-editor-tools{display:flex;gap:4px}.sc-editor-tool{width:36px;height:36px;border:none;border-radius:6px;background:transparent;color:#999;cursor:pointer;display:flex;align-items:center;justify-content:center;transition:all 0.15s}.sc-editor-tool:hover{background:#333;color:#fff}.sc-editor-tool.active{background:#07C160;color:#fff}.sc-editor-templates{display:flex;gap:6px}.sc-editor-template{width:36px;height:36px;border:2px solid transparent;border-radius:6px;background:#333;cursor:pointer;display:flex;align-items:center;justify-content:center;padding:4px;transition:all 0.15s}.sc-editor-template:hover{border-color:#555}.sc-editor-template.active{border-color:#07C160}.template-preview{width:100%;height:100%;border-radius:2px;background:#666}.shadow-preview{box-shadow:2px 2px 4px rgba(0,0,0,0.5)}.rounded-preview{border-radius:4px}.browser-preview{position:relative}.browser-preview::before{content:'';position:absolute;top:0;left:0;right:0;height:6px;background:#888;border-radius:2px 2px 0 0}.gradient-preview{background:linear-gradient(135deg,#667eea 0%,#764ba2 100%)}.polaroid-preview{background:#fff;padding:2px 2px 6px 2px}.sc-editor-colors{display:flex;gap:4px}.sc-editor-color{width:24px;height:24px;border:2px solid transparent;border-radius:50%;cursor:pointer;transition:all 0.15s}.sc-editor-color:hover{transform:scale(1.1)}.sc-editor-color.active{border-color:#07C160;box-shadow:0 0 0 2px #1a1a1a}.sc-editor-strokes{display:flex;gap:4px;align-items:center}.sc-editor-stroke{width:32px;height:32px;border:none;border-radius:6px;background:transparent;color:#999;cursor:pointer;display:flex;align-items:center;justify-content:center;transition:all 0.15s}.sc-editor-stroke:hover{background:#333;color:#fff}.sc-editor-stroke.active{background:#333;color:#07C160}.sc-editor-footer{display:flex;justify-content:flex-end;gap:12px;padding:12px 16px;background:#252525;border-top:1px solid #333;flex-shrink:0;position:relative;z-index:10}.sc-editor-btn-secondary{padding:8px 16px;border:1px solid #555;border-radius:6px;background:transparent;color:#ccc;font-size:14px;cursor:pointer;transition:all 0.15s;display:flex;align-items:center;gap:6px}.sc-editor-btn-secondary:hover{background:#333;border-color:#666}.sc-editor-btn-primary{padding:8px 20px;border:none;border-radius:6px;background:#07C160;color:#fff;font-size:14px;cursor:pointer;transition:all 0.15s;display:flex;align-items:center;gap:6px}.sc-editor-btn-primary:hover{background:#06ae56}.sc-editor-text-input{position:absolute;background:transparent;border:2px dashed currentColor;outline:none;font-family:-apple-system,BlinkMacSystemFont,'PingFang SC','Microsoft YaHei',sans-serif;resize:none;min-width:100px;min-height:24px;padding:4px 8px}.sc-editor-toast{position:fixed;bottom:80px;left:50%;transform:translateX(-50%);background:rgba(0,0,0,0.8);color:#fff;padding:10px 20px;border-radius:6px;font-size:14px;z-index:2147483648;animation:scToastIn 0.2s ease}@keyframes scToastIn{from{opacity:0;transform:translateX(-50%) translateY(10px)}to{opacity:1;transform:translateX(-50%) translateY(0)}}`;
+      return `.sc-editor-overlay{position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.85);z-index:2147483647;display:flex;align-items:center;justify-content:center;animation:scEditorFadeIn 0.2s ease;font-family:-apple-system,BlinkMacSystemFont,'PingFang SC','Microsoft YaHei',sans-serif}@keyframes scEditorFadeIn{from{opacity:0}to{opacity:1}}.sc-editor-container{background:#1a1a1a;border-radius:12px;display:flex;flex-direction:column;max-width:95vw;max-height:95vh;overflow:hidden;box-shadow:0 20px 60px rgba(0,0,0,0.5)}.sc-editor-header{display:flex;align-items:center;justify-content:space-between;padding:12px 16px;background:#252525;border-bottom:1px solid #333;flex-shrink:0;position:relative;z-index:10}.sc-editor-title{color:#fff;font-size:14px;font-weight:500}.sc-editor-header-actions{display:flex;align-items:center;gap:4px}.sc-editor-dimensions{color:#888;font-size:12px}.sc-editor-btn{background:transparent;border:none;width:32px;height:32px;border-radius:6px;cursor:pointer;display:flex;align-items:center;justify-content:center;color:#999;transition:all 0.15s}.sc-editor-btn:hover:not(:disabled){background:#333;color:#fff}.sc-editor-btn:disabled{opacity:0.3;cursor:not-allowed}.sc-editor-divider{width:1px;height:24px;background:#333;margin:0 8px}.sc-editor-canvas-wrapper{flex:1;overflow:auto;padding:20px;background:#0d0d0d;min-height:300px;position:relative;z-index:1}.sc-editor-canvas{display:block;background:#fff;box-shadow:0 4px 20px rgba(0,0,0,0.3);margin:0 auto}.sc-editor-toolbar{display:flex;align-items:center;padding:12px 16px;background:#252525;border-top:1px solid #333;gap:8px;flex-wrap:wrap;flex-shrink:0;position:relative;z-index:10}.sc-editor-tools{display:flex;gap:4px}.sc-editor-tool{width:36px;height:36px;border:none;border-radius:6px;background:transparent;color:#999;cursor:pointer;display:flex;align-items:center;justify-content:center;transition:all 0.15s}.sc-editor-tool:hover{background:#333;color:#fff}.sc-editor-tool.active{background:#07C160;color:#fff}.sc-editor-templates{display:flex;gap:6px}.sc-editor-template{width:36px;height:36px;border:2px solid transparent;border-radius:6px;background:#333;cursor:pointer;display:flex;align-items:center;justify-content:center;padding:4px;transition:all 0.15s}.sc-editor-template:hover{border-color:#555}.sc-editor-template.active{border-color:#07C160}.template-preview{width:100%;height:100%;border-radius:2px;background:#666}.shadow-preview{box-shadow:2px 2px 4px rgba(0,0,0,0.5)}.rounded-preview{border-radius:4px}.browser-preview{position:relative}.browser-preview::before{content:'';position:absolute;top:0;left:0;right:0;height:6px;background:#888;border-radius:2px 2px 0 0}.gradient-preview{background:linear-gradient(135deg,#667eea 0%,#764ba2 100%)}.polaroid-preview{background:#fff;padding:2px 2px 6px 2px}.sc-editor-colors{display:flex;gap:4px}.sc-editor-color{width:24px;height:24px;border:2px solid transparent;border-radius:50%;cursor:pointer;transition:all 0.15s}.sc-editor-color:hover{transform:scale(1.1)}.sc-editor-color.active{border-color:#07C160;box-shadow:0 0 0 2px #1a1a1a}.sc-editor-strokes{display:flex;gap:4px;align-items:center}.sc-editor-object-actions,.sc-editor-tool-options{align-items:center;gap:4px}.sc-editor-btn.active{background:#333;color:#07C160}.sc-editor-select{height:32px;background:#333;color:#ccc;border:1px solid #444;border-radius:6px;padding:0 6px;font-size:12px;cursor:pointer;outline:none}.sc-editor-stroke{width:32px;height:32px;border:none;border-radius:6px;background:transparent;color:#999;cursor:pointer;display:flex;align-items:center;justify-content:center;transition:all 0.15s}.sc-editor-stroke:hover{background:#333;color:#fff}.sc-editor-stroke.active{background:#333;color:#07C160}.sc-editor-footer{display:flex;justify-content:flex-end;gap:12px;padding:12px 16px;background:#252525;border-top:1px solid #333;flex-shrink:0;position:relative;z-index:10}.sc-editor-btn-secondary{padding:8px 16px;border:1px solid #555;border-radius:6px;background:transparent;color:#ccc;font-size:14px;cursor:pointer;transition:all 0.15s;display:flex;align-items:center;gap:6px}.sc-editor-btn-secondary:hover{background:#333;border-color:#666}.sc-editor-btn-primary{padding:8px 20px;border:none;border-radius:6px;background:#07C160;color:#fff;font-size:14px;cursor:pointer;transition:all 0.15s;display:flex;align-items:center;gap:6px}.sc-editor-btn-primary:hover{background:#06ae56}.sc-editor-text-input{position:absolute;background:transparent;border:2px dashed currentColor;outline:none;font-family:-apple-system,BlinkMacSystemFont,'PingFang SC','Microsoft YaHei',sans-serif;resize:none;min-width:100px;min-height:24px;padding:4px 8px}.sc-editor-toast{position:fixed;bottom:80px;left:50%;transform:translateX(-50%);background:rgba(0,0,0,0.8);color:#fff;padding:10px 20px;border-radius:6px;font-size:14px;z-index:2147483648;animation:scToastIn 0.2s ease}@keyframes scToastIn{from{opacity:0;transform:translateX(-50%) translateY(10px)}to{opacity:1;transform:translateX(-50%) translateY(0)}}`;
     }
 
     _initCanvas() {
       const img = this.originalImage;
-      this.canvas.width = img.width;
-      this.canvas.height = img.height;
-      this.ctx.drawImage(img, 0, 0);
+      this.baseCanvas = document.createElement('canvas');
+      this.baseCtx = this.baseCanvas.getContext('2d', { willReadFrequently: true });
+      this.baseCanvas.width = img.width;
+      this.baseCanvas.height = img.height;
+      this.baseCtx.drawImage(img, 0, 0);
+      // 底图是否仍可由原图加模板重新生成，撤销记录据此决定是否需要保存像素
+      this._basePristine = true;
+      // 原图左上角在底图中的位置，切换模板、来源信息栏或裁剪时据此平移标注
+      this.imageOrigin = { x: 0, y: 0 };
+      this._render();
+    }
+
+    // 合成底图和全部标注到显示画布，选择工具下同时显示选中框
+    _render() {
+      if (this.canvas.width !== this.baseCanvas.width || this.canvas.height !== this.baseCanvas.height) {
+        this.canvas.width = this.baseCanvas.width;
+        this.canvas.height = this.baseCanvas.height;
+      } else {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+      }
+      this.ctx.drawImage(this.baseCanvas, 0, 0);
+      drawSpotlights(this.ctx, this.baseCanvas, this.annotations);
+      this.annotations.forEach(annotation => this._drawAnnotation(this.ctx, annotation));
+      if (this.currentTool !== TOOL_TYPES.SELECT || !this.annotations[this.selectedIndex]) this.selectedIndex = -1;
+      this._drawSelection(this.ctx);
+      this._updateObjectActions();
+      this._updateToolOptions();
       this._updateDimensions();
     }
 
+    // 导出用的合成图：底图加全部标注，不含选中框；开启图例时附加在下方
+    _getFlattenedCanvas() {
+      const canvas = document.createElement('canvas');
+      canvas.width = this.baseCanvas.width;
+      canvas.height = this.baseCanvas.height + this._getCounterLegendHeight();
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(this.baseCanvas, 0, 0);
+      drawSpotlights(ctx, this.baseCanvas, this.annotations);
+      this.annotations.forEach(annotation => this._drawAnnotation(ctx, annotation));
+      const legend = this._getCounterLegendItems();
+      if (legend.length) drawCounterLegend(ctx, this.baseCanvas.height, canvas.width, legend);
+      return canvas;
+    }
+
+    // 未开启图例或没有步骤编号时为空
+    _getCounterLegendItems() {
+      return this.counterLegend ? getCounterLegendItems(this.annotations) : [];
+    }
+
+    _getCounterLegendHeight() {
+      const legend = this._getCounterLegendItems();
+      return legend.length ? getCounterLegendLayout(this.baseCanvas.width, legend.length).height : 0;
+    }
+
     _updateDimensions() {
       const dimEl = this.editorWrapper.querySelector('.sc-editor-dimensions');
       if (dimEl) dimEl.textContent = `${this.canvas.width} × ${this.canvas.height}`;
@@ -195,18 +963,34 @@
     _bindEvents() {
       const wrapper = this.editorWrapper;
       wrapper.querySelectorAll('.sc-editor-tool').forEach(btn => btn.addEventListener('click', (e) => this._selectTool(e.currentTarget.dataset.tool)));
-      wrapper.querySelectorAll('.sc-editor-template').forEach(btn => btn.addEventListener('click', (e) => this._applyTemplate(e.currentTarget.dataset.template)));
+      wrapper.querySelectorAll('.sc-editor-template[data-template]').forEach(btn => btn.addEventListener('click', (e) => this._applyTemplate(e.currentTarget.dataset.template)));
+      if (this.stamp) wrapper.querySelector('.sc-editor-stamp').addEventListener('click', () => this._toggleStamp());
       wrapper.querySelectorAll('.sc-editor-color').forEach(btn => btn.addEventListener('click', (e) => this._selectColor(e.currentTarget.dataset.color)));
       wrapper.querySelectorAll('.sc-editor-stroke').forEach(btn => btn.addEventListener('click', (e) => this._selectStroke(parseInt(e.currentTarget.dataset.stroke, 10))));
+      wrapper.querySelectorAll('select[data-text-option]').forEach(select => select.addEventListener('change', (e) => {
+        const key = e.currentTarget.dataset.textOption;
+        this._setTextOption(key, key === 'fontSize' ? parseInt(e.currentTarget.value, 10) : e.currentTarget.value);
+      }));
+      wrapper.querySelectorAll('[data-text-toggle]').forEach(btn => btn.addEventListener('click', (e) => this._setTextOption(e.currentTarget.dataset.textToggle, !this.textOptions[e.currentTarget.dataset.textToggle])));
+      wrapper.querySelectorAll('[data-text-effect]').forEach(btn => btn.addEventListener('click', (e) => this._setTextOption('effect', e.currentTarget.dataset.textEffect)));
+      wrapper.querySelectorAll('[data-text-align]').forEach(btn => btn.addEventListener('click', (e) => this._setTextOption('align', e.currentTarget.dataset.textAlign)));
+      wrapper.querySelectorAll('[data-callout-shape]').forEach(btn => btn.addEventListener('click', (e) => this._selectCalloutShape(e.currentTarget.dataset.calloutShape)));
+      wrapper.querySelectorAll('[data-counter-shape]').forEach(btn => btn.addEventListener('click', (e) => this._selectCounterShape(e.currentTarget.dataset.counterShape)));
+      wrapper.querySelector('.sc-editor-counter-legend').addEventListener('click', () => this._toggleCounterLegend());
+      wrapper.querySelectorAll('.sc-editor-object-actions [data-order]').forEach(btn => btn.addEventListener('click', (e) => this._reorderSelectedAnnotation(e.currentTarget.dataset.order)));
+      wrapper.querySelector('.sc-editor-btn-delete').addEventListener('click', () => this._deleteSelectedAnnotation());
       wrapper.querySelector('.sc-editor-btn-undo').addEventListener('click', () => this.undo());
       wrapper.querySelector('.sc-editor-btn-redo').addEventListener('click', () => this.redo());
       wrapper.querySelector('.sc-editor-btn-close').addEventListener('click', () => this._close());
       wrapper.querySelector('.sc-editor-btn-copy').addEventListener('click', () => this._copyToClipboard());
       wrapper.querySelector('.sc-editor-btn-save').addEventListener('click', () => this._save());
+      wrapper.querySelector('.sc-editor-btn-pdf').addEventListener('click', () => this._savePdf());
+      wrapper.querySelector('.sc-editor-btn-svg').addEventListener('click', () => this._saveSvg());
       this.canvas.addEventListener('mousedown', (e) => this._onMouseDown(e));
       this.canvas.addEventListener('mousemove', (e) => this._onMouseMove(e));
       this.canvas.addEventListener('mouseup', (e) => this._onMouseUp(e));
       this.canvas.addEventListener('mouseleave', (e) => this._onMouseUp(e));
+      this.canvas.addEventListener('dblclick', (e) => this._onDoubleClick(e));
       document.addEventListener('keydown', this._boundOnKeyDown);
     }
 
@@ -217,31 +1001,145 @@
       }
       this.currentTool = tool;
       this.editorWrapper.querySelectorAll('.sc-editor-tool').forEach(btn => btn.classList.toggle('active', btn.dataset.tool === tool));
-      this.canvas.style.cursor = tool === TOOL_TYPES.NONE ? 'default' : tool === TOOL_TYPES.TEXT ? 'text' : tool === TOOL_TYPES.CROP ? 'crosshair' : 'crosshair';
+      this.canvas.style.cursor = tool === TOOL_TYPES.NONE || tool === TOOL_TYPES.SELECT ? 'default' : tool === TOOL_TYPES.TEXT ? 'text' : 'crosshair';
       if (tool !== TOOL_TYPES.TEXT && this.textInput) this._finishTextInput();
+      // 离开选择工具时去掉选中框
+      if (this.selectedIndex >= 0) this._render();
+      this._updateToolOptions();
       // 如果选择裁剪工具，初始化裁剪UI
       if (tool === TOOL_TYPES.CROP) {
         this._initCropUI();
       }
     }
 
+    // 有选中的标注时同时修改它的颜色
     _selectColor(color) {
       this.currentColor = color;
-      this.editorWrapper.querySelectorAll('.sc-editor-color').forEach(btn => btn.classList.toggle('active', btn.dataset.color === color));
+      this._syncStyleButtons();
+      this._updateSelectedAnnotation(a => a.type === TOOL_TYPES.SPOTLIGHT ? a : { ...a, color });
     }
 
     _selectStroke(stroke) {
       this.strokeWidth = stroke;
-      this.editorWrapper.querySelectorAll('.sc-editor-stroke').forEach(btn => btn.classList.toggle('active', parseInt(btn.dataset.stroke, 10) === stroke));
+      this._syncStyleButtons();
+      this._updateSelectedAnnotation(a => {
+        if (a.type === TOOL_TYPES.COUNTER) return { ...a, size: getCounterSize(stroke) };
+        return a.strokeWidth ? { ...a, strokeWidth: stroke } : a;
+      });
+    }
+
+    _selectCounterShape(shape) {
+      this.counterShape = shape;
+      this._syncStyleButtons();
+      this._updateSelectedAnnotation(a => (a.type === TOOL_TYPES.COUNTER ? { ...a, shape } : a));
+    }
+
+    // 修改文字选项：正在编辑或选中文字标注时同时修改它，否则只影响之后新建的文字
+    _setTextOption(key, value) {
+      if (key === 'fontSize') this.fontSize = value;
+      else this.textOptions = { ...this.textOptions, [key]: value };
+      this._syncStyleButtons();
+      // 输入框打开时只作用于正在编辑的文字（新建文字时为 -1，不改动其他标注）
+      const index = this.textInput ? this._editingTextIndex : this.selectedIndex;
+      const a = this.annotations[index];
+      if (a && a.type === TOOL_TYPES.TEXT && a[key] !== value) {
+        this.annotations[index] = { ...a, [key]: value };
+        this._render();
+        this._saveHistory();
+      }
+      if (this.textInput) {
+        this._applyTextInputStyle();
+        this.textInput.focus();
+      }
+    }
+
+    // 工具栏的文字选项切换为该文字标注的设置
+    _loadTextOptions(a) {
+      this.fontSize = a.fontSize;
+      this.textOptions = {
+        fontFamily: a.fontFamily || TEXT_FONTS[0].id,
+        bold: !!a.bold,
+        italic: !!a.italic,
+        effect: a.effect || 'none',
+        align: a.align || 'left'
+      };
+      this._syncStyleButtons();
+    }
+
+    _selectCalloutShape(shape) {
+      this.calloutShape = shape;
+      this._syncStyleButtons();
+      this._updateSelectedAnnotation(a => (a.type === TOOL_TYPES.CALLOUT ? fitCalloutToText(this.ctx, { ...a, shape }) : a));
+    }
+
+    // 图例只影响导出，不计入撤销记录
+    _toggleCounterLegend() {
+      this.counterLegend = !this.counterLegend;
+      this._syncStyleButtons();
+    }
+
+    _syncStyleButtons() {
+      this.editorWrapper.querySelectorAll('.sc-editor-color').forEach(btn => btn.classList.toggle('active', btn.dataset.color === this.currentColor));
+      this.editorWrapper.querySelectorAll('.sc-editor-stroke').forEach(btn => btn.classList.toggle('active', parseInt(btn.dataset.stroke, 10) === this.strokeWidth));
+      this.editorWrapper.querySelectorAll('[data-callout-shape]').forEach(btn => btn.classList.toggle('active', btn.dataset.calloutShape === this.calloutShape));
+      this._syncTextOptionControls();
+      this.editorWrapper.querySelectorAll('[data-counter-shape]').forEach(btn => btn.classList.toggle('active', btn.dataset.counterShape === this.counterShape));
+      this.editorWrapper.querySelector('.sc-editor-counter-legend').classList.toggle('active', this.counterLegend);
+    }
+
+    _syncTextOptionControls() {
+      const wrapper = this.editorWrapper;
+      const sizeSelect = wrapper.querySelector('[data-text-option="fontSize"]');
+      // 缩放后的字号不在预设中时临时加入选项
+      if (!Array.from(sizeSelect.options).some(option => parseInt(option.value, 10) === this.fontSize)) {
+        sizeSelect.add(new Option(`${this.fontSize}px`, this.fontSize));
+      }
+      sizeSelect.value = String(this.fontSize);
+      wrapper.querySelector('[data-text-option="fontFamily"]').value = this.textOptions.fontFamily;
+      wrapper.querySelectorAll('[data-text-toggle]').forEach(btn => btn.classList.toggle('active', !!this.textOptions[btn.dataset.textToggle]));
+      wrapper.querySelectorAll('[data-text-effect]').forEach(btn => btn.classList.toggle('active', btn.dataset.textEffect === this.textOptions.effect));
+      wrapper.querySelectorAll('[data-text-align]').forEach(btn => btn.classList.toggle('active', btn.dataset.textAlign === this.textOptions.align));
+    }
+
+    // 使用文字、标注框、步骤编号工具或选中对应标注时显示各自的字体、形状等选项
+    _updateToolOptions() {
+      const selected = this.annotations[this.selectedIndex];
+      this.editorWrapper.querySelectorAll('.sc-editor-tool-options').forEach(options => {
+        const type = options.dataset.optionsFor;
+        options.style.display = this.currentTool === type || (selected && selected.type === type) ? 'flex' : 'none';
+      });
     }
 
     _applyTemplate(template) {
+      const before = this._captureBaseState();
       this.currentTemplate = this.currentTemplate === template ? TEMPLATE_TYPES.NONE : template;
-      this.editorWrapper.querySelectorAll('.sc-editor-template').forEach(btn => btn.classList.toggle('active', btn.dataset.template === this.currentTemplate));
-      this._applyTemplateToCanvas();
+      this._applyTemplateToCanvas(before);
+    }
+
+    _toggleStamp() {
+      const before = this._captureBaseState();
+      this.stampEnabled = !this.stampEnabled;
+      this._applyTemplateToCanvas(before);
     }
 
-    _applyTemplateToCanvas() {
+    _syncTemplateButtons() {
+      this.editorWrapper.querySelectorAll('.sc-editor-template[data-template]').forEach(btn => btn.classList.toggle('active', btn.dataset.template === this.currentTemplate));
+      const stampBtn = this.editorWrapper.querySelector('.sc-editor-stamp');
+      if (stampBtn) stampBtn.classList.toggle('active', this.stampEnabled);
+    }
+
+    // 模板基于原图重新生成底图，打码和裁剪不保留；标注跟随原图在新底图中的位置平移
+    _applyTemplateToCanvas(before) {
+      this._syncTemplateButtons();
+      this._renderTemplateBase();
+      const dx = this.imageOrigin.x - before.origin.x, dy = this.imageOrigin.y - before.origin.y;
+      if (dx || dy) this.annotations = this.annotations.map(annotation => translateAnnotation(annotation, dx, dy));
+      this._render();
+      this._pushHistory({ type: 'template', before, after: this._captureBaseState(), bytes: before.bytes });
+    }
+
+    // 按当前模板和来源信息栏由原图生成底图
+    _renderTemplateBase() {
       const img = this.originalImage;
       const padding = this.templatePadding;
       let newWidth, newHeight, imgX, imgY, imgW = img.width, imgH = img.height;
@@ -255,64 +1153,72 @@
         default: newWidth = img.width; newHeight = img.height; imgX = 0; imgY = 0;
       }
 
-      this.canvas.width = newWidth;
-      this.canvas.height = newHeight;
-      this.ctx.clearRect(0, 0, newWidth, newHeight);
+      const ctx = this.baseCtx;
+      const stampHeight = this.stampEnabled ? getStampLayout(newWidth, this.stamp).height : 0;
+      const stampOnTop = this.stamp && this.stamp.position === 'header';
+      this.baseCanvas.width = newWidth;
+      this.baseCanvas.height = newHeight + stampHeight;
+      ctx.clearRect(0, 0, newWidth, newHeight + stampHeight);
+      ctx.save();
+      if (stampOnTop) ctx.translate(0, stampHeight);
 
       switch (this.currentTemplate) {
         case TEMPLATE_TYPES.SHADOW:
-          this.ctx.fillStyle = '#f5f5f5'; this.ctx.fillRect(0, 0, newWidth, newHeight);
-          this.ctx.shadowColor = 'rgba(0,0,0,0.3)'; this.ctx.shadowBlur = 20; this.ctx.shadowOffsetY = 10;
-          this.ctx.fillStyle = '#fff'; this.ctx.fillRect(imgX, imgY, imgW, imgH);
-          this.ctx.shadowColor = 'transparent'; break;
+          ctx.fillStyle = '#f5f5f5'; ctx.fillRect(0, 0, newWidth, newHeight);
+          ctx.shadowColor = 'rgba(0,0,0,0.3)'; ctx.shadowBlur = 20; ctx.shadowOffsetY = 10;
+          ctx.fillStyle = '#fff'; ctx.fillRect(imgX, imgY, imgW, imgH);
+          ctx.shadowColor = 'transparent'; break;
         case TEMPLATE_TYPES.ROUNDED:
-          this.ctx.save(); this._roundedRect(0, 0, newWidth, newHeight, 16); this.ctx.clip(); break;
+          ctx.save(); this._roundedRect(0, 0, newWidth, newHeight, 16, ctx); ctx.clip(); break;
         case TEMPLATE_TYPES.BROWSER:
-          this.ctx.fillStyle = '#f5f5f5'; this.ctx.fillRect(0, 0, newWidth, newHeight);
-          this.ctx.shadowColor = 'rgba(0,0,0,0.2)'; this.ctx.shadowBlur = 15; this.ctx.shadowOffsetY = 5;
-          this.ctx.fillStyle = '#fff'; this._roundedRect(padding/2, padding/2, newWidth - padding, newHeight - padding, 8); this.ctx.fill();
-          this.ctx.shadowColor = 'transparent';
-          this.ctx.fillStyle = '#e8e8e8'; this.ctx.beginPath();
-          this.ctx.moveTo(padding/2 + 8, padding/2); this.ctx.lineTo(newWidth - padding/2 - 8, padding/2);
-          this.ctx.quadraticCurveTo(newWidth - padding/2, padding/2, newWidth - padding/2, padding/2 + 8);
-          this.ctx.lineTo(newWidth - padding/2, padding/2 + 40); this.ctx.lineTo(padding/2, padding/2 + 40);
-          this.ctx.lineTo(padding/2, padding/2 + 8); this.ctx.quadraticCurveTo(padding/2, padding/2, padding/2 + 8, padding/2);
-          this.ctx.closePath(); this.ctx.fill();
+          ctx.fillStyle = '#f5f5f5'; ctx.fillRect(0, 0, newWidth, newHeight);
+          ctx.shadowColor = 'rgba(0,0,0,0.2)'; ctx.shadowBlur = 15; ctx.shadowOffsetY = 5;
+          ctx.fillStyle = '#fff'; this._roundedRect(padding/2, padding/2, newWidth - padding, newHeight - padding, 8, ctx); ctx.fill();
+          ctx.shadowColor = 'transparent';
+          ctx.fillStyle = '#e8e8e8'; ctx.beginPath();
+          ctx.moveTo(padding/2 + 8, padding/2); ctx.lineTo(newWidth - padding/2 - 8, padding/2);
+          ctx.quadraticCurveTo(newWidth - padding/2, padding/2, newWidth - padding/2, padding/2 + 8);
+          ctx.lineTo(newWidth - padding/2, padding/2 + 40); ctx.lineTo(padding/2, padding/2 + 40);
+          ctx.lineTo(padding/2, padding/2 + 8); ctx.quadraticCurveTo(padding/2, padding/2, padding/2 + 8, padding/2);
+          ctx.closePath(); ctx.fill();
           const btnY = padding/2 + 20, btnX = padding/2 + 16;
-          this.ctx.fillStyle = '#ff5f56'; this.ctx.beginPath(); this.ctx.arc(btnX, btnY, 6, 0, Math.PI * 2); this.ctx.fill();
-          this.ctx.fillStyle = '#ffbd2e'; this.ctx.beginPath(); this.ctx.arc(btnX + 20, btnY, 6, 0, Math.PI * 2); this.ctx.fill();
-          this.ctx.fillStyle = '#27c93f'; this.ctx.beginPath(); this.ctx.arc(btnX + 40, btnY, 6, 0, Math.PI * 2); this.ctx.fill();
+          ctx.fillStyle = '#ff5f56'; ctx.beginPath(); ctx.arc(btnX, btnY, 6, 0, Math.PI * 2); ctx.fill();
+          ctx.fillStyle = '#ffbd2e'; ctx.beginPath(); ctx.arc(btnX + 20, btnY, 6, 0, Math.PI * 2); ctx.fill();
+          ctx.fillStyle = '#27c93f'; ctx.beginPath(); ctx.arc(btnX + 40, btnY, 6, 0, Math.PI * 2); ctx.fill();
           break;
         case TEMPLATE_TYPES.GRADIENT_BG:
-          const gradient = this.ctx.createLinearGradient(0, 0, newWidth, newHeight);
+          const gradient = ctx.createLinearGradient(0, 0, newWidth, newHeight);
           gradient.addColorStop(0, '#667eea'); gradient.addColorStop(1, '#764ba2');
-          this.ctx.fillStyle = gradient; this.ctx.fillRect(0, 0, newWidth, newHeight);
-          this.ctx.shadowColor = 'rgba(0,0,0,0.3)'; this.ctx.shadowBlur = 30; this.ctx.shadowOffsetY = 15;
-          this.ctx.fillStyle = '#fff'; this._roundedRect(imgX, imgY, imgW, imgH, 8); this.ctx.fill();
-          this.ctx.shadowColor = 'transparent'; break;
+          ctx.fillStyle = gradient; ctx.fillRect(0, 0, newWidth, newHeight);
+          ctx.shadowColor = 'rgba(0,0,0,0.3)'; ctx.shadowBlur = 30; ctx.shadowOffsetY = 15;
+          ctx.fillStyle = '#fff'; this._roundedRect(imgX, imgY, imgW, imgH, 8, ctx); ctx.fill();
+          ctx.shadowColor = 'transparent'; break;
         case TEMPLATE_TYPES.POLAROID:
-          this.ctx.fillStyle = '#f0f0f0'; this.ctx.fillRect(0, 0, newWidth, newHeight);
-          this.ctx.shadowColor = 'rgba(0,0,0,0.2)'; this.ctx.shadowBlur = 20; this.ctx.shadowOffsetY = 8;
-          this.ctx.fillStyle = '#fff'; this.ctx.fillRect(padding/4, padding/4, newWidth - padding/2, newHeight - padding/2);
-          this.ctx.shadowColor = 'transparent'; break;
+          ctx.fillStyle = '#f0f0f0'; ctx.fillRect(0, 0, newWidth, newHeight);
+          ctx.shadowColor = 'rgba(0,0,0,0.2)'; ctx.shadowBlur = 20; ctx.shadowOffsetY = 8;
+          ctx.fillStyle = '#fff'; ctx.fillRect(padding/4, padding/4, newWidth - padding/2, newHeight - padding/2);
+          ctx.shadowColor = 'transparent'; break;
       }
 
-      this.ctx.drawImage(img, imgX, imgY, imgW, imgH);
-      if (this.currentTemplate === TEMPLATE_TYPES.ROUNDED) this.ctx.restore();
-      this._saveHistory();
+      ctx.drawImage(img, imgX, imgY, imgW, imgH);
+      if (this.currentTemplate === TEMPLATE_TYPES.ROUNDED) ctx.restore();
+      ctx.restore();
+      if (stampHeight) drawStampBand(ctx, stampOnTop ? 0 : newHeight, newWidth, this.stamp);
+      this._basePristine = true;
+      this.imageOrigin = { x: imgX, y: imgY + (stampOnTop ? stampHeight : 0) };
     }
 
-    _roundedRect(x, y, width, height, radius) {
-      this.ctx.beginPath();
-      this.ctx.moveTo(x + radius, y); this.ctx.lineTo(x + width - radius, y);
-      this.ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
-      this.ctx.lineTo(x + width, y + height - radius);
-      this.ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
-      this.ctx.lineTo(x + radius, y + height);
-      this.ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
-      this.ctx.lineTo(x, y + radius);
-      this.ctx.quadraticCurveTo(x, y, x + radius, y);
-      this.ctx.closePath();
+    _roundedRect(x, y, width, height, radius, ctx = this.ctx) {
+      ctx.beginPath();
+      ctx.moveTo(x + radius, y); ctx.lineTo(x + width - radius, y);
+      ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+      ctx.lineTo(x + width, y + height - radius);
+      ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+      ctx.lineTo(x + radius, y + height);
+      ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+      ctx.lineTo(x, y + radius);
+      ctx.quadraticCurveTo(x, y, x + radius, y);
+      ctx.closePath();
     }
 
     _getCanvasCoords(e) {
@@ -321,6 +1227,7 @@
     }
 
     _onMouseDown(e) {
+      if (this.currentTool === TOOL_TYPES.SELECT) { this._onSelectMouseDown(e); return; }
       if (this.currentTool === TOOL_TYPES.NONE) return;
       // 裁剪工具有自己的事件处理，不走正常绘制流程
       if (this.currentTool === TOOL_TYPES.CROP) return;
@@ -330,65 +1237,148 @@
       }
       const coords = this._getCanvasCoords(e);
       this.startX = coords.x; this.startY = coords.y; this.isDrawing = true;
+      this.currentX = coords.x; this.currentY = coords.y;
       if (this.currentTool === TOOL_TYPES.TEXT) {
         e.preventDefault(); e.stopPropagation();
-        this._startTextInput(coords.x, coords.y);
+        // 点在已有的文字上时重新编辑，否则新建
+        const index = this._hitTestAnnotation(coords.x, coords.y);
+        const existing = this.annotations[index];
+        if (existing && existing.type === TOOL_TYPES.TEXT) this._startTextInput(existing.x, existing.y, index);
+        else this._startTextInput(coords.x, coords.y);
         this.isDrawing = false;
         return;
       }
       if (this.currentTool === TOOL_TYPES.PEN || this.currentTool === TOOL_TYPES.MARKER) this.penPath = [{ x: coords.x, y: coords.y }];
-      this._tempImageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
     }
 
     _onMouseMove(e) {
+      if (this.currentTool === TOOL_TYPES.SELECT) { this._onSelectMouseMove(e); return; }
       if (!this.isDrawing) return;
       const coords = this._getCanvasCoords(e);
       this.currentX = coords.x; this.currentY = coords.y;
-      if (this._tempImageData) this.ctx.putImageData(this._tempImageData, 0, 0);
+      // 重新合成后再画预览，不保留整张画布的像素副本
+      this._render();
       this._drawShape(false);
       if (this.currentTool === TOOL_TYPES.PEN || this.currentTool === TOOL_TYPES.MARKER) this.penPath.push({ x: coords.x, y: coords.y });
     }
 
     _onMouseUp(e) {
+      if (this.currentTool === TOOL_TYPES.SELECT) { this._onSelectMouseUp(); return; }
       if (!this.isDrawing) return;
       this.isDrawing = false;
       const coords = this._getCanvasCoords(e);
       this.currentX = coords.x; this.currentY = coords.y;
-      if (this._tempImageData) this.ctx.putImageData(this._tempImageData, 0, 0);
-      this._drawShape(true);
-      this._saveHistory();
-      this._tempImageData = null; this.penPath = [];
+      this._commitShape();
+      this.penPath = [];
     }
 
-    _drawShape(isFinal) {
+    // 拖动过程中的预览：矢量工具直接绘制标注，马赛克、模糊和聚光灯只显示选框
+    _drawShape() {
+      const annotation = this._createAnnotation();
+      if (annotation && annotation.type !== TOOL_TYPES.SPOTLIGHT) { this._drawAnnotation(this.ctx, annotation); return; }
+      if (this.currentTool !== TOOL_TYPES.MOSAIC && this.currentTool !== TOOL_TYPES.BLUR && this.currentTool !== TOOL_TYPES.SPOTLIGHT) return;
       const ctx = this.ctx, x1 = this.startX, y1 = this.startY, x2 = this.currentX, y2 = this.currentY;
-      ctx.save(); ctx.strokeStyle = this.currentColor; ctx.fillStyle = this.currentColor;
-      ctx.lineWidth = this.strokeWidth; ctx.lineCap = 'round'; ctx.lineJoin = 'round';
+      ctx.save(); ctx.setLineDash([5, 5]); ctx.strokeStyle = '#07C160'; ctx.lineWidth = 2;
+      ctx.strokeRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+      ctx.restore();
+    }
 
+    // 完成绘制：矢量工具记录为标注，马赛克和模糊直接作用于底图
+    _commitShape() {
+      const annotation = this._createAnnotation();
+      if (annotation && annotation.type === TOOL_TYPES.CALLOUT) {
+        // 新建的标注框直接输入文字，输入完成后才记入历史，没有输入文字时移除
+        this.annotations.push(annotation);
+        this._render();
+        this._startTextInput(annotation.x, annotation.y, this.annotations.length - 1);
+        this._pendingCallout = true;
+      } else if (annotation) {
+        this.annotations.push(annotation);
+        this._render();
+        this._saveHistory();
+      } else if (this.currentTool === TOOL_TYPES.MOSAIC || this.currentTool === TOOL_TYPES.BLUR) {
+        this._applyBasePatch();
+        this._render();
+      }
+    }
+
+    // 马赛克和模糊：撤销记录只保存选区内改动前后的像素
+    _applyBasePatch() {
+      const { width: canvasWidth, height: canvasHeight } = this.baseCanvas;
+      const x = Math.max(0, Math.floor(Math.min(this.startX, this.currentX)));
+      const y = Math.max(0, Math.floor(Math.min(this.startY, this.currentY)));
+      const width = Math.min(canvasWidth, Math.ceil(Math.max(this.startX, this.currentX))) - x;
+      const height = Math.min(canvasHeight, Math.ceil(Math.max(this.startY, this.currentY))) - y;
+      if (width < 1 || height < 1) return;
+      const before = this.baseCtx.getImageData(x, y, width, height);
+      if (this.currentTool === TOOL_TYPES.MOSAIC) this._applyMosaic(x, y, width, height);
+      else this._applyBlur(x, y, width, height);
+      const after = this.baseCtx.getImageData(x, y, width, height);
+      const pristineBefore = this._basePristine;
+      this._basePristine = false;
+      this._pushHistory({ type: 'patch', rect: { x, y }, before, after, pristineBefore, bytes: width * height * 8 });
+    }
+
+    // 根据当前工具和拖动位置生成标注记录，非矢量工具返回 null
+    _createAnnotation() {
+      const x1 = this.startX, y1 = this.startY, x2 = this.currentX, y2 = this.currentY;
+      const style = { color: this.currentColor, strokeWidth: this.strokeWidth };
       switch (this.currentTool) {
-        case TOOL_TYPES.RECT: ctx.beginPath(); ctx.rect(x1, y1, x2 - x1, y2 - y1); this.fillShape ? ctx.fill() : ctx.stroke(); break;
+        case TOOL_TYPES.RECT:
+        case TOOL_TYPES.ELLIPSE:
+          return { type: this.currentTool, ...style, fill: this.fillShape, x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+        case TOOL_TYPES.LINE:
+        case TOOL_TYPES.ARROW:
+          return { type: this.currentTool, ...style, x1, y1, x2, y2 };
+        case TOOL_TYPES.PEN:
+        case TOOL_TYPES.MARKER:
+          return this.penPath.length > 1 ? { type: this.currentTool, ...style, points: this.penPath.map(p => ({ x: p.x, y: p.y })) } : null;
+        case TOOL_TYPES.CALLOUT: {
+          // 从目标处拖出：尾巴指向按下的位置，框以松开的位置为中心；单击时放在目标右上方
+          const width = CALLOUT_DEFAULT_WIDTH, height = CALLOUT_DEFAULT_HEIGHT;
+          const clicked = Math.hypot(x2 - x1, y2 - y1) < 10;
+          const cx = clicked ? x1 + width / 2 + 40 : x2, cy = clicked ? y1 - height / 2 - 40 : y2;
+          const x = Math.max(0, Math.min(cx - width / 2, this.baseCanvas.width - width));
+          const y = Math.max(0, Math.min(cy - height / 2, this.baseCanvas.height - height));
+          return { type: TOOL_TYPES.CALLOUT, color: this.currentColor, shape: this.calloutShape, fontSize: this.fontSize, x, y, width, height, tailX: x1, tailY: y1, text: '' };
+        }
+        case TOOL_TYPES.SPOTLIGHT:
+          if (Math.abs(x2 - x1) < 4 || Math.abs(y2 - y1) < 4) return null;
+          return { type: TOOL_TYPES.SPOTLIGHT, x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+        case TOOL_TYPES.COUNTER: {
+          // 点击处放置，拖动可调整位置；seq 记录创建顺序，用于计算编号
+          const seq = 1 + this.annotations.reduce((max, a) => (a.type === TOOL_TYPES.COUNTER ? Math.max(max, a.seq) : max), 0);
+          return { type: TOOL_TYPES.COUNTER, color: this.currentColor, shape: this.counterShape, size: getCounterSize(this.strokeWidth), x: x2, y: y2, seq };
+        }
+        default:
+          return null;
+      }
+    }
+
+    _drawAnnotation(ctx, a) {
+      ctx.save(); ctx.strokeStyle = a.color; ctx.fillStyle = a.color;
+      ctx.lineWidth = a.strokeWidth; ctx.lineCap = 'round'; ctx.lineJoin = 'round';
+      switch (a.type) {
+        case TOOL_TYPES.RECT: ctx.beginPath(); ctx.rect(a.x, a.y, a.width, a.height); a.fill ? ctx.fill() : ctx.stroke(); break;
         case TOOL_TYPES.ELLIPSE:
-          const rx = Math.abs(x2 - x1) / 2, ry = Math.abs(y2 - y1) / 2;
-          ctx.beginPath(); ctx.ellipse(x1 + (x2 - x1) / 2, y1 + (y2 - y1) / 2, rx, ry, 0, 0, Math.PI * 2);
-          this.fillShape ? ctx.fill() : ctx.stroke(); break;
-        case TOOL_TYPES.LINE: ctx.beginPath(); ctx.moveTo(x1, y1); ctx.lineTo(x2, y2); ctx.stroke(); break;
-        case TOOL_TYPES.ARROW: this._drawArrow(ctx, x1, y1, x2, y2); break;
+          ctx.beginPath(); ctx.ellipse(a.x + a.width / 2, a.y + a.height / 2, a.width / 2, a.height / 2, 0, 0, Math.PI * 2);
+          a.fill ? ctx.fill() : ctx.stroke(); break;
+        case TOOL_TYPES.LINE: ctx.beginPath(); ctx.moveTo(a.x1, a.y1); ctx.lineTo(a.x2, a.y2); ctx.stroke(); break;
+        case TOOL_TYPES.ARROW: this._drawArrow(ctx, a.x1, a.y1, a.x2, a.y2, a.strokeWidth); break;
         case TOOL_TYPES.PEN:
-          if (this.penPath.length > 1) { ctx.beginPath(); ctx.moveTo(this.penPath[0].x, this.penPath[0].y); for (let i = 1; i < this.penPath.length; i++) ctx.lineTo(this.penPath[i].x, this.penPath[i].y); ctx.stroke(); } break;
         case TOOL_TYPES.MARKER:
-          if (this.penPath.length > 1) { ctx.globalAlpha = 0.4; ctx.lineWidth = this.strokeWidth * 4; ctx.beginPath(); ctx.moveTo(this.penPath[0].x, this.penPath[0].y); for (let i = 1; i < this.penPath.length; i++) ctx.lineTo(this.penPath[i].x, this.penPath[i].y); ctx.stroke(); } break;
-        case TOOL_TYPES.MOSAIC:
-          if (isFinal) this._applyMosaic(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
-          else { ctx.setLineDash([5, 5]); ctx.strokeStyle = '#07C160'; ctx.lineWidth = 2; ctx.strokeRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1)); } break;
-        case TOOL_TYPES.BLUR:
-          if (isFinal) this._applyBlur(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
-          else { ctx.setLineDash([5, 5]); ctx.strokeStyle = '#07C160'; ctx.lineWidth = 2; ctx.strokeRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1)); } break;
+          if (a.type === TOOL_TYPES.MARKER) { ctx.globalAlpha = 0.4; ctx.lineWidth = a.strokeWidth * 4; }
+          ctx.beginPath(); ctx.moveTo(a.points[0].x, a.points[0].y); for (let i = 1; i < a.points.length; i++) ctx.lineTo(a.points[i].x, a.points[i].y); ctx.stroke(); break;
+        case TOOL_TYPES.TEXT: drawTextAnnotation(ctx, a); break;
+        case TOOL_TYPES.COUNTER: drawCounterBadge(ctx, a.x, a.y, a.size, a.shape, a.color, getCounterNumber(this.annotations, a)); break;
+        case TOOL_TYPES.CALLOUT: drawCallout(ctx, a); break;
+        // 聚光灯的压暗效果在绘制标注前由 drawSpotlights 统一处理
       }
       ctx.restore();
     }
 
-    _drawArrow(ctx, fromX, fromY, toX, toY) {
-      const headLen = this.strokeWidth * 4, angle = Math.atan2(toY - fromY, toX - fromX);
+    _drawArrow(ctx, fromX, fromY, toX, toY, strokeWidth = this.strokeWidth) {
+      const headLen = strokeWidth * 4, angle = Math.atan2(toY - fromY, toX - fromX);
       ctx.beginPath(); ctx.moveTo(fromX, fromY); ctx.lineTo(toX, toY); ctx.stroke();
       ctx.beginPath(); ctx.moveTo(toX, toY);
       ctx.lineTo(toX - headLen * Math.cos(angle - Math.PI / 6), toY - headLen * Math.sin(angle - Math.PI / 6));
@@ -396,10 +1386,228 @@
       ctx.closePath(); ctx.fill();
     }
 
+    // ============================================
+    // 选择和调整标注
+    // ============================================
+
+    // 画布像素与屏幕像素之比，使手柄和点击范围在屏幕上大小固定
+    _getDisplayScale() {
+      const rect = this.canvas.getBoundingClientRect();
+      return rect.width ? this.canvas.width / rect.width : 1;
+    }
+
+    // 从最上层开始查找点击位置的标注；未填充的矩形和椭圆只在边框附近命中，避免遮挡下层标注
+    _hitTestAnnotation(x, y) {
+      const tolerance = 6 * this._getDisplayScale();
+      for (let i = this.annotations.length - 1; i >= 0; i--) {
+        const a = this.annotations[i];
+        const reach = tolerance + (a.strokeWidth || 0) * (a.type === TOOL_TYPES.MARKER ? 2 : 0.5);
+        let hit = false;
+        switch (a.type) {
+          case TOOL_TYPES.RECT:
+          case TOOL_TYPES.SPOTLIGHT: {
+            const outer = x >= a.x - reach && x <= a.x + a.width + reach && y >= a.y - reach && y <= a.y + a.height + reach;
+            const inner = x > a.x + reach && x < a.x + a.width - reach && y > a.y + reach && y < a.y + a.height - reach;
+            hit = outer && (a.fill || !inner);
+            break;
+          }
+          case TOOL_TYPES.ELLIPSE: {
+            const rx = a.width / 2, ry = a.height / 2, minRadius = Math.max(Math.min(rx, ry), 1);
+            // 归一化距离，1 表示在椭圆上
+            const d = Math.hypot((x - a.x - rx) / Math.max(rx, 1), (y - a.y - ry) / Math.max(ry, 1));
+            hit = a.fill ? d <= 1 + reach / minRadius : Math.abs(d - 1) * minRadius <= reach;
+            break;
+          }
+          case TOOL_TYPES.LINE:
+          case TOOL_TYPES.ARROW:
+            hit = distanceToSegment(x, y, a.x1, a.y1, a.x2, a.y2) <= reach;
+            break;
+          case TOOL_TYPES.PEN:
+          case TOOL_TYPES.MARKER:
+            hit = a.points.some((p, j) => j > 0 && distanceToSegment(x, y, a.points[j - 1].x, a.points[j - 1].y, p.x, p.y) <= reach);
+            break;
+          case TOOL_TYPES.CALLOUT: {
+            const tail = getCalloutTail(a);
+            const inBox = x >= a.x - reach && x <= a.x + a.width + reach && y >= a.y - reach && y <= a.y + a.height + reach;
+            hit = inBox || distanceToSegment(x, y, a.tailX, a.tailY, (tail[1].x + tail[2].x) / 2, (tail[1].y + tail[2].y) / 2) <= reach + 4;
+            break;
+          }
+          case TOOL_TYPES.TEXT:
+          case TOOL_TYPES.COUNTER: {
+            const b = getAnnotationBounds(a, this.ctx);
+            hit = x >= b.x - reach && x <= b.x + b.width + reach && y >= b.y - reach && y <= b.y + b.height + reach;
+            break;
+          }
+        }
+        if (hit) return i;
+      }
+      return -1;
+    }
+
+    // 直线和箭头拖动两个端点，其他标注拖动外接矩形的四个角（标注框的外接矩形不含尾巴）
+    _getSelectionHandles(a) {
+      if (a.type === TOOL_TYPES.LINE || a.type === TOOL_TYPES.ARROW) {
+        return [{ name: 'start', x: a.x1, y: a.y1 }, { name: 'end', x: a.x2, y: a.y2 }];
+      }
+      const b = getAnnotationBounds(a, this.ctx);
+      const handles = [
+        { name: 'nw', x: b.x, y: b.y },
+        { name: 'ne', x: b.x + b.width, y: b.y },
+        { name: 'sw', x: b.x, y: b.y + b.height },
+        { name: 'se', x: b.x + b.width, y: b.y + b.height }
+      ];
+      // 标注框的尾巴端点单独拖动，用于改变指向的目标
+      if (a.type === TOOL_TYPES.CALLOUT) handles.push({ name: 'tail', x: a.tailX, y: a.tailY });
+      return handles;
+    }
+
+    _hitTestHandle(x, y) {
+      const a = this.annotations[this.selectedIndex];
+      if (!a) return null;
+      const reach = 8 * this._getDisplayScale();
+      return this._getSelectionHandles(a).find(h => Math.abs(h.x - x) <= reach && Math.abs(h.y - y) <= reach) || null;
+    }
+
+    // 选中框和手柄只画在显示画布上，导出使用 _getFlattenedCanvas
+    _drawSelection(ctx) {
+      const a = this.annotations[this.selectedIndex];
+      if (!a) return;
+      const scale = this._getDisplayScale(), size = 8 * scale;
+      ctx.save();
+      ctx.lineWidth = scale;
+      ctx.strokeStyle = '#07C160';
+      if (a.type !== TOOL_TYPES.LINE && a.type !== TOOL_TYPES.ARROW) {
+        const b = getAnnotationBounds(a, ctx);
+        ctx.setLineDash([4 * scale, 4 * scale]);
+        ctx.strokeRect(b.x, b.y, b.width, b.height);
+        ctx.setLineDash([]);
+      }
+      ctx.fillStyle = '#FFFFFF';
+      this._getSelectionHandles(a).forEach(h => {
+        ctx.fillRect(h.x - size / 2, h.y - size / 2, size, size);
+        ctx.strokeRect(h.x - size / 2, h.y - size / 2, size, size);
+      });
+      ctx.restore();
+    }
+
+    // 选中标注，工具栏的颜色、线宽和编号形状随之切换为该标注的属性
+    _selectAnnotation(index) {
+      this.selectedIndex = index;
+      const a = this.annotations[index];
+      if (a) {
+        this.currentColor = a.color;
+        if (a.strokeWidth) this.strokeWidth = a.strokeWidth;
+        if (a.type === TOOL_TYPES.COUNTER) this.counterShape = a.shape;
+        if (a.type === TOOL_TYPES.CALLOUT) this.calloutShape = a.shape;
+        if (a.type === TOOL_TYPES.TEXT) this._loadTextOptions(a);
+        this._syncStyleButtons();
+      }
+      this._render();
+    }
+
+    // 标注对象与历史记录共享，修改时总是替换为新对象
+    _updateSelectedAnnotation(update) {
+      const a = this.annotations[this.selectedIndex];
+      if (!a) return;
+      const updated = update(a);
+      if (updated === a) return;
+      this.annotations[this.selectedIndex] = updated;
+      this._render();
+      this._saveHistory();
+    }
+
+    _deleteSelectedAnnotation() {
+      if (!this.annotations[this.selectedIndex]) return;
+      this.annotations.splice(this.selectedIndex, 1);
+      this.selectedIndex = -1;
+      this._render();
+      this._saveHistory();
+    }
+
+    // 调整层级：forward / backward 移动一层，front / back 移到最上层或最下层
+    _reorderSelectedAnnotation(direction) {
+      const from = this.selectedIndex, last = this.annotations.length - 1;
+      if (!this.annotations[from]) return;
+      const to = { forward: Math.min(from + 1, last), backward: Math.max(from - 1, 0), front: last, back: 0 }[direction];
+      if (to === undefined || to === from) return;
+      const [annotation] = this.annotations.splice(from, 1);
+      this.annotations.splice(to, 0, annotation);
+      this.selectedIndex = to;
+      this._render();
+      this._saveHistory();
+    }
+
+    _updateObjectActions() {
+      const actions = this.editorWrapper.querySelector('.sc-editor-object-actions');
+      if (actions) actions.style.display = this.annotations[this.selectedIndex] ? 'flex' : 'none';
+    }
+
+    _onSelectMouseDown(e) {
+      if (this.textInput) this._finishTextInput();
+      const { x, y } = this._getCanvasCoords(e);
+      const handle = this._hitTestHandle(x, y);
+      const index = handle ? this.selectedIndex : this._hitTestAnnotation(x, y);
+      if (index !== this.selectedIndex) this._selectAnnotation(index);
+      if (index < 0) return;
+      const a = this.annotations[index];
+      this._dragState = { handle: handle && handle.name, startX: x, startY: y, original: a, bounds: getAnnotationBounds(a, this.ctx), moved: false };
+    }
+
+    _onSelectMouseMove(e) {
+      const { x, y } = this._getCanvasCoords(e);
+      const drag = this._dragState;
+      if (!drag) {
+        const handle = this._hitTestHandle(x, y);
+        const resizeCursors = { nw: 'nwse-resize', se: 'nwse-resize', ne: 'nesw-resize', sw: 'nesw-resize' };
+        this.canvas.style.cursor = handle ? (resizeCursors[handle.name] || 'crosshair') : this._hitTestAnnotation(x, y) >= 0 ? 'move' : 'default';
+        return;
+      }
+      const dx = x - drag.startX, dy = y - drag.startY;
+      // 忽略点击时的轻微抖动
+      if (!drag.moved && Math.hypot(dx, dy) < 2 * this._getDisplayScale()) return;
+      drag.moved = true;
+      this.annotations[this.selectedIndex] = drag.handle ? this._resizeAnnotation(drag, x, y) : translateAnnotation(drag.original, dx, dy);
+      this._render();
+    }
+
+    _onSelectMouseUp() {
+      const drag = this._dragState;
+      this._dragState = null;
+      if (drag && drag.moved) this._saveHistory();
+    }
+
+    // 拖动手柄：端点直接移动，四角缩放时对角保持不动
+    _resizeAnnotation(drag, x, y) {
+      const a = drag.original, b = drag.bounds;
+      if (drag.handle === 'start') return { ...a, x1: x, y1: y };
+      if (drag.handle === 'end') return { ...a, x2: x, y2: y };
+      if (drag.handle === 'tail') return { ...a, tailX: x, tailY: y };
+      const fixedX = drag.handle.includes('w') ? b.x + b.width : b.x;
+      const fixedY = drag.handle.includes('n') ? b.y + b.height : b.y;
+      return scaleAnnotation(a, b, {
+        x: Math.min(x, fixedX),
+        y: Math.min(y, fixedY),
+        width: Math.max(1, Math.abs(x - fixedX)),
+        height: Math.max(1, Math.abs(y - fixedY))
+      });
+    }
+
+    // 选择工具下双击文字标注、标注框可重新编辑内容，双击步骤编号填写图例说明
+    _onDoubleClick(e) {
+      if (this.currentTool !== TOOL_TYPES.SELECT) return;
+      const { x, y } = this._getCanvasCoords(e);
+      const index = this._hitTestAnnotation(x, y);
+      const a = this.annotations[index];
+      if (!a) return;
+      this._dragState = null;
+      if (a.type === TOOL_TYPES.TEXT || a.type === TOOL_TYPES.CALLOUT) this._startTextInput(a.x, a.y, index);
+      else if (a.type === TOOL_TYPES.COUNTER) this._startTextInput(a.x + a.size / 2 + 4, a.y - a.size / 2, index);
+    }
+
     _applyMosaic(x, y, width, height) {
       if (width < 1 || height < 1) return;
       const blockSize = Math.max(8, Math.floor(this.strokeWidth * 2));
-      const imageData = this.ctx.getImageData(x, y, width, height), data = imageData.data;
+      const imageData = this.baseCtx.getImageData(x, y, width, height), data = imageData.data;
       for (let by = 0; by < height; by += blockSize) {
         for (let bx = 0; bx < width; bx += blockSize) {
           let r = 0, g = 0, b = 0, count = 0;
@@ -416,16 +1624,16 @@
           }
         }
       }
-      this.ctx.putImageData(imageData, x, y);
+      this.baseCtx.putImageData(imageData, x, y);
     }
 
     _applyBlur(x, y, width, height) {
       if (width < 1 || height < 1) return;
       const tempCanvas = document.createElement('canvas'); tempCanvas.width = width; tempCanvas.height = height;
       const tempCtx = tempCanvas.getContext('2d');
-      tempCtx.drawImage(this.canvas, x, y, width, height, 0, 0, width, height);
+      tempCtx.drawImage(this.baseCanvas, x, y, width, height, 0, 0, width, height);
       for (let i = 0; i < 3; i++) { const sw = width * 0.5, sh = height * 0.5; tempCtx.drawImage(tempCanvas, 0, 0, width, height, 0, 0, sw, sh); tempCtx.drawImage(tempCanvas, 0, 0, sw, sh, 0, 0, width, height); }
-      this.ctx.drawImage(tempCanvas, 0, 0, width, height, x, y, width, height);
+      this.baseCtx.drawImage(tempCanvas, 0, 0, width, height, x, y, width, height);
     }
 
     // ============================================
@@ -772,34 +1980,36 @@
       }
 
       const { x, y, width, height } = this.cropSelection;
+      const rect = { x: Math.round(x), y: Math.round(y), width: Math.round(width), height: Math.round(height) };
 
-      // 获取裁剪区域的图像数据
-      const imageData = this.ctx.getImageData(
-        Math.round(x), Math.round(y),
-        Math.round(width), Math.round(height)
-      );
-
-      // 调整画布大小
-      this.canvas.width = Math.round(width);
-      this.canvas.height = Math.round(height);
-
-      // 绘制裁剪后的图像
-      this.ctx.putImageData(imageData, 0, 0);
+      // 裁剪底图，标注随之平移
+      const before = this._captureBaseState();
+      this._cropBase(rect);
+      this.annotations = this.annotations.map(annotation => translateAnnotation(annotation, -rect.x, -rect.y));
+      this._render();
 
       // 保存历史
-      this._saveHistory();
-      this._updateDimensions();
+      this._pushHistory({ type: 'crop', before, rect, bytes: before.bytes });
 
       // 清除裁剪 UI 并取消选择裁剪工具
       this._clearCropUI();
-      this._selectTool(TOOL_TYPES.NONE);
+      this._selectTool(TOOL_TYPES.SELECT);
 
       this._showToast(this.getMessage('cropSuccess') || '裁剪完成');
     }
 
+    _cropBase(rect) {
+      const imageData = this.baseCtx.getImageData(rect.x, rect.y, rect.width, rect.height);
+      this.baseCanvas.width = rect.width;
+      this.baseCanvas.height = rect.height;
+      this.baseCtx.putImageData(imageData, 0, 0);
+      this._basePristine = false;
+      this.imageOrigin = { x: this.imageOrigin.x - rect.x, y: this.imageOrigin.y - rect.y };
+    }
+
     _cancelCrop() {
       this._clearCropUI();
-      this._selectTool(TOOL_TYPES.NONE);
+      this._selectTool(TOOL_TYPES.SELECT);
     }
 
     _clearCropUI() {
@@ -827,8 +2037,13 @@
       this.activeCropHandle = null;
     }
 
-    _startTextInput(x, y) {
+    // editIndex 为重新编辑的文字标注、标注框或步骤编号的下标，新建时为 -1
+    _startTextInput(x, y, editIndex = -1) {
       if (this.textInput) this._finishTextInput();
+      const editing = this.annotations[editIndex];
+      const isCounter = !!editing && editing.type === TOOL_TYPES.COUNTER;
+      const color = editing ? editing.color : this.currentColor;
+      const fontSize = editing && !isCounter ? editing.fontSize : this.fontSize;
       const wrapper = this.editorWrapper.querySelector('.sc-editor-canvas-wrapper');
       const rect = this.canvas.getBoundingClientRect();
       const wrapperRect = wrapper.getBoundingClientRect();
@@ -837,9 +2052,23 @@
       this.textInput.className = 'sc-editor-text-input';
       const inputLeft = rect.left - wrapperRect.left + x * scaleX;
       const inputTop = rect.top - wrapperRect.top + y * scaleY;
-      this.textInput.style.cssText = `position:absolute;left:${inputLeft}px;top:${inputTop}px;color:${this.currentColor};font-size:${Math.max(14, this.fontSize * scaleY)}px;z-index:9999;background:rgba(255,255,255,0.95);border:2px dashed ${this.currentColor};min-width:120px;min-height:32px;padding:6px 8px;box-sizing:border-box;outline:none;resize:both;`;
+      this.textInput.style.cssText = `position:absolute;left:${inputLeft}px;top:${inputTop}px;color:${color};font-size:${Math.max(14, fontSize * scaleY)}px;z-index:9999;background:rgba(255,255,255,0.95);border:2px dashed ${color};min-width:120px;min-height:32px;padding:6px 8px;box-sizing:border-box;outline:none;resize:both;`;
+      if (isCounter) {
+        this.textInput.value = editing.label || '';
+        this.textInput.placeholder = this.getMessage('editorCounterLabelPlaceholder');
+      } else if (editing) {
+        this.textInput.value = editing.text;
+      }
+      // 标注框的输入框与框同样大小
+      if (editing && editing.type === TOOL_TYPES.TEXT) this._loadTextOptions(editing);
+      if (editing && editing.type === TOOL_TYPES.CALLOUT) {
+        this.textInput.style.width = `${Math.max(120, editing.width * scaleX)}px`;
+        this.textInput.style.height = `${Math.max(32, editing.height * scaleY)}px`;
+      }
       this.textInputX = x; this.textInputY = y;
+      this._editingTextIndex = editing ? editIndex : -1;
       this._isTextInputting = true;
+      this._applyTextInputStyle();
       wrapper.appendChild(this.textInput);
       // 阻止 mousedown 冒泡
       this.textInput.addEventListener('mousedown', (e) => e.stopPropagation());
@@ -848,43 +2077,179 @@
       // 键盘事件
       this.textInput.addEventListener('keydown', (e) => {
         e.stopPropagation();
-        if (e.key === 'Escape') { e.preventDefault(); this.textInput.value = ''; this._finishTextInput(); }
+        if (e.key === 'Escape') { e.preventDefault(); this._finishTextInput(true); }
         else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); this._finishTextInput(); }
+        else if ((e.ctrlKey || e.metaKey) && (e.key === 'b' || e.key === 'i') && !isCounter && !(editing && editing.type === TOOL_TYPES.CALLOUT)) {
+          e.preventDefault();
+          const key = e.key === 'b' ? 'bold' : 'italic';
+          this._setTextOption(key, !this.textOptions[key]);
+        }
       });
     }
 
-    _finishTextInput() {
-      if (!this.textInput) return;
-      const text = this.textInput.value.trim();
-      if (text) {
-        this.ctx.save(); this.ctx.fillStyle = this.currentColor;
-        this.ctx.font = `${this.fontSize}px -apple-system,BlinkMacSystemFont,'PingFang SC','Microsoft YaHei',sans-serif`;
-        this.ctx.textBaseline = 'top';
-        text.split('\n').forEach((line, i) => this.ctx.fillText(line, this.textInputX, this.textInputY + i * (this.fontSize + 4)));
-        this.ctx.restore(); this._saveHistory();
+    // 输入框的字体、粗细、斜体和对齐与文字标注一致，输入时即可看到效果
+    _applyTextInputStyle() {
+      const editing = this.annotations[this._editingTextIndex];
+      if (!this.textInput || (editing && editing.type !== TOOL_TYPES.TEXT)) return;
+      const a = editing || { fontSize: this.fontSize, ...this.textOptions };
+      const scaleY = this.canvas.getBoundingClientRect().height / this.canvas.height;
+      Object.assign(this.textInput.style, {
+        fontFamily: getTextFontFamily(a),
+        fontSize: `${Math.max(14, a.fontSize * scaleY)}px`,
+        fontWeight: a.bold ? 'bold' : 'normal',
+        fontStyle: a.italic ? 'italic' : 'normal',
+        textAlign: a.align || 'left'
+      });
+    }
+
+    // cancel 为 true 时放弃输入；重新编辑时清空文字即删除该文字标注，标注框的文字和步骤编号的说明可以清空
+    _finishTextInput(cancel = false) {
+      if (!this.textInput) return;
+      const text = cancel ? '' : this.textInput.value.trim();
+      const editing = this.annotations[this._editingTextIndex];
+      if (this._pendingCallout) {
+        if (text) this.annotations[this._editingTextIndex] = fitCalloutToText(this.ctx, { ...editing, text });
+        else this.annotations.splice(this._editingTextIndex, 1);
+        this._render(); this._saveHistory();
+      } else if (editing) {
+        const field = editing.type === TOOL_TYPES.COUNTER ? 'label' : 'text';
+        if (!cancel && text !== (editing[field] || '')) {
+          if (editing.type === TOOL_TYPES.CALLOUT) this.annotations[this._editingTextIndex] = fitCalloutToText(this.ctx, { ...editing, text });
+          else if (text || field === 'label') this.annotations[this._editingTextIndex] = { ...editing, [field]: text };
+          else this.annotations.splice(this._editingTextIndex, 1);
+          this._render(); this._saveHistory();
+        }
+      } else if (text) {
+        this.annotations.push({ type: TOOL_TYPES.TEXT, color: this.currentColor, fontSize: this.fontSize, ...this.textOptions, x: this.textInputX, y: this.textInputY, text });
+        this._render(); this._saveHistory();
+      }
+      this.textInput.remove(); this.textInput = null;
+      this._editingTextIndex = -1;
+      this._pendingCallout = false;
+      this._isTextInputting = false;
+    }
+
+    // ============================================
+    // 撤销 / 重做
+    // 记录操作而不是整张画布：标注的变化只记录标注列表（标注对象不可变，前后共享），
+    // 马赛克和模糊只保存改动区域的像素，模板和裁剪在底图可由原图重新生成时只保存参数。
+    // 全部记录占用的内存不超过 EDITOR_HISTORY_BUDGET，超出时丢弃最早的记录
+    // ============================================
+
+    _resetHistory() {
+      this.history = [];
+      this.historyIndex = 0; // 已生效的记录数，之后的为可重做的记录
+      this.historyBytes = 0;
+      this._committedAnnotations = [...this.annotations];
+      this._updateHistoryButtons();
+    }
+
+    _pushHistory(entry) {
+      entry.annotationsBefore = this._committedAnnotations;
+      entry.annotationsAfter = [...this.annotations];
+      entry.bytes += estimateAnnotationListBytes(entry.annotationsBefore, entry.annotationsAfter);
+      this.history.splice(this.historyIndex);
+      this.history.push(entry);
+      this.historyBytes = this.history.reduce((sum, item) => sum + item.bytes, 0);
+      while (this.history.length > 1 && (this.history.length > this.maxHistory || this.historyBytes > EDITOR_HISTORY_BUDGET)) {
+        this.historyBytes -= this.history.shift().bytes;
+      }
+      if (this.historyBytes > EDITOR_HISTORY_BUDGET) {
+        // 单步就超出预算（如在超长截图上打码后再裁剪），这一步不可撤销
+        this.history = [];
+        this.historyBytes = 0;
+        this._showToast(this.getMessage('editorHistoryTooLarge'));
+      }
+      this.historyIndex = this.history.length;
+      this._committedAnnotations = entry.annotationsAfter;
+      this._updateHistoryButtons();
+    }
+
+    // 记录标注的变化（新增、移动、修改、删除、调整层级）
+    _saveHistory() {
+      const before = this._committedAnnotations;
+      if (before.length === this.annotations.length && before.every((a, i) => a === this.annotations[i])) return;
+      this._pushHistory({ type: 'annotations', bytes: 0 });
+    }
+
+    // 底图状态：没有打码和裁剪过的底图可由原图加模板重新生成，只记录参数；否则保存整张底图
+    _captureBaseState() {
+      const origin = this.imageOrigin;
+      if (this._basePristine) return { template: this.currentTemplate, stampEnabled: this.stampEnabled, origin, bytes: 0 };
+      const { width, height } = this.baseCanvas;
+      return { imageData: this.baseCtx.getImageData(0, 0, width, height), origin, bytes: width * height * 4 };
+    }
+
+    _restoreBaseState(state) {
+      if (state.imageData) {
+        this.baseCanvas.width = state.imageData.width;
+        this.baseCanvas.height = state.imageData.height;
+        this.baseCtx.putImageData(state.imageData, 0, 0);
+        this._basePristine = false;
+        this.imageOrigin = state.origin;
+      } else {
+        this.currentTemplate = state.template;
+        this.stampEnabled = state.stampEnabled;
+        this._syncTemplateButtons();
+        this._renderTemplateBase();
       }
-      this.textInput.remove(); this.textInput = null;
-      this._isTextInputting = false;
     }
 
-    _saveHistory() {
-      this.history = this.history.slice(0, this.historyIndex + 1);
-      this.history.push({ imageData: this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height), width: this.canvas.width, height: this.canvas.height });
-      if (this.history.length > this.maxHistory) this.history.shift(); else this.historyIndex++;
-      this._updateHistoryButtons();
+    undo() {
+      if (this.textInput) this._finishTextInput();
+      if (this.historyIndex === 0) return;
+      this.historyIndex--;
+      this._applyHistoryEntry(this.history[this.historyIndex], false);
+    }
+
+    redo() {
+      if (this.textInput) this._finishTextInput();
+      if (this.historyIndex >= this.history.length) return;
+      this._applyHistoryEntry(this.history[this.historyIndex], true);
+      this.historyIndex++;
     }
 
-    undo() { if (this.historyIndex > 0) { this.historyIndex--; const s = this.history[this.historyIndex]; this.canvas.width = s.width; this.canvas.height = s.height; this.ctx.putImageData(s.imageData, 0, 0); this._updateHistoryButtons(); this._updateDimensions(); } }
-    redo() { if (this.historyIndex < this.history.length - 1) { this.historyIndex++; const s = this.history[this.historyIndex]; this.canvas.width = s.width; this.canvas.height = s.height; this.ctx.putImageData(s.imageData, 0, 0); this._updateHistoryButtons(); this._updateDimensions(); } }
+    _applyHistoryEntry(entry, forward) {
+      switch (entry.type) {
+        case 'patch':
+          this.baseCtx.putImageData(forward ? entry.after : entry.before, entry.rect.x, entry.rect.y);
+          this._basePristine = forward ? false : entry.pristineBefore;
+          break;
+        case 'template':
+          this._restoreBaseState(forward ? entry.after : entry.before);
+          break;
+        case 'crop':
+          // 重做时先恢复裁剪前的底图再裁剪，无需保存裁剪后的像素
+          this._restoreBaseState(entry.before);
+          if (forward) this._cropBase(entry.rect);
+          break;
+      }
+      this.annotations = [...(forward ? entry.annotationsAfter : entry.annotationsBefore)];
+      this._committedAnnotations = [...this.annotations];
+      this.selectedIndex = -1;
+      this._render();
+      this._updateHistoryButtons();
+    }
 
     _updateHistoryButtons() {
       const undoBtn = this.editorWrapper.querySelector('.sc-editor-btn-undo'), redoBtn = this.editorWrapper.querySelector('.sc-editor-btn-redo');
-      if (undoBtn) undoBtn.disabled = this.historyIndex <= 0;
-      if (redoBtn) redoBtn.disabled = this.historyIndex >= this.history.length - 1;
+      if (undoBtn) undoBtn.disabled = this.historyIndex === 0;
+      if (redoBtn) redoBtn.disabled = this.historyIndex >= this.history.length;
     }
 
     _onKeyDown(e) {
       if (this._isTextInputting) return; // 输入文字时不处理全局快捷键
+      if (e.target && e.target.tagName === 'SELECT') return; // 字体、字号下拉框使用方向键选择
+      // 选中标注时：Delete 删除，[ / ] 调整层级（按住 Shift 置底 / 置顶），方向键微调位置（按住 Shift 每次 10 像素），Esc 取消选中
+      if (this.annotations[this.selectedIndex] && !e.ctrlKey && !e.metaKey) {
+        const nudge = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+        const step = e.shiftKey ? 10 : 1;
+        if (e.key === 'Delete' || e.key === 'Backspace') { e.preventDefault(); this._deleteSelectedAnnotation(); return; }
+        if (e.code === 'BracketRight') { e.preventDefault(); this._reorderSelectedAnnotation(e.shiftKey ? 'front' : 'forward'); return; }
+        if (e.code === 'BracketLeft') { e.preventDefault(); this._reorderSelectedAnnotation(e.shiftKey ? 'back' : 'backward'); return; }
+        if (nudge) { e.preventDefault(); this._updateSelectedAnnotation(a => translateAnnotation(a, nudge[0] * step, nudge[1] * step)); return; }
+        if (e.key === 'Escape') { e.preventDefault(); this._selectAnnotation(-1); return; }
+      }
       if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) { e.preventDefault(); this.undo(); }
       if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || (e.key === 'z' && e.shiftKey))) { e.preventDefault(); this.redo(); }
       if ((e.ctrlKey || e.metaKey) && e.key === 's') { e.preventDefault(); this._save(); }
@@ -902,12 +2267,23 @@
       setTimeout(() => toast.remove(), 2000);
     }
 
-    getImageDataUrl(format = 'png', quality = 0.92) { return this.canvas.toDataURL(format === 'jpeg' ? 'image/jpeg' : 'image/png', quality); }
+    getImageDataUrl(format = 'png', quality = 0.92) {
+      const mimeType = window.imageFormats ? window.imageFormats.getMimeType(format) : (format === 'jpeg' ? 'image/jpeg' : 'image/png');
+      return this._getFlattenedCanvas().toDataURL(mimeType, quality);
+    }
+
+    // 按设置中的默认格式和对应质量导出，浏览器不支持的格式沿回退链降级
+    async _getExportOptions() {
+      const settings = await chrome.storage.sync.get(['defaultFormat', 'jpegQuality', 'webpQuality', 'avifQuality']);
+      if (!window.imageFormats) return { format: 'png', quality: 1 };
+      const format = await window.imageFormats.resolveOutputFormat(settings.defaultFormat || 'png');
+      return { format, quality: window.imageFormats.getFormatQuality(settings, format) / 100 };
+    }
 
     async _copyToClipboard() {
       if (this.textInput) this._finishTextInput();
       try {
-        const pngBlob = await new Promise(resolve => this.canvas.toBlob(resolve, 'image/png'));
+        const pngBlob = await new Promise(resolve => this._getFlattenedCanvas().toBlob(resolve, 'image/png'));
         await navigator.clipboard.write([new ClipboardItem({ 'image/png': pngBlob })]);
         this._showToast(this.getMessage('copySuccess'));
       } catch (err) {
@@ -916,11 +2292,26 @@
       }
     }
 
+    // 文件名模板变量和图片元数据，尺寸以编辑后的图片为准（裁剪、模板会改变尺寸）
+    _getFilenameContext() {
+      const context = { mode: this.captureMode, width: this.canvas.width, height: this.canvas.height + this._getCounterLegendHeight() };
+      if (this.capturedAt) {
+        Object.assign(context, {
+          capturedAt: this.capturedAt,
+          devicePixelRatio: window.devicePixelRatio || 1,
+          viewportWidth: window.innerWidth,
+          viewportHeight: window.innerHeight
+        });
+      }
+      return context;
+    }
+
     async _save() {
       if (this.textInput) this._finishTextInput();
       try {
-        const dataUrl = this.getImageDataUrl();
-        await chrome.runtime.sendMessage({ action: 'download', dataUrl: dataUrl, format: 'png' });
+        const { format, quality } = await this._getExportOptions();
+        const dataUrl = this.getImageDataUrl(format, quality);
+        await chrome.runtime.sendMessage({ action: 'download', dataUrl: dataUrl, format: format, context: this._getFilenameContext() });
         this._showToast(this.getMessage('saveSuccess'));
       } catch (err) {
         console.error('[ScrollCapture] Save failed:', err);
@@ -928,6 +2319,68 @@
       }
     }
 
+    // 导出底图和矢量标注，可直接在浏览器中打开，也可重新载入编辑器继续修改标注
+    // 图例作为图片附加在底图下方，重新载入时只恢复图例开关
+    _buildSvg() {
+      const { width, height } = this.baseCanvas;
+      const base = this.baseCanvas.toDataURL('image/png');
+      const legend = this._getCounterLegendItems();
+      const legendHeight = this._getCounterLegendHeight();
+      let legendImage = '';
+      if (legend.length) {
+        const legendCanvas = document.createElement('canvas');
+        legendCanvas.width = width;
+        legendCanvas.height = legendHeight;
+        drawCounterLegend(legendCanvas.getContext('2d'), 0, width, legend);
+        legendImage = `<image ${SVG_LEGEND_ATTR}="1" href="${legendCanvas.toDataURL('image/png')}" x="0" y="${height}" width="${width}" height="${legendHeight}"/>\n`;
+      }
+      return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height + legendHeight}" viewBox="0 0 ${width} ${height + legendHeight}">\n` +
+        `<image ${SVG_BASE_ATTR}="1" href="${base}" x="0" y="0" width="${width}" height="${height}"/>\n` + legendImage +
+        spotlightsToSvg(this.annotations, width, height) +
+        `<g id="scrollsnap-annotations">\n${this.annotations.map(a => annotationToSvg(a, this.annotations)).join('\n')}\n</g>\n</svg>\n`;
+    }
+
+    async _saveSvg() {
+      if (this.textInput) this._finishTextInput();
+      try {
+        const blob = new Blob([this._buildSvg()], { type: 'image/svg+xml' });
+        const dataUrl = await new Promise((resolve) => {
+          const reader = new FileReader();
+          reader.onloadend = () => resolve(reader.result);
+          reader.readAsDataURL(blob);
+        });
+        await chrome.runtime.sendMessage({ action: 'download', dataUrl: dataUrl, format: 'svg', context: this._getFilenameContext() });
+        this._showToast(this.getMessage('saveSuccess'));
+      } catch (err) {
+        console.error('[ScrollCapture] Save SVG failed:', err);
+        this._showToast('保存失败');
+      }
+    }
+
+    // 按设置的纸张、方向和页边距分页导出 PDF
+    async _savePdf() {
+      if (this.textInput) this._finishTextInput();
+      try {
+        const settings = await chrome.storage.sync.get(['pdfPageSize', 'pdfOrientation', 'pdfMargin', 'jpegQuality']);
+        const blob = await window.pdfWriter.createPdfFromCanvas(this._getFlattenedCanvas(), {
+          ...window.pdfWriter.getPdfExportOptions(settings),
+          title: document.title,
+          textLayer: this.textLayer
+        });
+        const dataUrl = await new Promise((resolve) => {
+          const reader = new FileReader();
+          reader.onloadend = () => resolve(reader.result);
+          reader.readAsDataURL(blob);
+        });
+        await chrome.runtime.sendMessage({ action: 'download', dataUrl: dataUrl, format: 'pdf', context: this._getFilenameContext() });
+        this._showToast(this.getMessage('saveSuccess'));
+      } catch (err) {
+        console.error('[ScrollCapture] Save PDF failed:', err);
+        this._showToast('保存失败');
+      }
+    }
+
     _close() { if (this.onClose) this.onClose(); this.destroy(); }
 
     destroy() {
@@ -985,6 +2438,83 @@
     });
   }
 
+  // 每屏最多收集的文字行数，避免超大页面拖慢截图
+  const TEXT_LAYER_MAX_ITEMS = 5000;
+
+  /**
+   * 收集当前视口内可见的文字行和链接区域（视口坐标），用于生成可搜索的 PDF
+   * 文字按词切分后再按行合并，多行文本节点每行生成一项
+   * @returns {{texts: Array<{text, x, y, width, height}>, links: Array<{href, x, y, width, height}>}}
+   */
+  function collectVisibleText() {
+    const viewportWidth = window.innerWidth;
+    const viewportHeight = window.innerHeight;
+    const inViewport = (rect) => rect.width > 0 && rect.height > 0 &&
+      rect.bottom > 0 && rect.top < viewportHeight && rect.right > 0 && rect.left < viewportWidth;
+    const isVisible = (el) => !el.checkVisibility || el.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true });
+    // 排除扩展自身的界面
+    const ignoredSelector = 'script, style, noscript, textarea, [id^="scroll-capture"], #sc-editor-wrapper';
+
+    const texts = [];
+    // 词所在的文本节点可能只有部分行在视口内，逐行判断
+    const pushLine = (line) => {
+      const rect = { left: line.left, top: line.top, right: line.right, bottom: line.bottom, width: line.right - line.left, height: line.bottom - line.top };
+      if (inViewport(rect)) {
+        texts.push({ text: line.text, x: rect.left, y: rect.top, width: rect.width, height: rect.height });
+      }
+    };
+    const segmenter = typeof Intl.Segmenter === 'function' ? new Intl.Segmenter(undefined, { granularity: 'word' }) : null;
+    const range = document.createRange();
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => (node.nodeValue.trim() && node.parentElement && !node.parentElement.closest(ignoredSelector))
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_REJECT
+    });
+
+    let node;
+    while ((node = walker.nextNode()) && texts.length < TEXT_LAYER_MAX_ITEMS) {
+      range.selectNodeContents(node);
+      if (!inViewport(range.getBoundingClientRect()) || !isVisible(node.parentElement)) continue;
+
+      const value = node.nodeValue;
+      const words = segmenter
+        ? Array.from(segmenter.segment(value)).filter(part => part.segment.trim())
+        : Array.from(value.matchAll(/\S+/g), match => ({ segment: match[0], index: match.index }));
+
+      let line = null;
+      for (const word of words) {
+        range.setStart(node, word.index);
+        range.setEnd(node, word.index + word.segment.length);
+        const rect = range.getBoundingClientRect();
+        if (!rect.width || !rect.height) continue;
+
+        if (line && Math.abs(rect.top - line.top) < rect.height / 2) {
+          // 同一行：词之间的空白合并为一个空格
+          line.text += (word.index > line.end && /\s/.test(value.slice(line.end, word.index)) ? ' ' : '') + word.segment;
+          line.right = Math.max(line.right, rect.right);
+          line.bottom = Math.max(line.bottom, rect.bottom);
+        } else {
+          if (line) pushLine(line);
+          line = { text: word.segment, left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom };
+        }
+        line.end = word.index + word.segment.length;
+      }
+      if (line) pushLine(line);
+    }
+
+    const links = [];
+    for (const anchor of document.querySelectorAll('a[href]')) {
+      if (!/^(https?|mailto):/.test(anchor.href) || anchor.closest(ignoredSelector) || !isVisible(anchor)) continue;
+      for (const rect of anchor.getClientRects()) {
+        if (inViewport(rect)) {
+          links.push({ href: anchor.href, x: rect.left, y: rect.top, width: rect.width, height: rect.height });
+        }
+      }
+    }
+
+    return { texts, links };
+  }
+
 
   // ============================================
   // 3.2 选区截图交互（支持滚动）
@@ -1998,6 +3528,24 @@
     };
   }
 
+  /**
+   * 截图失败的提示文字，用户主动取消时不显示为失败
+   * @param {string} error - 错误码
+   */
+  function getCaptureErrorMessage(error) {
+    if (error === 'CAPTURE_CANCELLED') {
+      return (window.i18n && window.i18n.getMessage('captureCancelled')) || '截图已取消';
+    }
+    return '截图失败: ' + (error || '未知错误');
+  }
+
+  /**
+   * 提示截图已停止，只保留了已截取的部分
+   */
+  function showPartialCaptureNotice() {
+    showToast((window.i18n && window.i18n.getMessage('capturePartialNotice')) || '截图已停止，已保留截取的部分');
+  }
+
   /**
    * 截图并复制到剪贴板
    */
@@ -2024,7 +3572,9 @@
         showToast('截图失败', 'error');
       } else if (!response || !response.success) {
         console.error('[ScrollCapture] Copy failed:', response?.error);
-        showToast('截图失败: ' + (response?.error || '未知错误'), 'error');
+        showToast(getCaptureErrorMessage(response?.error), 'error');
+      } else if (response.partial) {
+        showPartialCaptureNotice();
       }
     });
   }
@@ -2052,7 +3602,9 @@
         showToast('截图失败', 'error');
       } else if (!response || !response.success) {
         console.error('[ScrollCapture] Download failed:', response?.error);
-        showToast('截图失败: ' + (response?.error || '未知错误'), 'error');
+        showToast(getCaptureErrorMessage(response?.error), 'error');
+      } else if (response.partial) {
+        showPartialCaptureNotice();
       }
     });
   }
@@ -2080,7 +3632,9 @@
         showToast('截图失败', 'error');
       } else if (!response || !response.success) {
         console.error('[ScrollCapture] Edit failed:', response?.error);
-        showToast('截图失败: ' + (response?.error || '未知错误'), 'error');
+        showToast(getCaptureErrorMessage(response?.error), 'error');
+      } else if (response.partial) {
+        showPartialCaptureNotice();
       }
     });
   }
@@ -2152,50 +3706,478 @@
 
       const rect = getSelectionRect();
 
-      // 如果选区太小，忽略
-      if (rect.width < 10 || rect.height < 10) {
-        removeSelectionOverlay();
-        return;
-      }
+      // 如果选区太小，忽略
+      if (rect.width < 10 || rect.height < 10) {
+        removeSelectionOverlay();
+        return;
+      }
+
+      // 进入调整模式
+      enterAdjustMode();
+    }
+  }
+
+  /**
+   * 键盘事件处理 - Escape 取消, Enter 确认
+   */
+  function onKeyDown(e) {
+    if (e.key === 'Escape') {
+      // 停止自动滚动
+      if (autoScrollInterval) {
+        clearInterval(autoScrollInterval);
+        autoScrollInterval = null;
+      }
+      removeSelectionOverlay();
+      chrome.runtime.sendMessage({ action: 'selectionCancelled' });
+    } else if (e.key === 'Enter' && isSelectionComplete) {
+      e.preventDefault();
+      confirmSelection();
+    }
+  }
+
+  /**
+   * 获取当前选区矩形（文档坐标）
+   */
+  function getSelectionRect() {
+    const left = Math.min(startDocX, currentDocX);
+    const top = Math.min(startDocY, currentDocY);
+    const width = Math.abs(currentDocX - startDocX);
+    const height = Math.abs(currentDocY - startDocY);
+    
+    return {
+      x: left,
+      y: top,
+      width: width,
+      height: height
+    };
+  }
+
+
+  // ============================================
+  // 3.2.1 元素点选
+  // ============================================
+
+  let pickerContainer = null;
+  let pickerHighlight = null;
+  let pickerLabel = null;
+  let pickerTarget = null;
+  let pickerOptions = null;
+
+  /**
+   * 启动元素点选模式：鼠标悬停高亮目标元素，点击选中，ESC 取消
+   * @param {object} options
+   * @param {function} options.resolveTarget - 将鼠标下的元素转换为可选目标，返回 null 表示不可选
+   * @param {function} options.onPick - 选中目标后的回调
+   * @param {string} options.hint - 底部提示文字
+   * @param {boolean} options.keyboardNavigation - 是否支持方向键在父/子/兄弟元素间切换，Enter 选中
+   */
+  function startElementPicker(options) {
+    removeSelectionOverlay();
+    stopElementPicker();
+
+    pickerOptions = options;
+
+    pickerContainer = document.createElement('div');
+    pickerContainer.id = 'scroll-capture-picker';
+    pickerContainer.style.cssText = `
+      all: initial;
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 0;
+      height: 0;
+      z-index: 2147483646;
+      pointer-events: none;
+    `;
+
+    pickerHighlight = document.createElement('div');
+    pickerHighlight.style.cssText = `
+      position: fixed !important;
+      display: none !important;
+      border: 2px solid #07C160 !important;
+      background: rgba(7, 193, 96, 0.12) !important;
+      box-sizing: border-box !important;
+      pointer-events: none !important;
+      z-index: 2147483647 !important;
+      transition: all 0.08s ease-out !important;
+    `;
+
+    pickerLabel = document.createElement('div');
+    pickerLabel.style.cssText = `
+      position: fixed !important;
+      display: none !important;
+      background: #07C160 !important;
+      color: white !important;
+      padding: 2px 6px !important;
+      border-radius: 2px !important;
+      font-size: 11px !important;
+      font-family: -apple-system, BlinkMacSystemFont, 'PingFang SC', 'Microsoft YaHei', sans-serif !important;
+      line-height: 1.4 !important;
+      white-space: nowrap !important;
+      pointer-events: none !important;
+      z-index: 2147483647 !important;
+    `;
+
+    const hint = document.createElement('div');
+    hint.style.cssText = `
+      position: fixed !important;
+      bottom: 20px !important;
+      left: 50% !important;
+      transform: translateX(-50%) !important;
+      background: rgba(0, 0, 0, 0.75) !important;
+      color: white !important;
+      padding: 8px 16px !important;
+      border-radius: 4px !important;
+      font-size: 13px !important;
+      font-family: -apple-system, BlinkMacSystemFont, 'PingFang SC', 'Microsoft YaHei', sans-serif !important;
+      line-height: 1.4 !important;
+      white-space: nowrap !important;
+      pointer-events: none !important;
+      z-index: 2147483647 !important;
+    `;
+    hint.textContent = options.hint;
+
+    pickerContainer.appendChild(pickerHighlight);
+    pickerContainer.appendChild(pickerLabel);
+    pickerContainer.appendChild(hint);
+    document.body.appendChild(pickerContainer);
+
+    // 使用捕获阶段拦截，避免点击触发页面自身的行为
+    document.addEventListener('mousemove', onPickerMouseMove, true);
+    document.addEventListener('mousedown', onPickerMouseDown, true);
+    document.addEventListener('click', onPickerClick, true);
+    document.addEventListener('keydown', onPickerKeyDown, true);
+    document.addEventListener('scroll', updatePickerHighlight, true);
+  }
+
+  /**
+   * 退出元素点选模式
+   */
+  function stopElementPicker() {
+    document.removeEventListener('mousemove', onPickerMouseMove, true);
+    document.removeEventListener('mousedown', onPickerMouseDown, true);
+    document.removeEventListener('click', onPickerClick, true);
+    document.removeEventListener('keydown', onPickerKeyDown, true);
+    document.removeEventListener('scroll', updatePickerHighlight, true);
+
+    if (pickerContainer) {
+      pickerContainer.remove();
+      pickerContainer = null;
+    }
+    pickerHighlight = null;
+    pickerLabel = null;
+    pickerTarget = null;
+    pickerOptions = null;
+  }
+
+  /**
+   * 设置当前高亮的目标元素
+   */
+  function setPickerTarget(target) {
+    pickerTarget = target;
+    updatePickerHighlight();
+  }
+
+  /**
+   * 根据目标元素位置更新高亮框
+   */
+  function updatePickerHighlight() {
+    if (!pickerHighlight) return;
+    if (!pickerTarget) {
+      pickerHighlight.style.setProperty('display', 'none', 'important');
+      pickerLabel.style.setProperty('display', 'none', 'important');
+      return;
+    }
+
+    const rect = pickerTarget.getBoundingClientRect();
+    pickerHighlight.style.setProperty('display', 'block', 'important');
+    pickerHighlight.style.setProperty('left', `${rect.left}px`, 'important');
+    pickerHighlight.style.setProperty('top', `${rect.top}px`, 'important');
+    pickerHighlight.style.setProperty('width', `${rect.width}px`, 'important');
+    pickerHighlight.style.setProperty('height', `${rect.height}px`, 'important');
+
+    const tagName = pickerTarget.tagName.toLowerCase();
+    const className = typeof pickerTarget.className === 'string' && pickerTarget.className.trim()
+      ? '.' + pickerTarget.className.trim().split(/\s+/)[0]
+      : '';
+    const height = pickerTarget.scrollHeight > pickerTarget.clientHeight && pickerTarget !== document.documentElement
+      ? pickerTarget.scrollHeight
+      : rect.height;
+    pickerLabel.textContent = `${tagName}${className}  ${Math.round(rect.width)} × ${Math.round(height)}`;
+    pickerLabel.style.setProperty('display', 'block', 'important');
+    pickerLabel.style.setProperty('left', `${Math.max(0, rect.left)}px`, 'important');
+    pickerLabel.style.setProperty('top', `${rect.top > 22 ? rect.top - 22 : Math.max(0, rect.top) + 2}px`, 'important');
+  }
+
+  function onPickerMouseMove(e) {
+    const el = document.elementFromPoint(e.clientX, e.clientY);
+    if (!el || (pickerContainer && pickerContainer.contains(el))) return;
+    const target = pickerOptions.resolveTarget(el);
+    if (target !== pickerTarget) {
+      setPickerTarget(target);
+    }
+  }
+
+  function onPickerMouseDown(e) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  function onPickerClick(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!pickerTarget) return;
+    const target = pickerTarget;
+    const { onPick } = pickerOptions;
+    stopElementPicker();
+    onPick(target);
+  }
+
+  function onPickerKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      stopElementPicker();
+      return;
+    }
+
+    if (!pickerOptions.keyboardNavigation || !pickerTarget) return;
+
+    if (e.key === 'Enter') {
+      onPickerClick(e);
+      return;
+    }
+
+    const next = getNavigationTarget(pickerTarget, e.key);
+    if (next !== undefined) {
+      // 方向键只用于切换元素，不滚动页面
+      e.preventDefault();
+      e.stopPropagation();
+      if (next) {
+        setPickerTarget(next);
+        next.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      }
+    }
+  }
+
+  /**
+   * 根据方向键获取相邻元素：↑ 父元素，↓ 第一个子元素，←/→ 上一个/下一个兄弟元素
+   * @returns {Element|null|undefined} 目标元素；null 表示没有可切换的元素；undefined 表示不是导航按键
+   */
+  function getNavigationTarget(el, key) {
+    const isVisible = (node) => {
+      if (!node || (pickerContainer && pickerContainer.contains(node))) return false;
+      const rect = node.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0;
+    };
+    const findSibling = (node, prop) => {
+      let sibling = node[prop];
+      while (sibling && !isVisible(sibling)) sibling = sibling[prop];
+      return sibling;
+    };
+
+    switch (key) {
+      case 'ArrowUp': {
+        const parent = el.parentElement;
+        return parent && parent !== document.documentElement ? parent : null;
+      }
+      case 'ArrowDown':
+        return Array.from(el.children).find(isVisible) || null;
+      case 'ArrowLeft':
+        return findSibling(el, 'previousElementSibling') || null;
+      case 'ArrowRight':
+        return findSibling(el, 'nextElementSibling') || null;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * 点选内部滚动容器并截取其全部内容
+   */
+  function startContainerPicker() {
+    startElementPicker({
+      hint: (window.i18n && window.i18n.getMessage('containerPickHint')) || '点击要截取的滚动区域 | ESC 取消',
+      resolveTarget: (el) => {
+        // 向上查找最近的可滚动容器
+        let node = el;
+        while (node && node !== document.body && node !== document.documentElement) {
+          if (isScrollable(node)) return node;
+          node = node.parentElement;
+        }
+        return null;
+      },
+      onPick: (container) => {
+        chrome.runtime.sendMessage({
+          action: 'captureContainer',
+          containerInfo: describeScrollContainer(container)
+        }, (response) => {
+          if (chrome.runtime.lastError || !response || !response.success) {
+            console.error('[ScrollCapture] Container capture failed:', chrome.runtime.lastError || response?.error);
+            showToast(getCaptureErrorMessage(response?.error), 'error');
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * 标记滚动容器并获取容器信息（点选的容器和自动检测的容器共用，作为截图的 containerInfo）
+   * 容器相关的注入脚本会优先使用被标记的容器
+   */
+  function describeScrollContainer(container) {
+    document.querySelectorAll('[data-scroll-capture-container]').forEach(el => el.removeAttribute('data-scroll-capture-container'));
+    container.setAttribute('data-scroll-capture-container', '');
+
+    const rect = container.getBoundingClientRect();
+    const viewportTop = Math.max(0, rect.top);
+    const viewportLeft = Math.max(0, rect.left);
+    return {
+      scrollTop: container.scrollTop,
+      scrollLeft: container.scrollLeft,
+      scrollHeight: container.scrollHeight,
+      scrollWidth: container.scrollWidth,
+      // 容器超出窗口的部分截不到，按可见部分计算
+      clientHeight: Math.min(container.clientHeight, window.innerHeight - viewportTop),
+      clientWidth: Math.min(container.clientWidth, window.innerWidth - viewportLeft),
+      viewportTop,
+      viewportLeft,
+      viewportWidth: rect.width,
+      viewportHeight: rect.height,
+      windowHeight: window.innerHeight,
+      windowWidth: window.innerWidth,
+      devicePixelRatio: window.devicePixelRatio || 1
+    };
+  }
+
+  /**
+   * 查找页面的主要内部滚动容器（页面本身不滚动时由全页截图调用）
+   * @returns {object|null} 容器信息，没有找到时返回 null
+   */
+  function findPageScrollContainer() {
+    // 页面内容可能已变化，不使用选区截图时缓存的检测结果
+    scrollableContainer = null;
+    const container = detectScrollableContainer();
+    return container ? describeScrollContainer(container) : null;
+  }
+
 
-      // 进入调整模式
-      enterAdjustMode();
-    }
+  /**
+   * 元素截图：悬停高亮页面元素，点击或 Enter 截取该元素的完整区域
+   */
+  function startElementCapture() {
+    startElementPicker({
+      hint: (window.i18n && window.i18n.getMessage('elementPickHint')) || '点击截取元素 | ↑↓ 父/子元素 ←→ 兄弟元素 | Enter 截取 | ESC 取消',
+      keyboardNavigation: true,
+      resolveTarget: (el) => (el === document.documentElement || el === document.body ? null : el),
+      onPick: captureElement
+    });
   }
 
   /**
-   * 键盘事件处理 - Escape 取消, Enter 确认
+   * 截到指定元素：点选元素后，从页面顶部截图到该元素的底部
    */
-  function onKeyDown(e) {
-    if (e.key === 'Escape') {
-      // 停止自动滚动
-      if (autoScrollInterval) {
-        clearInterval(autoScrollInterval);
-        autoScrollInterval = null;
+  function startEndElementPick() {
+    startElementPicker({
+      hint: (window.i18n && window.i18n.getMessage('endElementPickHint')) || '点击截图的结束元素 | ↑↓ 父/子元素 | Enter 确认 | ESC 取消',
+      keyboardNavigation: true,
+      resolveTarget: (el) => (el === document.documentElement || el === document.body ? null : el),
+      onPick: (el) => {
+        const rect = el.getBoundingClientRect();
+        chrome.runtime.sendMessage({
+          action: 'captureToElement',
+          endY: Math.ceil(rect.bottom + window.scrollY)
+        }, (response) => {
+          if (chrome.runtime.lastError || !response || !response.success) {
+            console.error('[ScrollCapture] Capture to element failed:', chrome.runtime.lastError || response?.error);
+            showToast(getCaptureErrorMessage(response?.error), 'error');
+          }
+        });
       }
-      removeSelectionOverlay();
-      chrome.runtime.sendMessage({ action: 'selectionCancelled' });
-    } else if (e.key === 'Enter' && isSelectionComplete) {
-      e.preventDefault();
-      confirmSelection();
-    }
+    });
   }
 
   /**
-   * 获取当前选区矩形（文档坐标）
+   * 截取元素
+   * 元素内部可滚动时截取其全部滚动内容，否则截取完整的边界框（可超出视口高度）
+   * @param {Element} el
    */
-  function getSelectionRect() {
-    const left = Math.min(startDocX, currentDocX);
-    const top = Math.min(startDocY, currentDocY);
-    const width = Math.abs(currentDocX - startDocX);
-    const height = Math.abs(currentDocY - startDocY);
-    
-    return {
-      x: left,
-      y: top,
-      width: width,
-      height: height
+  function captureElement(el) {
+    const onResponse = (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('[ScrollCapture] Element capture failed:', chrome.runtime.lastError || response?.error);
+        showToast(getCaptureErrorMessage(response?.error), 'error');
+      } else if (response.partial) {
+        showPartialCaptureNotice();
+      }
     };
+
+    if (isScrollable(el)) {
+      chrome.runtime.sendMessage({
+        action: 'captureContainer',
+        containerInfo: describeScrollContainer(el)
+      }, onResponse);
+      return;
+    }
+
+    // 元素位于内部滚动容器中时，选区坐标相对于容器内容
+    let container = el.parentElement;
+    while (container && container !== document.body && !isScrollable(container)) {
+      container = container.parentElement;
+    }
+    if (container === document.body) container = null;
+
+    const rect = el.getBoundingClientRect();
+    let data;
+
+    if (container) {
+      const containerInfo = describeScrollContainer(container);
+      // 超出容器可视宽度的部分截不到
+      const left = Math.max(rect.left, containerInfo.viewportLeft);
+      const right = Math.min(rect.right, containerInfo.viewportLeft + containerInfo.clientWidth);
+      data = {
+        rect: {
+          x: left - containerInfo.viewportLeft + container.scrollLeft,
+          y: rect.top - containerInfo.viewportTop + container.scrollTop,
+          width: right - left,
+          height: rect.height
+        },
+        containerInfo,
+        currentScroll: { x: container.scrollLeft, y: container.scrollTop },
+        scrollHeight: container.scrollHeight
+      };
+    } else {
+      // 超出窗口宽度的部分截不到
+      const left = Math.max(rect.left, 0);
+      const right = Math.min(rect.right, window.innerWidth);
+      data = {
+        rect: {
+          x: left + window.scrollX,
+          y: rect.top + window.scrollY,
+          width: right - left,
+          height: rect.height
+        },
+        containerInfo: null,
+        currentScroll: { x: window.scrollX, y: window.scrollY },
+        scrollHeight: Math.max(document.body.scrollHeight, document.documentElement.scrollHeight)
+      };
+    }
+
+    if (data.rect.width < 1 || data.rect.height < 1) {
+      showToast('元素不可见', 'error');
+      return;
+    }
+
+    // 复用选区截图流程，截取后直接打开编辑器
+    chrome.runtime.sendMessage({
+      action: 'captureSelection',
+      operation: 'edit',
+      mode: 'element',
+      viewportHeight: window.innerHeight,
+      viewportWidth: window.innerWidth,
+      devicePixelRatio: window.devicePixelRatio || 1,
+      ...data
+    }, onResponse);
   }
 
 
@@ -2244,9 +4226,11 @@
           <div id="scroll-capture-progress-bar" style="width: 0%; height: 100%; background: #07C160; border-radius: 2px; transition: width 0.3s ease;"></div>
         </div>
         <span id="scroll-capture-progress-text" style="font-weight: 500; min-width: 36px; text-align: right; color: #191919;">0%</span>
+        <div id="scroll-capture-progress-controls" style="display: flex; gap: 8px;"></div>
       `;
 
       document.body.appendChild(progressContainer);
+      renderCaptureControls(document.getElementById('scroll-capture-progress-controls'));
     }
 
     const progressBar = document.getElementById('scroll-capture-progress-bar');
@@ -2264,6 +4248,7 @@
       progressContainer.remove();
       progressContainer = null;
     }
+    captureControlState = { paused: false, confirmingStop: false };
   }
 
   /**
@@ -2286,16 +4271,116 @@
     }
   }
 
+  // 截图控制状态：是否已暂停、是否正在询问停止后是否保留已截取的部分
+  let captureControlState = { paused: false, confirmingStop: false };
+
+  /**
+   * 向后台发送截图控制命令
+   * @param {string} command - 'pause' | 'resume' | 'cancel'
+   * @param {boolean} keepPartial - 取消时是否保留已截取的部分
+   */
+  function sendCaptureControl(command, keepPartial = false) {
+    chrome.runtime.sendMessage({ action: 'controlCapture', command, keepPartial }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('[ScrollCapture] Capture control failed:', chrome.runtime.lastError);
+      }
+    });
+  }
+
+  /**
+   * 渲染截图控制按钮：暂停/继续、停止
+   * 点击停止时先暂停截图，再询问是否保留已截取的部分
+   * @param {HTMLElement} container
+   */
+  function renderCaptureControls(container) {
+    if (!container) return;
+    const getMessage = (key, fallback) => (window.i18n && window.i18n.getMessage(key)) || fallback;
+
+    container.innerHTML = '';
+    const addButton = (text, primary, onClick) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.style.cssText = `
+        padding: 4px 10px;
+        border: ${primary ? 'none' : '1px solid #E5E5E5'};
+        border-radius: 4px;
+        background: ${primary ? '#07C160' : 'white'};
+        color: ${primary ? 'white' : '#191919'};
+        font-size: 12px;
+        font-family: inherit;
+        cursor: pointer;
+        white-space: nowrap;
+      `;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+        renderCaptureControls(container);
+      });
+      container.appendChild(button);
+    };
+
+    if (captureControlState.confirmingStop) {
+      addButton(getMessage('captureKeepPartial', '保留已截取部分'), true, () => {
+        sendCaptureControl('cancel', true);
+        captureControlState = { paused: false, confirmingStop: false, stopped: true };
+      });
+      addButton(getMessage('captureDiscard', '放弃'), false, () => {
+        sendCaptureControl('cancel', false);
+        captureControlState = { paused: false, confirmingStop: false, stopped: true };
+      });
+      addButton(getMessage('captureResume', '继续'), false, () => {
+        sendCaptureControl('resume');
+        captureControlState = { paused: false, confirmingStop: false };
+      });
+      return;
+    }
+
+    // 已停止，等待后台收尾
+    if (captureControlState.stopped) return;
+
+    addButton(
+      captureControlState.paused ? getMessage('captureResume', '继续') : getMessage('capturePause', '暂停'),
+      false,
+      () => {
+        captureControlState.paused = !captureControlState.paused;
+        sendCaptureControl(captureControlState.paused ? 'pause' : 'resume');
+      }
+    );
+    addButton(getMessage('captureStop', '停止'), false, () => {
+      sendCaptureControl('pause');
+      captureControlState = { paused: true, confirmingStop: true };
+    });
+  }
+
   // ============================================
   // 消息监听
   // ============================================
 
   chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     switch (message.action) {
+      case 'ping':
+        // background 据此判断 content script 是否已加载
+        sendResponse({ success: true });
+        break;
+
       case 'getScrollInfo':
         sendResponse(getScrollInfo());
         break;
 
+      case 'collectPageText':
+        sendResponse(collectVisibleText());
+        break;
+
+      case 'findScrollContainer':
+        sendResponse(findPageScrollContainer());
+        break;
+
+      case 'applyStamp':
+        stampCapturedImage(message.dataUrl, message.capturedAt)
+          .then(dataUrl => sendResponse({ success: true, dataUrl }))
+          .catch(err => sendResponse({ success: false, error: err.message }));
+        return true; // 异步响应
+
       case 'scrollTo':
         scrollToPosition(message.y).then(() => {
           sendResponse({ success: true });
@@ -2312,6 +4397,26 @@
         sendResponse({ success: true });
         break;
 
+      case 'startContainerPick':
+        startContainerPicker();
+        sendResponse({ success: true });
+        break;
+
+      case 'startFileOpen':
+        showFileOpenPanel();
+        sendResponse({ success: true });
+        break;
+
+      case 'startElementPick':
+        startElementCapture();
+        sendResponse({ success: true });
+        break;
+
+      case 'startEndElementPick':
+        startEndElementPick();
+        sendResponse({ success: true });
+        break;
+
       case 'showProgress':
         showProgressIndicator(message.percent);
         sendResponse({ success: true });
@@ -2338,17 +4443,17 @@
         break;
 
       case 'showPreview':
-        showPreviewPanel(message.dataUrl, message.dimensions);
+        showCaptureResult(message);
         sendResponse({ success: true });
         break;
 
       case 'showToast':
-        showToast(message.message);
+        showToast((message.messageKey && window.i18n && window.i18n.getMessage(message.messageKey)) || message.message);
         sendResponse({ success: true });
         break;
 
       case 'openEditor':
-        openImageEditor(message.dataUrl, message.dimensions);
+        openImageEditor(message.dataUrl, message.dimensions, { mode: message.mode, capturedAt: Date.now() });
         sendResponse({ success: true });
         break;
 
@@ -2359,6 +4464,7 @@
 
       case 'showBatchResults':
         showBatchResultsPanel(message.results, message.format);
+        if (message.partial) showPartialCaptureNotice();
         sendResponse({ success: true });
         break;
 
@@ -2378,15 +4484,53 @@
 
   /**
    * 显示截图预览（直接打开编辑器，用于全页/可视区域截图）
+   * @param {object} options - 同 openImageEditor
+   */
+  function showPreviewPanel(dataUrl, dimensions, options = {}) {
+    openImageEditor(dataUrl, dimensions, options);
+  }
+
+  /**
+   * 显示截图结果
+   * 超长页面被拆分为多张图片时用结果面板逐张展示，平铺输出时给出提示
+   * @param {object} result - {dataUrl, dimensions, mode, output, parts, format, textLayer}
    */
-  function showPreviewPanel(dataUrl, dimensions) {
-    openImageEditor(dataUrl, dimensions);
+  function showCaptureResult(result) {
+    const getMessage = (key, fallback) => (window.i18n && window.i18n.getMessage(key, fallback)) || fallback;
+
+    if (result.output === 'parts' && Array.isArray(result.parts) && result.parts.length > 1) {
+      const count = result.parts.length;
+      const title = document.title || location.hostname;
+      const parts = result.parts.map(part => ({
+        title: `${title}_part${part.index}`,
+        url: location.href,
+        success: true,
+        dataUrl: part.dataUrl,
+        dimensions: part.dimensions,
+        mode: result.mode,
+        capturedAt: Date.now(),
+        error: null
+      }));
+      showBatchResultsPanel(parts, result.format, getMessage('oversizePartsTitle', '超长截图（已拆分）'));
+      showToast(getMessage('oversizeSplitNotice', `页面超出尺寸限制，已拆分为 ${count} 张图片`).replace('$COUNT$', count));
+      return;
+    }
+
+    showPreviewPanel(result.dataUrl, result.dimensions, { textLayer: result.textLayer, mode: result.mode, capturedAt: Date.now() });
+    if (result.output === 'tiled') {
+      showToast(getMessage('oversizeTiledNotice', '页面超出尺寸限制，已分列平铺为一张图片'));
+    } else if (result.partial) {
+      showPartialCaptureNotice();
+    }
   }
 
   /**
    * 打开图片编辑器
+   * @param {object} options - {textLayer, annotations, counterLegend, mode, capturedAt, onClose}（均可选）
+   *   textLayer: 全页截图的文字层，导出 PDF 时使用；annotations / counterLegend: 重新打开 SVG 时恢复的标注和图例开关；
+   *   mode: 截图方式；capturedAt: 截图时间，刚截取的图片才有
    */
-  async function openImageEditor(dataUrl, dimensions) {
+  async function openImageEditor(dataUrl, dimensions, options = {}) {
     if (!dataUrl) return;
 
     // 确保 i18n 系统已初始化
@@ -2411,9 +4555,38 @@
       editorPen: '画笔',
       editorMarker: '马克笔',
       editorText: '文字',
+      editorFontFamily: '字体',
+      editorFontSize: '字号',
+      editorFontSans: '无衬线',
+      editorFontSerif: '衬线',
+      editorFontMono: '等宽',
+      editorBold: '粗体 (Ctrl+B)',
+      editorItalic: '斜体 (Ctrl+I)',
+      editorTextPlain: '无效果',
+      editorTextBackground: '文字背景',
+      editorTextOutline: '文字描边',
+      editorAlignLeft: '左对齐',
+      editorAlignCenter: '居中对齐',
+      editorAlignRight: '右对齐',
+      editorCallout: '标注框（从要指向的位置拖出，文字自动换行；双击编辑文字）',
+      editorCalloutBox: '矩形标注框',
+      editorCalloutBubble: '对话气泡',
+      editorSpotlight: '聚光灯（框选重点区域，压暗其余部分）',
+      editorCounter: '步骤编号（点击放置，自动递增；双击编号填写图例说明）',
+      editorCounterCircle: '圆形编号',
+      editorCounterSquare: '方形编号',
+      editorCounterDiamond: '菱形编号',
+      editorCounterLegend: '导出时附加图例',
+      editorCounterLabelPlaceholder: '步骤说明',
       editorMosaic: '马赛克',
       editorBlur: '模糊',
       editorCrop: '裁剪',
+      editorSelect: '选择（拖动移动，拖动手柄缩放，双击编辑文字）',
+      editorBringForward: '上移一层 (])',
+      editorSendBackward: '下移一层 ([)',
+      editorBringToFront: '置于顶层 (Shift+])',
+      editorSendToBack: '置于底层 (Shift+[)',
+      editorDeleteAnnotation: '删除 (Delete)',
       editorCropConfirm: '确认裁剪',
       editorCropCancel: '取消裁剪',
       cropSuccess: '裁剪完成',
@@ -2423,12 +4596,18 @@
       editorTemplateBrowser: '浏览器窗口',
       editorTemplateGradient: '渐变背景',
       editorTemplatePolaroid: '拍立得效果',
+      editorStamp: '来源信息栏（网址、标题、时间）',
       editorCopyTooltip: '复制到剪贴板 (Ctrl+C)',
       editorSaveTooltip: '保存到本地 (Ctrl+S)',
+      editorSavePdfTooltip: '按页导出为 PDF',
+      editorSaveSvgTooltip: '导出为可再次编辑的 SVG',
       btnCopy: '复制',
+      btnSavePdf: 'PDF',
+      btnSaveSvg: 'SVG',
       btnSave: '保存',
       copySuccess: '已复制到剪贴板',
-      saveSuccess: '已保存'
+      saveSuccess: '已保存',
+      editorHistoryTooLarge: '这一步占用内存过大，无法撤销'
     };
 
     // 获取 i18n 消息的辅助函数
@@ -2444,12 +4623,27 @@
       return fallbackMessages[key] || key;
     };
 
+    // 来源信息栏使用当前页面的标题和网址，只对刚截取的图片提供；设置中开启时默认加上
+    const { captureStamp, stampNote } = await chrome.storage.sync.get(['captureStamp', 'stampNote']).catch(() => ({}));
+    const stamp = options.capturedAt ? {
+      position: captureStamp === 'header' ? 'header' : 'footer',
+      title: document.title,
+      url: location.href,
+      capturedAt: options.capturedAt,
+      note: stampNote || ''
+    } : null;
+
     try {
       const editor = new ImageEditor({
         getMessage: getMessage,
-        onClose: () => {
-          // 编辑器关闭后不需要做任何事
-        }
+        textLayer: options.textLayer,
+        annotations: options.annotations,
+        counterLegend: options.counterLegend,
+        mode: options.mode,
+        capturedAt: options.capturedAt,
+        stamp,
+        stampEnabled: captureStamp === 'header' || captureStamp === 'footer',
+        onClose: options.onClose
       });
 
       await editor.init(dataUrl, document.body);
@@ -2459,6 +4653,105 @@
     }
   }
 
+  /**
+   * 显示打开文件面板：拖入或选择编辑器导出的 SVG（恢复标注）或普通图片
+   */
+  function showFileOpenPanel() {
+    const getMessage = (key, fallback) => (window.i18n && window.i18n.getMessage(key)) || fallback;
+    const existing = document.getElementById('scroll-capture-file-open');
+    if (existing) existing.remove();
+
+    const overlay = document.createElement('div');
+    overlay.id = 'scroll-capture-file-open';
+    overlay.style.cssText = `
+      position: fixed;
+      inset: 0;
+      background: rgba(0, 0, 0, 0.5);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-family: -apple-system, BlinkMacSystemFont, 'PingFang SC', 'Microsoft YaHei', sans-serif;
+    `;
+    overlay.innerHTML = `
+      <div class="sc-file-drop" style="
+        width: 420px;
+        max-width: 90vw;
+        padding: 32px 24px;
+        background: white;
+        border: 2px dashed #C8C8C8;
+        border-radius: 8px;
+        text-align: center;
+        color: #191919;
+      ">
+        <div style="font-size: 16px; font-weight: 500; margin-bottom: 8px;">${getMessage('openFileTitle', '打开文件编辑')}</div>
+        <div style="font-size: 13px; color: #888; margin-bottom: 20px;">${getMessage('openFileHint', '拖入或选择 SVG / 图片文件')}</div>
+        <input type="file" accept="image/*,.svg" style="display: none;" />
+        <button class="sc-file-choose" style="padding: 8px 20px; border: none; border-radius: 4px; background: #07C160; color: white; font-size: 14px; cursor: pointer;">${getMessage('openFileChoose', '选择文件')}</button>
+        <button class="sc-file-cancel" style="padding: 8px 20px; margin-left: 8px; border: 1px solid #E5E5E5; border-radius: 4px; background: white; color: #191919; font-size: 14px; cursor: pointer;">${getMessage('openFileCancel', '取消')}</button>
+      </div>
+    `;
+
+    const dropZone = overlay.querySelector('.sc-file-drop');
+    const input = overlay.querySelector('input[type="file"]');
+
+    const close = () => {
+      overlay.remove();
+      document.removeEventListener('keydown', onKeyDown, true);
+    };
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') { e.preventDefault(); close(); }
+    };
+
+    const openFile = async (file) => {
+      if (!file) return;
+      try {
+        const isSvg = file.type === 'image/svg+xml' || /\.svg$/i.test(file.name);
+        if (isSvg) {
+          const parsed = parseEditableSvg(await file.text());
+          if (parsed) {
+            close();
+            await openImageEditor(parsed.dataUrl, null, { annotations: parsed.annotations, counterLegend: parsed.counterLegend, mode: 'file' });
+            return;
+          }
+        }
+        if (!file.type.startsWith('image/')) {
+          showToast(getMessage('openFileInvalid', '无法打开该文件'), 'info');
+          return;
+        }
+        // 普通图片（包括非编辑器导出的 SVG）作为底图打开
+        const dataUrl = await new Promise((resolve, reject) => {
+          const reader = new FileReader();
+          reader.onload = () => resolve(reader.result);
+          reader.onerror = () => reject(reader.error);
+          reader.readAsDataURL(file);
+        });
+        close();
+        await openImageEditor(dataUrl, null, { mode: 'file' });
+      } catch (err) {
+        console.error('[ScrollCapture] Open file failed:', err);
+        showToast(getMessage('openFileInvalid', '无法打开该文件'), 'info');
+      }
+    };
+
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+    overlay.querySelector('.sc-file-cancel').addEventListener('click', close);
+    overlay.querySelector('.sc-file-choose').addEventListener('click', () => input.click());
+    input.addEventListener('change', () => openFile(input.files[0]));
+    dropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropZone.style.borderColor = '#07C160';
+    });
+    dropZone.addEventListener('dragleave', () => { dropZone.style.borderColor = '#C8C8C8'; });
+    dropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropZone.style.borderColor = '#C8C8C8';
+      openFile(e.dataTransfer.files[0]);
+    });
+    document.addEventListener('keydown', onKeyDown, true);
+    document.body.appendChild(overlay);
+  }
+
   /**
    * 显示提示消息
    */
@@ -2524,6 +4817,15 @@
   let batchResultsData = [];
   let batchFormat = 'png';
   let batchCurrentTemplate = 'none'; // 当前批量美化模板
+  let batchStampEnabled = false; // 是否加上来源信息栏
+  let batchStampOptions = { position: 'footer', note: '' }; // 来源信息栏位置和备注，打开面板时从设置读取
+
+  // 总览图布局（像素）
+  const CONTACT_SHEET_PADDING = 24;
+  const CONTACT_SHEET_GAP = 16;
+  const CONTACT_SHEET_CAPTION_HEIGHT = 44;
+  const CONTACT_SHEET_THUMB_RATIO = 0.625; // 缩略图高宽比 16:10，长截图只取顶部
+  const CONTACT_SHEET_MIN_TILE_WIDTH = 120;
 
   /**
    * 应用美化模板到图片（独立函数，供批量美化使用）
@@ -2613,6 +4915,49 @@
     });
   }
 
+  /**
+   * 在图片顶部或底部加上来源信息栏（独立函数，供批量截图和直接下载、复制使用）
+   * @param {string} dataUrl
+   * @param {object} stamp - {position, title, url, capturedAt, note}
+   * @returns {Promise<string>} PNG dataUrl
+   */
+  async function applyStampToImage(dataUrl, stamp) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const stampHeight = getStampLayout(img.width, stamp).height;
+        const stampOnTop = stamp.position === 'header';
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height + stampHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, stampOnTop ? stampHeight : 0);
+        drawStampBand(ctx, stampOnTop ? 0 : img.height, img.width, stamp);
+        resolve(canvas.toDataURL('image/png'));
+      };
+      img.onerror = () => reject(new Error('Failed to load image'));
+      img.src = dataUrl;
+    });
+  }
+
+  /**
+   * 按设置为刚截取的当前页面图片加上来源信息栏（直接下载或复制、不经过编辑器时使用）
+   * @param {string} dataUrl
+   * @param {number} capturedAt
+   * @returns {Promise<string>} 未开启来源信息栏时原样返回
+   */
+  async function stampCapturedImage(dataUrl, capturedAt) {
+    const { captureStamp, stampNote } = await chrome.storage.sync.get(['captureStamp', 'stampNote']).catch(() => ({}));
+    if (captureStamp !== 'header' && captureStamp !== 'footer') return dataUrl;
+    return applyStampToImage(dataUrl, {
+      position: captureStamp,
+      title: document.title,
+      url: location.href,
+      capturedAt: capturedAt || Date.now(),
+      note: stampNote || ''
+    });
+  }
+
   /**
    * 显示批量截图进度面板
    */
@@ -2653,7 +4998,9 @@
         <div style="background: #07C160; height: 100%; width: ${percent}%; transition: width 0.3s;"></div>
       </div>
       <div style="text-align: center; font-size: 13px; color: #888888;">${percent}%</div>
+      <div id="scroll-capture-batch-controls" style="display: flex; justify-content: center; gap: 8px; margin-top: 12px;"></div>
     `;
+    renderCaptureControls(document.getElementById('scroll-capture-batch-controls'));
   }
 
   /**
@@ -2664,12 +5011,13 @@
       batchProgressPanel.remove();
       batchProgressPanel = null;
     }
+    captureControlState = { paused: false, confirmingStop: false };
   }
 
   /**
    * 显示批量截图结果面板
    */
-  function showBatchResultsPanel(results, format) {
+  function showBatchResultsPanel(results, format, title = '批量截图完成') {
     hideBatchProgressPanel();
     removeBatchResultsPanel();
 
@@ -2773,10 +5121,13 @@
         .batch-template-preview.browser-preview::before { content: ''; position: absolute; top: 0; left: 0; right: 0; height: 6px; background: #ccc; border-radius: 2px 2px 0 0; }
         .batch-template-preview.gradient-preview { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); }
         .batch-template-preview.polaroid-preview { background: #fff; border: 1px solid #ddd; padding: 2px 2px 6px 2px; }
+        .batch-stamp-btn { height: 36px; padding: 0 12px; border: 2px solid #ddd; border-radius: 6px; background: #f5f5f5; color: #191919; font-size: 12px; cursor: pointer; transition: all 0.15s; }
+        .batch-stamp-btn:hover { border-color: #aaa; }
+        .batch-stamp-btn.active { border-color: #07C160; background: #E8F8EE; color: #07C160; }
       </style>
       <div style="padding: 16px 20px; border-bottom: 1px solid #EBEBEB; display: flex; justify-content: space-between; align-items: center;">
         <div>
-          <span style="font-size: 16px; font-weight: 500; color: #191919;">批量截图完成</span>
+          <span style="font-size: 16px; font-weight: 500; color: #191919;">${title}</span>
           <span style="font-size: 13px; color: #888888; margin-left: 12px;">成功 ${successCount} 个${failCount > 0 ? `，失败 ${failCount} 个` : ''}</span>
         </div>
         <button id="batch-close-btn" style="background: transparent; border: none; width: 28px; height: 28px; border-radius: 50%; cursor: pointer; color: #888888; font-size: 20px; display: flex; align-items: center; justify-content: center;">×</button>
@@ -2808,9 +5159,40 @@
             <div class="batch-template-preview polaroid-preview"></div>
           </button>
         </div>
+        <button id="batch-stamp-btn" class="batch-stamp-btn" title="${getBatchMessage('batchStampTooltip', '在图片上加上网址、标题和截图时间')}">${getBatchMessage('batchStamp', '来源信息')}</button>
         <span id="batch-beautify-status" style="font-size: 12px; color: #888; margin-left: auto;"></span>
       </div>
+      <div style="padding: 12px 20px; border-bottom: 1px solid #EBEBEB; display: flex; align-items: center; gap: 8px;">
+        <span style="font-size: 13px; color: #666; white-space: nowrap; margin-right: 4px;">${getBatchMessage('contactSheetLabel', '总览图:')}</span>
+        <select id="batch-sheet-columns" title="${getBatchMessage('contactSheetColumns', '每行数量')}" style="padding: 4px 8px; border: 1px solid #E5E5E5; border-radius: 4px; font-size: 13px;">
+          <option value="2">2 ${getBatchMessage('contactSheetColumnsUnit', '列')}</option>
+          <option value="3" selected>3 ${getBatchMessage('contactSheetColumnsUnit', '列')}</option>
+          <option value="4">4 ${getBatchMessage('contactSheetColumnsUnit', '列')}</option>
+          <option value="5">5 ${getBatchMessage('contactSheetColumnsUnit', '列')}</option>
+        </select>
+        <select id="batch-sheet-scale" title="${getBatchMessage('contactSheetScale', '缩放')}" style="padding: 4px 8px; border: 1px solid #E5E5E5; border-radius: 4px; font-size: 13px;">
+          <option value="0.2">20%</option>
+          <option value="0.3" selected>30%</option>
+          <option value="0.5">50%</option>
+        </select>
+        <button id="batch-sheet-btn" style="margin-left: auto; padding: 5px 14px; background: white; color: #191919; border: 1px solid #E5E5E5; border-radius: 4px; cursor: pointer; font-size: 13px;">${getBatchMessage('contactSheetCreate', '生成总览图')}</button>
+      </div>
       <div style="padding: 14px 20px; display: flex; gap: 10px; justify-content: flex-end;">
+        <button id="batch-download-zip-btn" style="
+          padding: 8px 20px;
+          background: white;
+          color: #191919;
+          border: 1px solid #E5E5E5;
+          border-radius: 4px;
+          cursor: pointer;
+          font-size: 14px;
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        ">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 8v13H3V8M1 3h22v5H1zM10 12h4"/></svg>
+          ${getBatchMessage('batchDownloadZip', '打包下载 ZIP')}
+        </button>
         <button id="batch-download-all-btn" style="
           padding: 8px 20px;
           background: #07C160;
@@ -2834,6 +5216,9 @@
     // 绑定事件
     document.getElementById('batch-close-btn').addEventListener('click', removeBatchResultsPanel);
     document.getElementById('batch-download-all-btn').addEventListener('click', downloadAllBatchResults);
+    document.getElementById('batch-download-zip-btn').addEventListener('click', downloadBatchZip);
+    document.getElementById('batch-sheet-btn').addEventListener('click', openContactSheet);
+    document.getElementById('batch-stamp-btn').addEventListener('click', toggleBatchStamp);
 
     // 美化模板按钮事件
     batchResultsPanel.querySelectorAll('.batch-template-btn').forEach(btn => {
@@ -2862,10 +5247,32 @@
     });
 
     document.addEventListener('keydown', onBatchResultsKeyDown);
+    loadBatchStampSettings();
+  }
+
+  /**
+   * 读取来源信息栏设置，设置中开启时默认加上
+   */
+  async function loadBatchStampSettings() {
+    const { captureStamp, stampNote } = await chrome.storage.sync.get(['captureStamp', 'stampNote']).catch(() => ({}));
+    batchStampOptions = { position: captureStamp === 'header' ? 'header' : 'footer', note: stampNote || '' };
+    if ((captureStamp === 'header' || captureStamp === 'footer') && batchResultsPanel && !batchStampEnabled) {
+      await toggleBatchStamp();
+    }
+  }
+
+  /**
+   * 切换来源信息栏
+   */
+  async function toggleBatchStamp() {
+    batchStampEnabled = !batchStampEnabled;
+    const btn = document.getElementById('batch-stamp-btn');
+    if (btn) btn.classList.toggle('active', batchStampEnabled);
+    await applyBatchBeautify(batchCurrentTemplate);
   }
 
   /**
-   * 批量应用美化模板
+   * 批量应用美化模板和来源信息栏，均基于原图重新生成
    */
   async function applyBatchBeautify(template) {
     const statusEl = document.getElementById('batch-beautify-status');
@@ -2880,7 +5287,7 @@
 
     batchCurrentTemplate = template;
 
-    if (template === 'none') {
+    if (template === 'none' && !batchStampEnabled) {
       // 恢复原始图片
       batchResultsData.forEach(r => {
         if (r.success && r.originalDataUrl) {
@@ -2902,7 +5309,17 @@
       const result = batchResultsData[i];
       if (result.success && result.originalDataUrl) {
         try {
-          result.dataUrl = await applyTemplateToImage(result.originalDataUrl, template);
+          let dataUrl = result.originalDataUrl;
+          if (template !== 'none') dataUrl = await applyTemplateToImage(dataUrl, template);
+          if (batchStampEnabled) {
+            dataUrl = await applyStampToImage(dataUrl, {
+              ...batchStampOptions,
+              title: result.title,
+              url: result.url,
+              capturedAt: result.capturedAt
+            });
+          }
+          result.dataUrl = dataUrl;
           processed++;
           if (statusEl) statusEl.textContent = `处理中 ${processed}/${total}...`;
         } catch (e) {
@@ -2990,6 +5407,7 @@
     }
     batchResultsData = [];
     batchCurrentTemplate = 'none';
+    batchStampEnabled = false;
     document.removeEventListener('keydown', onBatchResultsKeyDown);
   }
 
@@ -3073,18 +5491,18 @@
     let downloadCount = 0;
     for (const result of batchResultsData) {
       if (result.success && result.dataUrl) {
-        const safeTitle = (result.title || 'screenshot')
-          .replace(/[<>:"/\\|?*]/g, '_')
-          .substring(0, 50);
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
-        const filename = `${safeTitle}_${timestamp}.${batchFormat}`;
-        
+        // 文件名由 background 按模板生成，标题和地址取各截图对应的标签页
         try {
           await chrome.runtime.sendMessage({
             action: 'download',
             dataUrl: result.dataUrl,
-            filename: filename,
-            format: batchFormat
+            format: batchFormat,
+            context: {
+              title: result.title,
+              url: result.url,
+              mode: result.mode || 'batch',
+              capturedAt: result.capturedAt
+            }
           });
           downloadCount++;
           // 添加小延迟避免下载过快
@@ -3106,4 +5524,217 @@
     showToast(`已下载 ${downloadCount} 张截图`);
   }
 
+  function getBatchMessage(key, fallback) {
+    return (window.i18n && window.i18n.getMessage(key)) || fallback;
+  }
+
+  /**
+   * 在 canvas 单边和总面积限制内，指定行列数的总览图可用的最大缩略图宽度
+   * @param {number} cols
+   * @param {number} rows
+   * @returns {number}
+   */
+  function getContactSheetMaxTileWidth(cols, rows) {
+    const { MAX_CANVAS_DIMENSION, MAX_CANVAS_AREA } = window.imageFormats;
+    // 画布宽 = fixedWidth + cols * w，高 = fixedHeight + rows * ratio * w（每行多留 1 像素给缩略图高度取整）
+    const fixedWidth = CONTACT_SHEET_PADDING * 2 + (cols - 1) * CONTACT_SHEET_GAP;
+    const fixedHeight = CONTACT_SHEET_PADDING * 2 + (rows - 1) * CONTACT_SHEET_GAP + rows * CONTACT_SHEET_CAPTION_HEIGHT + rows;
+    const heightPerWidth = rows * CONTACT_SHEET_THUMB_RATIO;
+    const byWidth = (MAX_CANVAS_DIMENSION - fixedWidth) / cols;
+    const byHeight = (MAX_CANVAS_DIMENSION - fixedHeight) / heightPerWidth;
+    // 面积限制：(fixedWidth + cols·w)(fixedHeight + heightPerWidth·w) <= MAX_CANVAS_AREA，取二次方程的正根
+    const a = cols * heightPerWidth;
+    const b = fixedWidth * heightPerWidth + fixedHeight * cols;
+    const c = fixedWidth * fixedHeight - MAX_CANVAS_AREA;
+    const byArea = (-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+    return Math.floor(Math.min(byWidth, byHeight, byArea));
+  }
+
+  /**
+   * 生成总览图：按网格排列各标签页缩略图，每张下方标注标题和地址
+   * @param {Array} results - 批量结果
+   * @param {object} options - {columns, scale}，scale 为相对截图宽度的缩放比例
+   * @returns {Promise<string>} PNG dataUrl
+   */
+  async function createContactSheet(results, { columns, scale }) {
+    const widths = results.map(r => r.dimensions && r.dimensions.width).filter(Boolean);
+    const preferredWidth = Math.max(CONTACT_SHEET_MIN_TILE_WIDTH, Math.round((widths.length ? Math.max(...widths) : window.innerWidth) * scale));
+    // 总览图超出 canvas 尺寸限制时缩小缩略图；缩到最小宽度仍放不下时增加每行数量
+    let cols = Math.min(columns, results.length);
+    let rows = Math.ceil(results.length / cols);
+    let tileWidth = Math.min(preferredWidth, getContactSheetMaxTileWidth(cols, rows));
+    while (tileWidth < CONTACT_SHEET_MIN_TILE_WIDTH && cols < results.length) {
+      cols++;
+      rows = Math.ceil(results.length / cols);
+      tileWidth = Math.min(preferredWidth, getContactSheetMaxTileWidth(cols, rows));
+    }
+    if (tileWidth < 1) throw new Error('CONTACT_SHEET_TOO_LARGE');
+    const thumbHeight = Math.round(tileWidth * CONTACT_SHEET_THUMB_RATIO);
+    const tileHeight = thumbHeight + CONTACT_SHEET_CAPTION_HEIGHT;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = CONTACT_SHEET_PADDING * 2 + cols * tileWidth + (cols - 1) * CONTACT_SHEET_GAP;
+    canvas.height = CONTACT_SHEET_PADDING * 2 + rows * tileHeight + (rows - 1) * CONTACT_SHEET_GAP;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#F5F5F5';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // 逐张解码绘制，避免同时持有所有大图
+    for (let i = 0; i < results.length; i++) {
+      const result = results[i];
+      const x = CONTACT_SHEET_PADDING + (i % cols) * (tileWidth + CONTACT_SHEET_GAP);
+      const y = CONTACT_SHEET_PADDING + Math.floor(i / cols) * (tileHeight + CONTACT_SHEET_GAP);
+
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillRect(x, y, tileWidth, tileHeight);
+      if (result.success && result.dataUrl) {
+        const img = new Image();
+        img.src = result.dataUrl;
+        await img.decode();
+        // 按宽度缩放，超出缩略图高度的部分裁掉（只保留顶部）
+        const sourceHeight = Math.min(img.naturalHeight, Math.round(img.naturalWidth * CONTACT_SHEET_THUMB_RATIO));
+        const drawHeight = Math.round(sourceHeight * tileWidth / img.naturalWidth);
+        ctx.drawImage(img, 0, 0, img.naturalWidth, sourceHeight, x, y, tileWidth, drawHeight);
+      } else {
+        ctx.fillStyle = '#FEF0F0';
+        ctx.fillRect(x, y, tileWidth, thumbHeight);
+        ctx.fillStyle = '#FA5151';
+        ctx.font = `13px ${EDITOR_FONT_FAMILY}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(getBatchMessage('contactSheetFailed', '截图失败'), x + tileWidth / 2, y + thumbHeight / 2);
+        ctx.textAlign = 'left';
+      }
+      ctx.strokeStyle = '#E5E5E5';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x + 0.5, y + 0.5, tileWidth - 1, tileHeight - 1);
+
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = '#191919';
+      ctx.font = `500 13px ${EDITOR_FONT_FAMILY}`;
+      ctx.fillText(fitCanvasText(ctx, result.title || '', tileWidth - 16), x + 8, y + thumbHeight + 7);
+      ctx.fillStyle = '#888888';
+      ctx.font = `11px ${EDITOR_FONT_FAMILY}`;
+      ctx.fillText(fitCanvasText(ctx, result.url || '', tileWidth - 16), x + 8, y + thumbHeight + 26);
+    }
+
+    return canvas.toDataURL('image/png');
+  }
+
+  /**
+   * 生成总览图并在编辑器中打开，之后可像普通截图一样保存、复制或导出 PDF
+   */
+  async function openContactSheet() {
+    if (batchResultsData.length === 0) return;
+    const btn = document.getElementById('batch-sheet-btn');
+    const columns = parseInt(document.getElementById('batch-sheet-columns').value, 10);
+    const scale = parseFloat(document.getElementById('batch-sheet-scale').value);
+    btn.disabled = true;
+
+    try {
+      const dataUrl = await createContactSheet(batchResultsData, { columns, scale });
+      // 编辑器打开期间隐藏结果面板，关闭编辑器后恢复
+      const backdrop = document.getElementById('scroll-capture-batch-backdrop');
+      batchResultsPanel.style.display = 'none';
+      if (backdrop) backdrop.style.display = 'none';
+      document.removeEventListener('keydown', onBatchResultsKeyDown);
+      await openImageEditor(dataUrl, null, {
+        mode: 'contactSheet',
+        onClose: () => {
+          if (!batchResultsPanel) return;
+          batchResultsPanel.style.display = 'flex';
+          if (backdrop) backdrop.style.display = '';
+          document.addEventListener('keydown', onBatchResultsKeyDown);
+        }
+      });
+    } catch (err) {
+      console.error('[ScrollCapture] Contact sheet failed:', err);
+      showToast(getBatchMessage('contactSheetFailedToCreate', '生成总览图失败'), 'info');
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  // 每个分块 8 MiB，base64 后仍远低于扩展消息的大小上限
+  const BLOB_CHUNK_SIZE = 8 * 1024 * 1024;
+
+  /**
+   * 将 blob 分块发给 background 下载
+   * 压缩包可能超过扩展消息的大小上限，由 offscreen document 拼成 blob URL 后再下载
+   * @param {Blob} blob
+   * @param {string} extension - 扩展名
+   * @param {object} context - 文件名模板变量
+   */
+  async function sendBlobForDownload(blob, extension, context) {
+    const start = await chrome.runtime.sendMessage({ action: 'blobDownloadStart', type: blob.type });
+    if (!start?.success) throw new Error(start?.error || 'BLOB_DOWNLOAD_FAILED');
+
+    for (let offset = 0; offset < blob.size; offset += BLOB_CHUNK_SIZE) {
+      const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob.slice(offset, offset + BLOB_CHUNK_SIZE));
+      });
+      const chunk = await chrome.runtime.sendMessage({
+        action: 'blobDownloadChunk',
+        id: start.id,
+        data: dataUrl.slice(dataUrl.indexOf(',') + 1)
+      });
+      if (!chunk?.success) throw new Error(chunk?.error || 'BLOB_DOWNLOAD_FAILED');
+    }
+
+    const result = await chrome.runtime.sendMessage({ action: 'blobDownloadFinish', id: start.id, extension, context });
+    if (!result?.success) throw new Error(result?.error || 'BLOB_DOWNLOAD_FAILED');
+  }
+
+  /**
+   * 将批量结果打包为一个 ZIP 下载
+   * 压缩包内包含所有截图，以及记录标题、地址、截图时间、尺寸和错误的 manifest.json / manifest.csv
+   */
+  async function downloadBatchZip() {
+    const btn = document.getElementById('batch-download-zip-btn');
+    if (!window.zipWriter) {
+      showToast(getBatchMessage('batchZipUnavailable', '请刷新页面后重试'), 'info');
+      return;
+    }
+    const originalHtml = btn.innerHTML;
+    btn.disabled = true;
+    btn.textContent = getBatchMessage('batchZipPacking', '打包中...');
+
+    try {
+      // 压缩包内的文件名同样使用文件名模板，{counter} 为在本批中的序号
+      const { filenameTemplate } = await chrome.storage.sync.get(['filenameTemplate']);
+      const template = filenameTemplate || window.settings.DEFAULT_SETTINGS.filenameTemplate;
+      const getName = (result, index) => {
+        if (!window.filenameTemplate) return `screenshot_${index + 1}`;
+        return window.filenameTemplate.renderFilenameTemplate(template, {
+          title: result.title,
+          url: result.url,
+          mode: result.mode || 'batch',
+          width: result.dimensions && result.dimensions.width,
+          height: result.dimensions && result.dimensions.height,
+          counter: index + 1,
+          date: result.capturedAt ? new Date(result.capturedAt) : undefined
+        });
+      };
+      // 扩展名以实际编码格式为准（所选格式不支持时会回退）
+      const getExtension = (result) => {
+        if (!window.imageFormats) return batchFormat;
+        return window.imageFormats.getFileExtension(window.imageFormats.getFormatFromDataUrl(result.dataUrl) || batchFormat);
+      };
+
+      const blob = window.zipWriter.createBatchZip(batchResultsData, getName, getExtension);
+      // 与其他保存方式一样交给 chrome.downloads，以使用下载子文件夹、网站规则和“总是询问保存位置”
+      await sendBlobForDownload(blob, 'zip', { mode: 'batch' });
+      showToast(getBatchMessage('batchZipDone', '已打包下载'));
+    } catch (err) {
+      console.error('[ScrollCapture] Batch ZIP failed:', err);
+      showToast(getBatchMessage('batchZipFailed', '打包下载失败'), 'info');
+    } finally {
+      btn.disabled = false;
+      btn.innerHTML = originalHtml;
+    }
+  }
+
 })();
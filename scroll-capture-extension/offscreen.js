@@ -1,18 +1,84 @@
-// Offscreen document for clipboard operations
-// Service Worker 无法直接访问 navigator.clipboard，需要通过此文件执行
+// Offscreen document for clipboard operations and blob downloads
+// Service Worker 无法直接访问 navigator.clipboard，也不能创建 blob URL，需要通过此文件执行
+
+// 分块接收中的文件：id -> { parts, type }
+const pendingBlobs = new Map();
+// 已生成的 blob URL，下载结束后由 background 通知释放
+const blobUrls = new Map();
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.target !== 'offscreen' || message.action !== 'offscreenCopy') {
+  if (message.target !== 'offscreen') {
     return false;
   }
 
-  handleClipboardCopy(message.dataUrl)
-    .then((result) => sendResponse(result))
-    .catch((error) => sendResponse({ success: false, error: error.message }));
+  switch (message.action) {
+    case 'offscreenCopy':
+      handleClipboardCopy(message.dataUrl)
+        .then((result) => sendResponse(result))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // 保持消息通道开放
+
+    case 'offscreenBlobStart': {
+      const id = crypto.randomUUID();
+      pendingBlobs.set(id, { parts: [], type: message.type || 'application/octet-stream' });
+      sendResponse({ success: true, id });
+      return false;
+    }
+
+    case 'offscreenBlobChunk': {
+      const pending = pendingBlobs.get(message.id);
+      if (!pending) {
+        sendResponse({ success: false, error: 'BLOB_NOT_FOUND' });
+        return false;
+      }
+      pending.parts.push(base64ToBytes(message.data));
+      sendResponse({ success: true });
+      return false;
+    }
 
-  return true; // 保持消息通道开放
+    case 'offscreenBlobFinish': {
+      const pending = pendingBlobs.get(message.id);
+      if (!pending) {
+        sendResponse({ success: false, error: 'BLOB_NOT_FOUND' });
+        return false;
+      }
+      pendingBlobs.delete(message.id);
+      const url = URL.createObjectURL(new Blob(pending.parts, { type: pending.type }));
+      blobUrls.set(message.id, url);
+      sendResponse({ success: true, url });
+      return false;
+    }
+
+    case 'offscreenBlobRelease': {
+      pendingBlobs.delete(message.id);
+      const url = blobUrls.get(message.id);
+      if (url) {
+        URL.revokeObjectURL(url);
+        blobUrls.delete(message.id);
+      }
+      sendResponse({ success: true });
+      return false;
+    }
+
+    default:
+      return false;
+  }
 });
 
+/**
+ * base64 字符串转为字节数组
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
 /**
  * 执行剪贴板复制操作
  * 使用 canvas + document.execCommand 方式，避免焦点问题
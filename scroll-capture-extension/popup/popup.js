@@ -9,7 +9,16 @@ const state = {
   previewDataUrl: null,
   previewDimensions: null,
   selectedFormat: 'png',
-  jpegQuality: 92,
+  // 各有损格式的质量（1-100），分别保存
+  formatQuality: { jpeg: 92, webp: 85, avif: 60 },
+  // 截图是否已暂停
+  capturePaused: false,
+  // 当前网站域名，用于按网站保存 fixed/sticky 元素规则
+  fixedPolicyDomain: null,
+  // 文件名模板预览使用的当前标签页信息和下一个序号
+  filenamePreviewContext: null,
+  // 当前网站域名，用于按网站保存下载子文件夹
+  downloadFolderDomain: null,
   // 批量截图状态
   batchTabs: [],
   batchSelectedIds: new Set(),
@@ -31,8 +40,15 @@ const elements = {
   
   // Capture buttons
   btnFullPage: document.getElementById('btn-full-page'),
+  btnWidePage: document.getElementById('btn-wide-page'),
   btnVisible: document.getElementById('btn-visible'),
   btnSelection: document.getElementById('btn-selection'),
+  btnFromHere: document.getElementById('btn-from-here'),
+  btnToHere: document.getElementById('btn-to-here'),
+  btnToElement: document.getElementById('btn-to-element'),
+  btnContainer: document.getElementById('btn-container'),
+  btnElement: document.getElementById('btn-element'),
+  btnOpenFile: document.getElementById('btn-open-file'),
   btnBatch: document.getElementById('btn-batch'),
   btnSettings: document.getElementById('btn-settings'),
   
@@ -58,13 +74,38 @@ const elements = {
   settingLanguage: document.getElementById('setting-language'),
   settingFormat: document.getElementById('setting-format'),
   settingQuality: document.getElementById('setting-quality'),
+  settingPdfPageSize: document.getElementById('setting-pdf-page-size'),
+  settingPdfOrientation: document.getElementById('setting-pdf-orientation'),
+  settingPdfMargin: document.getElementById('setting-pdf-margin'),
+  settingPdfTextLayer: document.getElementById('setting-pdf-text-layer'),
   qualityValue: document.getElementById('quality-value'),
   qualitySetting: document.getElementById('quality-setting'),
+  qualityLabel: document.getElementById('quality-label'),
+  settingOversizeMode: document.getElementById('setting-oversize-mode'),
+  settingCaptureOverlap: document.getElementById('setting-capture-overlap'),
+  settingLazyWarmup: document.getElementById('setting-lazy-warmup'),
+  settingCaptureMaxHeight: document.getElementById('setting-capture-max-height'),
+  settingFilenameTemplate: document.getElementById('setting-filename-template'),
+  filenameTokens: document.getElementById('filename-tokens'),
+  filenamePreview: document.getElementById('filename-preview'),
+  settingDownloadFolder: document.getElementById('setting-download-folder'),
+  settingDownloadFolderSite: document.getElementById('setting-download-folder-site'),
+  downloadFolderSiteName: document.getElementById('download-folder-site-name'),
+  settingDownloadSaveAs: document.getElementById('setting-download-save-as'),
+  settingEmbedMetadata: document.getElementById('setting-embed-metadata'),
+  settingCaptureStamp: document.getElementById('setting-capture-stamp'),
+  settingStampNote: document.getElementById('setting-stamp-note'),
+  fixedPolicySelects: document.querySelectorAll('#fixed-policy-list select'),
+  settingFixedPolicySite: document.getElementById('setting-fixed-policy-site'),
+  fixedPolicySiteName: document.getElementById('fixed-policy-site-name'),
   
   // Shortcut elements
   shortcutFullPage: document.getElementById('shortcut-full-page'),
   shortcutVisible: document.getElementById('shortcut-visible'),
   shortcutSelection: document.getElementById('shortcut-selection'),
+  shortcutFromHere: document.getElementById('shortcut-from-here'),
+  shortcutToHere: document.getElementById('shortcut-to-here'),
+  shortcutToElement: document.getElementById('shortcut-to-element'),
   btnEditShortcuts: document.getElementById('btn-edit-shortcuts'),
   
   // Guide elements
@@ -74,6 +115,13 @@ const elements = {
   // Progress elements
   progressFill: document.getElementById('progress-fill'),
   progressText: document.getElementById('progress-text'),
+  progressControls: document.getElementById('progress-controls'),
+  progressStopConfirm: document.getElementById('progress-stop-confirm'),
+  btnCapturePause: document.getElementById('btn-capture-pause'),
+  btnCaptureStop: document.getElementById('btn-capture-stop'),
+  btnCaptureKeep: document.getElementById('btn-capture-keep'),
+  btnCaptureDiscard: document.getElementById('btn-capture-discard'),
+  btnCaptureResume: document.getElementById('btn-capture-resume'),
   
   // Error elements
   errorMessage: document.getElementById('error-message')
@@ -105,8 +153,15 @@ async function init() {
 function bindEvents() {
   // Capture buttons
   elements.btnFullPage.addEventListener('click', () => startCapture('full'));
+  elements.btnWidePage.addEventListener('click', () => startCapture('wide'));
   elements.btnVisible.addEventListener('click', () => startCapture('visible'));
   elements.btnSelection.addEventListener('click', () => startCapture('selection'));
+  elements.btnFromHere.addEventListener('click', () => startCapture('fromHere'));
+  elements.btnToHere.addEventListener('click', () => startCapture('toHere'));
+  elements.btnToElement.addEventListener('click', () => startCapture('toElement'));
+  elements.btnContainer.addEventListener('click', () => startCapture('container'));
+  elements.btnElement.addEventListener('click', () => startCapture('element'));
+  elements.btnOpenFile.addEventListener('click', () => startCapture('openFile'));
   elements.btnBatch.addEventListener('click', showBatchPanel);
   elements.btnSettings.addEventListener('click', showSettingsPanel);
   
@@ -127,8 +182,34 @@ function bindEvents() {
   elements.settingLanguage.addEventListener('change', onLanguageChange);
   elements.settingFormat.addEventListener('change', onSettingFormatChange);
   elements.settingQuality.addEventListener('input', onQualityChange);
+  elements.settingPdfPageSize.addEventListener('change', onPdfSettingChange);
+  elements.settingPdfOrientation.addEventListener('change', onPdfSettingChange);
+  elements.settingPdfMargin.addEventListener('change', onPdfSettingChange);
+  elements.settingPdfTextLayer.addEventListener('change', onPdfSettingChange);
+  elements.settingOversizeMode.addEventListener('change', onOversizeModeChange);
+  elements.settingCaptureOverlap.addEventListener('change', onCaptureOverlapChange);
+  elements.settingLazyWarmup.addEventListener('change', onLazyWarmupChange);
+  elements.settingCaptureMaxHeight.addEventListener('change', onCaptureMaxHeightChange);
+  elements.settingFilenameTemplate.addEventListener('input', updateFilenamePreview);
+  elements.settingFilenameTemplate.addEventListener('change', onFilenameTemplateChange);
+  elements.settingDownloadFolder.addEventListener('input', updateFilenamePreview);
+  elements.settingDownloadFolder.addEventListener('change', onDownloadFolderChange);
+  elements.settingDownloadFolderSite.addEventListener('change', onDownloadFolderSiteChange);
+  elements.settingDownloadSaveAs.addEventListener('change', onDownloadSaveAsChange);
+  elements.settingEmbedMetadata.addEventListener('change', onEmbedMetadataChange);
+  elements.settingCaptureStamp.addEventListener('change', onCaptureStampChange);
+  elements.settingStampNote.addEventListener('change', onStampNoteChange);
+  elements.fixedPolicySelects.forEach(select => select.addEventListener('change', onFixedPolicyChange));
+  elements.settingFixedPolicySite.addEventListener('change', onFixedPolicySiteChange);
   elements.btnEditShortcuts.addEventListener('click', openShortcutsSettings);
   
+  // Capture controls (pause / stop)
+  elements.btnCapturePause.addEventListener('click', onCapturePauseClick);
+  elements.btnCaptureStop.addEventListener('click', onCaptureStopClick);
+  elements.btnCaptureKeep.addEventListener('click', () => stopCapture(true));
+  elements.btnCaptureDiscard.addEventListener('click', () => stopCapture(false));
+  elements.btnCaptureResume.addEventListener('click', onCaptureResumeClick);
+  
   // Guide actions
   elements.btnGuideClose.addEventListener('click', closeGuide);
 }
@@ -165,7 +246,7 @@ function applyI18n() {
  */
 async function loadSettings() {
   try {
-    const settings = await chrome.storage.sync.get(['defaultFormat', 'jpegQuality', 'language']);
+    const settings = await chrome.storage.sync.get(['defaultFormat', 'jpegQuality', 'webpQuality', 'avifQuality', 'language', 'pdfPageSize', 'pdfOrientation', 'pdfMargin', 'pdfTextLayer', 'oversizeMode', 'captureOverlap', 'lazyLoadWarmup', 'captureMaxHeight', 'filenameTemplate', 'downloadFolder', 'downloadFolderRules', 'downloadSaveAs', 'embedMetadata', 'captureStamp', 'stampNote', 'fixedElementPolicy', 'fixedElementRules']);
     
     // 加载语言设置，默认中文
     const language = settings.language || 'zh_CN';
@@ -175,13 +256,28 @@ async function loadSettings() {
       state.selectedFormat = settings.defaultFormat;
       elements.formatSelect.value = settings.defaultFormat;
       elements.settingFormat.value = settings.defaultFormat;
-      updateQualityVisibility(settings.defaultFormat);
     }
-    if (settings.jpegQuality) {
-      state.jpegQuality = settings.jpegQuality;
-      elements.settingQuality.value = settings.jpegQuality;
-      elements.qualityValue.textContent = `${settings.jpegQuality}%`;
+    for (const format of Object.keys(state.formatQuality)) {
+      const quality = settings[window.imageFormats.getImageFormat(format).qualityKey];
+      if (quality) state.formatQuality[format] = quality;
     }
+    updateQualityVisibility(state.selectedFormat);
+    markUnsupportedFormats();
+    const pdfOptions = window.pdfWriter.getPdfExportOptions(settings);
+    elements.settingPdfPageSize.value = pdfOptions.pageSize;
+    elements.settingPdfOrientation.value = pdfOptions.orientation;
+    elements.settingPdfMargin.value = String(pdfOptions.margin);
+    elements.settingPdfTextLayer.value = settings.pdfTextLayer ? 'on' : 'off';
+    elements.settingOversizeMode.value = settings.oversizeMode || 'split';
+    elements.settingCaptureOverlap.value = String(settings.captureOverlap ?? 100);
+    elements.settingLazyWarmup.value = settings.lazyLoadWarmup || 'off';
+    elements.settingCaptureMaxHeight.value = String(settings.captureMaxHeight || 0);
+    elements.settingDownloadSaveAs.value = settings.downloadSaveAs ? 'on' : 'off';
+    elements.settingEmbedMetadata.value = settings.embedMetadata === false ? 'off' : 'on';
+    elements.settingCaptureStamp.value = settings.captureStamp || 'off';
+    elements.settingStampNote.value = settings.stampNote || '';
+    await loadFilenameTemplate(settings);
+    await loadFixedElementPolicy(settings);
   } catch (error) {
     console.error('Failed to load settings:', error);
   }
@@ -194,7 +290,7 @@ async function checkLastCapture() {
   try {
     const data = await chrome.storage.local.get(['lastCapture']);
     if (data.lastCapture) {
-      const { dataUrl, dimensions, timestamp } = data.lastCapture;
+      const { dataUrl, dimensions, mode, timestamp } = data.lastCapture;
       // Only show if captured within last 5 seconds
       if (Date.now() - timestamp < 5000) {
         // 发送到 content script 打开编辑器
@@ -203,7 +299,8 @@ async function checkLastCapture() {
           await chrome.tabs.sendMessage(tab.id, {
             action: 'showPreview',
             dataUrl: dataUrl,
-            dimensions: dimensions
+            dimensions: dimensions,
+            mode: mode
           });
         }
         // Clear the stored capture
@@ -257,7 +354,7 @@ async function closeGuide() {
 
 /**
  * Start capture process
- * @param {string} mode - 'full' | 'visible' | 'selection'
+ * @param {string} mode - 'full' | 'wide' | 'fromHere' | 'toHere' | 'visible' | 'selection' | 'container' | 'element' | 'toElement' | 'openFile'
  */
 async function startCapture(mode) {
   if (state.isCapturing) return;
@@ -266,23 +363,39 @@ async function startCapture(mode) {
   setButtonsDisabled(true);
   
   try {
-    if (mode === 'selection') {
-      // Selection mode: close popup and let content script handle it
-      await chrome.runtime.sendMessage({ action: 'startSelection' });
+    const pickActions = {
+      selection: 'startSelection',
+      container: 'startContainerPick',
+      element: 'startElementPick',
+      toElement: 'startEndElementPick',
+      openFile: 'startFileOpen'
+    };
+    if (pickActions[mode]) {
+      // Selection / container / element picking: close popup and let content script handle it
+      const result = await chrome.runtime.sendMessage({ action: pickActions[mode] });
+      if (result && !result.success) {
+        showError(getErrorMessage(result.error));
+        return;
+      }
       window.close();
       return;
     }
     
     // Show progress for full page capture
-    if (mode === 'full') {
+    const isFullPage = ['full', 'wide', 'fromHere', 'toHere'].includes(mode);
+    if (isFullPage) {
       showProgress(0);
     }
     
-    const action = mode === 'full' ? 'captureFullPage' : 'captureVisible';
+    const action = isFullPage ? 'captureFullPage' : 'captureVisible';
     const result = await chrome.runtime.sendMessage({
       action,
       format: state.selectedFormat,
-      quality: state.jpegQuality
+      quality: getSelectedQuality(),
+      // 宽页截图同时横向滚动，按网格拼接
+      horizontal: mode === 'wide',
+      // 从当前位置截到底部，或从顶部截到当前位置
+      range: mode === 'fromHere' || mode === 'toHere' ? mode : undefined
     });
 
     hideProgress();
@@ -291,10 +404,17 @@ async function startCapture(mode) {
       // 发送截图结果到 content script，在页面内打开编辑器
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (tab) {
+        // output 为 parts/tiled 时，页面上会展示拆分结果或平铺提示
         await chrome.tabs.sendMessage(tab.id, {
           action: 'showPreview',
           dataUrl: result.dataUrl,
-          dimensions: result.dimensions
+          dimensions: result.dimensions,
+          mode: mode,
+          output: result.output,
+          parts: result.parts,
+          format: result.format,
+          partial: result.partial,
+          textLayer: result.textLayer
         });
       }
       // 关闭 popup
@@ -463,17 +583,268 @@ function onSettingFormatChange() {
   // Sync with preview panel
   elements.formatSelect.value = state.selectedFormat;
   updateQualityVisibility(state.selectedFormat);
+  updateFilenamePreview();
 }
 
 /**
- * Handle JPEG quality change
+ * Handle quality change for the selected lossy format
  */
 function onQualityChange() {
   const quality = parseInt(elements.settingQuality.value, 10);
-  state.jpegQuality = quality;
+  const { qualityKey } = window.imageFormats.getImageFormat(state.selectedFormat);
+  if (!qualityKey) return;
+  state.formatQuality[state.selectedFormat] = quality;
   elements.qualityValue.textContent = `${quality}%`;
   // Save preference
-  chrome.storage.sync.set({ jpegQuality: quality });
+  chrome.storage.sync.set({ [qualityKey]: quality });
+}
+
+/**
+ * Get the quality for the selected format
+ * @returns {number}
+ */
+function getSelectedQuality() {
+  return state.formatQuality[state.selectedFormat] || 92;
+}
+
+/**
+ * Handle PDF page size, orientation, margin or text layer change
+ */
+function onPdfSettingChange() {
+  chrome.storage.sync.set({
+    pdfPageSize: elements.settingPdfPageSize.value,
+    pdfOrientation: elements.settingPdfOrientation.value,
+    pdfMargin: parseInt(elements.settingPdfMargin.value, 10),
+    pdfTextLayer: elements.settingPdfTextLayer.value === 'on'
+  });
+}
+
+/**
+ * Handle oversize page handling change
+ */
+function onOversizeModeChange() {
+  chrome.storage.sync.set({ oversizeMode: elements.settingOversizeMode.value });
+}
+
+/**
+ * Handle capture overlap change
+ */
+function onCaptureOverlapChange() {
+  chrome.storage.sync.set({ captureOverlap: parseInt(elements.settingCaptureOverlap.value, 10) });
+}
+
+/**
+ * Handle lazy-load warm-up change
+ */
+function onLazyWarmupChange() {
+  chrome.storage.sync.set({ lazyLoadWarmup: elements.settingLazyWarmup.value });
+}
+
+/**
+ * Handle max capture height change
+ */
+function onCaptureMaxHeightChange() {
+  chrome.storage.sync.set({ captureMaxHeight: parseInt(elements.settingCaptureMaxHeight.value, 10) });
+}
+
+/**
+ * Load the filename template, download folder and the context used for the live preview
+ * @param {object} settings - Stored settings
+ */
+async function loadFilenameTemplate(settings) {
+  elements.settingFilenameTemplate.value = settings.filenameTemplate || window.settings.DEFAULT_SETTINGS.filenameTemplate;
+  elements.filenameTokens.textContent = window.filenameTemplate.FILENAME_TOKENS.join(' ');
+
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  loadDownloadFolder(settings, tab ? window.settings.getDomainKey(tab.url) : null);
+  const { filenameCounter = 0 } = await chrome.storage.local.get(['filenameCounter']);
+  state.filenamePreviewContext = {
+    title: tab ? tab.title : 'Example Domain',
+    url: tab ? tab.url : 'https://example.com/',
+    mode: 'full',
+    width: 1920,
+    height: 1080,
+    counter: filenameCounter + 1
+  };
+  updateFilenamePreview();
+}
+
+/**
+ * Render the filename template preview as the user types
+ */
+function updateFilenamePreview() {
+  const template = elements.settingFilenameTemplate.value.trim() || window.settings.DEFAULT_SETTINGS.filenameTemplate;
+  const extension = window.imageFormats.getFileExtension(state.selectedFormat);
+  const folder = elements.settingDownloadFolder.value;
+  elements.filenamePreview.textContent = window.filenameTemplate.buildFilename(template, state.filenamePreviewContext || {}, extension, folder);
+}
+
+/**
+ * Handle filename template change; an empty template restores the default
+ */
+function onFilenameTemplateChange() {
+  const template = elements.settingFilenameTemplate.value.trim() || window.settings.DEFAULT_SETTINGS.filenameTemplate;
+  elements.settingFilenameTemplate.value = template;
+  updateFilenamePreview();
+  chrome.storage.sync.set({ filenameTemplate: template });
+}
+
+/**
+ * Load the download folder, preferring the rule saved for the current site
+ * @param {object} settings - Stored settings
+ * @param {string|null} domain - Current site's domain key
+ */
+function loadDownloadFolder(settings, domain) {
+  state.downloadFolderDomain = domain;
+  const rules = settings.downloadFolderRules || {};
+  const hasSiteRule = !!domain && domain in rules;
+  elements.settingDownloadFolderSite.checked = hasSiteRule;
+  elements.settingDownloadFolderSite.disabled = !domain;
+  elements.downloadFolderSiteName.textContent = domain || '';
+  elements.settingDownloadFolder.value = hasSiteRule ? rules[domain] : (settings.downloadFolder || '');
+}
+
+/**
+ * Handle download folder change
+ * Saved as the current site's rule when "current site only" is checked, otherwise as the global folder
+ */
+async function onDownloadFolderChange() {
+  const folder = elements.settingDownloadFolder.value.trim();
+  const domain = state.downloadFolderDomain;
+  elements.settingDownloadFolder.value = folder;
+
+  if (domain && elements.settingDownloadFolderSite.checked) {
+    const { downloadFolderRules = {} } = await chrome.storage.sync.get(['downloadFolderRules']);
+    downloadFolderRules[domain] = folder;
+    await chrome.storage.sync.set({ downloadFolderRules });
+  } else {
+    await chrome.storage.sync.set({ downloadFolder: folder });
+  }
+}
+
+/**
+ * Handle "current site only" toggle for the download folder
+ * Checking it saves the current folder for this site; unchecking removes the site rule
+ */
+async function onDownloadFolderSiteChange() {
+  const domain = state.downloadFolderDomain;
+  if (!domain) return;
+
+  const settings = await chrome.storage.sync.get(['downloadFolder', 'downloadFolderRules']);
+  const downloadFolderRules = settings.downloadFolderRules || {};
+
+  if (elements.settingDownloadFolderSite.checked) {
+    downloadFolderRules[domain] = elements.settingDownloadFolder.value.trim();
+  } else {
+    delete downloadFolderRules[domain];
+  }
+  await chrome.storage.sync.set({ downloadFolderRules });
+  loadDownloadFolder({ ...settings, downloadFolderRules }, domain);
+  updateFilenamePreview();
+}
+
+/**
+ * Handle "always ask where to save" change
+ */
+function onDownloadSaveAsChange() {
+  chrome.storage.sync.set({ downloadSaveAs: elements.settingDownloadSaveAs.value === 'on' });
+}
+
+/**
+ * Handle "embed source metadata" change
+ */
+function onEmbedMetadataChange() {
+  chrome.storage.sync.set({ embedMetadata: elements.settingEmbedMetadata.value === 'on' });
+}
+
+/**
+ * Handle source stamp position change
+ */
+function onCaptureStampChange() {
+  chrome.storage.sync.set({ captureStamp: elements.settingCaptureStamp.value });
+}
+
+/**
+ * Handle source stamp note change
+ */
+function onStampNoteChange() {
+  const note = elements.settingStampNote.value.trim();
+  elements.settingStampNote.value = note;
+  chrome.storage.sync.set({ stampNote: note });
+}
+
+/**
+ * Load fixed/sticky element policies, preferring the rule saved for the current site
+ * @param {object} settings - Stored settings
+ */
+async function loadFixedElementPolicy(settings) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  state.fixedPolicyDomain = tab ? window.settings.getDomainKey(tab.url) : null;
+
+  const rules = settings.fixedElementRules || {};
+  const siteRule = state.fixedPolicyDomain ? rules[state.fixedPolicyDomain] : null;
+  elements.settingFixedPolicySite.checked = !!siteRule;
+  elements.settingFixedPolicySite.disabled = !state.fixedPolicyDomain;
+  elements.fixedPolicySiteName.textContent = state.fixedPolicyDomain || '';
+
+  const policy = {
+    ...window.settings.DEFAULT_SETTINGS.fixedElementPolicy,
+    ...settings.fixedElementPolicy,
+    ...siteRule
+  };
+  elements.fixedPolicySelects.forEach(select => {
+    select.value = policy[select.dataset.category];
+  });
+}
+
+/**
+ * Read the fixed/sticky element policies from the selects
+ * @returns {object} Policy per category
+ */
+function getFixedPolicyFromSelects() {
+  const policy = {};
+  elements.fixedPolicySelects.forEach(select => {
+    policy[select.dataset.category] = select.value;
+  });
+  return policy;
+}
+
+/**
+ * Handle fixed/sticky element policy change
+ * Saved as the current site's rule when "current site only" is checked, otherwise as the global policy
+ */
+async function onFixedPolicyChange() {
+  const policy = getFixedPolicyFromSelects();
+  const domain = state.fixedPolicyDomain;
+
+  if (domain && elements.settingFixedPolicySite.checked) {
+    const { fixedElementRules = {} } = await chrome.storage.sync.get(['fixedElementRules']);
+    // 保留该网站规则中的选择器规则
+    fixedElementRules[domain] = { ...fixedElementRules[domain], ...policy };
+    await chrome.storage.sync.set({ fixedElementRules });
+  } else {
+    await chrome.storage.sync.set({ fixedElementPolicy: policy });
+  }
+}
+
+/**
+ * Handle "current site only" toggle for fixed/sticky element policies
+ * Checking it saves the current policies for this site; unchecking removes the site rule
+ */
+async function onFixedPolicySiteChange() {
+  const domain = state.fixedPolicyDomain;
+  if (!domain) return;
+
+  const settings = await chrome.storage.sync.get(['fixedElementPolicy', 'fixedElementRules']);
+  const fixedElementRules = settings.fixedElementRules || {};
+
+  if (elements.settingFixedPolicySite.checked) {
+    fixedElementRules[domain] = getFixedPolicyFromSelects();
+  } else {
+    delete fixedElementRules[domain];
+  }
+  await chrome.storage.sync.set({ fixedElementRules });
+  await loadFixedElementPolicy({ ...settings, fixedElementRules });
 }
 
 /**
@@ -485,6 +856,7 @@ async function onLanguageChange() {
     await window.i18n.setLanguage(language);
     // 立即应用新语言
     applyI18n();
+    updateQualityVisibility(state.selectedFormat);
   } else {
     chrome.storage.sync.set({ language });
   }
@@ -492,11 +864,34 @@ async function onLanguageChange() {
 
 /**
  * Update quality setting visibility based on format
+ * Lossy formats share one slider, which shows the selected format's own value
  * @param {string} format - Selected format
  */
 function updateQualityVisibility(format) {
-  if (elements.qualitySetting) {
-    elements.qualitySetting.style.display = format === 'jpeg' ? 'flex' : 'none';
+  if (!elements.qualitySetting) return;
+  const { lossy } = window.imageFormats.getImageFormat(format);
+  elements.qualitySetting.style.display = lossy ? 'flex' : 'none';
+  if (!lossy) return;
+
+  const quality = state.formatQuality[format];
+  elements.qualityLabel.textContent = getMessage('settingQuality', `${format.toUpperCase()} 质量`)
+    .replace('$FORMAT$', format.toUpperCase());
+  elements.settingQuality.value = quality;
+  elements.qualityValue.textContent = `${quality}%`;
+}
+
+/**
+ * Mark formats the browser cannot encode, captures fall back to the next format
+ */
+async function markUnsupportedFormats() {
+  const { isEncoderSupported, resolveOutputFormat } = window.imageFormats;
+  for (const select of [elements.formatSelect, elements.settingFormat]) {
+    for (const option of select.options) {
+      if (await isEncoderSupported(option.value)) continue;
+      const fallback = (await resolveOutputFormat(option.value)).toUpperCase();
+      const hint = getMessage('formatFallbackHint', `（不支持，将使用 ${fallback}）`).replace('$FORMAT$', fallback);
+      option.textContent = `${option.textContent} ${hint}`;
+    }
   }
 }
 
@@ -509,7 +904,10 @@ async function loadShortcuts() {
     const shortcutMap = {
       'capture-full-page': elements.shortcutFullPage,
       'capture-visible': elements.shortcutVisible,
-      'capture-selection': elements.shortcutSelection
+      'capture-selection': elements.shortcutSelection,
+      'capture-from-here': elements.shortcutFromHere,
+      'capture-to-here': elements.shortcutToHere,
+      'capture-to-element': elements.shortcutToElement
     };
     
     for (const command of commands) {
@@ -549,6 +947,65 @@ function showProgress(percent) {
   elements.progressFill.style.width = `${percent}%`;
   elements.progressText.textContent = `${percent}%`;
   elements.progressOverlay.classList.remove('hidden');
+  resetCaptureControls();
+}
+
+/**
+ * Reset pause / stop controls to their initial state
+ */
+function resetCaptureControls() {
+  state.capturePaused = false;
+  elements.btnCapturePause.textContent = getMessage('capturePause', '暂停');
+  elements.progressControls.classList.remove('hidden');
+  elements.progressStopConfirm.classList.add('hidden');
+}
+
+/**
+ * Send a pause / resume / cancel command for the capture running in the active tab
+ * @param {string} command - 'pause' | 'resume' | 'cancel'
+ * @param {boolean} keepPartial - Keep the frames captured so far when cancelling
+ */
+async function sendCaptureControl(command, keepPartial = false) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+  await chrome.runtime.sendMessage({ action: 'controlCapture', tabId: tab.id, command, keepPartial });
+}
+
+/**
+ * Toggle pause / resume
+ */
+async function onCapturePauseClick() {
+  state.capturePaused = !state.capturePaused;
+  elements.btnCapturePause.textContent = state.capturePaused
+    ? getMessage('captureResume', '继续')
+    : getMessage('capturePause', '暂停');
+  await sendCaptureControl(state.capturePaused ? 'pause' : 'resume');
+}
+
+/**
+ * Pause the capture and ask whether to keep the frames captured so far
+ */
+async function onCaptureStopClick() {
+  elements.progressControls.classList.add('hidden');
+  elements.progressStopConfirm.classList.remove('hidden');
+  await sendCaptureControl('pause');
+}
+
+/**
+ * Continue capturing after the stop prompt
+ */
+async function onCaptureResumeClick() {
+  resetCaptureControls();
+  await sendCaptureControl('resume');
+}
+
+/**
+ * Stop the capture
+ * @param {boolean} keepPartial - Keep the frames captured so far as a partial image
+ */
+async function stopCapture(keepPartial) {
+  elements.progressStopConfirm.classList.add('hidden');
+  await sendCaptureControl('cancel', keepPartial);
 }
 
 /**
@@ -596,8 +1053,15 @@ function showToast(message, type = 'error') {
  */
 function setButtonsDisabled(disabled) {
   elements.btnFullPage.disabled = disabled;
+  elements.btnWidePage.disabled = disabled;
   elements.btnVisible.disabled = disabled;
   elements.btnSelection.disabled = disabled;
+  elements.btnFromHere.disabled = disabled;
+  elements.btnToHere.disabled = disabled;
+  elements.btnToElement.disabled = disabled;
+  elements.btnContainer.disabled = disabled;
+  elements.btnElement.disabled = disabled;
+  elements.btnOpenFile.disabled = disabled;
 }
 
 /**
@@ -625,7 +1089,8 @@ function getErrorMessage(errorCode) {
     'RESTRICTED_PAGE': getMessage('errorRestricted', '此页面不支持截图'),
     'NO_ACTIVE_TAB': getMessage('errorNoTab', '无法获取当前标签页'),
     'CANNOT_GET_SCROLL_INFO': getMessage('errorScrollInfo', '无法获取页面信息'),
-    'UNKNOWN_ACTION': getMessage('errorUnknown', '未知操作')
+    'UNKNOWN_ACTION': getMessage('errorUnknown', '未知操作'),
+    'CAPTURE_CANCELLED': getMessage('captureCancelled', '截图已取消')
   };
   
   return errorMessages[errorCode] || errorCode || getMessage('errorGeneric', '截图失败，请重试');
@@ -831,7 +1296,7 @@ async function startBatchCapture(mode) {
       tabIds: selectedTabIds,
       tabInfoMap: tabInfoMap,
       format: state.selectedFormat,
-      quality: state.jpegQuality,
+      quality: getSelectedQuality(),
       originalTabId: originalTabId,
       captureMode: mode, // 'full' 或 'visible'
       timestamp: Date.now()
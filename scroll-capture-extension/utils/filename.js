@@ -0,0 +1,148 @@
+// Filename Template Utilities
+// 文件名模板解析（background 下载时使用，popup 设置中实时预览）
+
+/**
+ * 模板中可用的变量
+ * - {date:FORMAT} 支持 YYYY / YY / MM / DD / HH / mm / ss，省略格式时为 YYYYMMDD_HHmmss
+ * - {counter} 默认补足 3 位，{counter:5} 指定位数
+ */
+const FILENAME_TOKENS = ['{title}', '{domain}', '{url-path}', '{mode}', '{width}x{height}', '{date:YYYY-MM-DD}', '{counter}'];
+
+const FILENAME_DEFAULT_DATE_FORMAT = 'YYYYMMDD_HHmmss';
+const FILENAME_MAX_LENGTH = 180;
+const FILENAME_TITLE_MAX_LENGTH = 80;
+
+/**
+ * 按格式输出日期
+ * @param {Date} date
+ * @param {string} format
+ * @returns {string}
+ */
+function formatTemplateDate(date, format) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+  return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, key => parts[key]);
+}
+
+/**
+ * 去掉文件名中不允许的字符
+ * @param {string} value
+ * @returns {string}
+ */
+function sanitizeFilenamePart(value) {
+  return String(value || '')
+    .replace(/[<>:"/\\|?*\u0000-\u001f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 将页面地址拆为模板用的域名和路径
+ * @param {string} url
+ * @returns {{domain: string, path: string}}
+ */
+function getUrlParts(url) {
+  try {
+    const parsed = new URL(url);
+    const path = decodeURIComponent(parsed.pathname).replace(/^\/+|\/+$/g, '').replace(/\//g, '_');
+    return { domain: parsed.hostname.replace(/^www\./, ''), path };
+  } catch (e) {
+    return { domain: '', path: '' };
+  }
+}
+
+/**
+ * 模板是否用到某个变量，用于避免不必要的计数和图片解码
+ * @param {string} template
+ * @param {string} name - 变量名，如 'counter'
+ * @returns {boolean}
+ */
+function templateUsesToken(template, name) {
+  return new RegExp(`\\{${name}(:[^}]*)?\\}`).test(template || '');
+}
+
+/**
+ * 替换模板变量并清理非法字符，结果可能为空
+ * @param {string} template
+ * @param {Object} context - {title, url, mode, width, height, counter, date}
+ * @returns {string}
+ */
+function renderTemplateSegment(template, context) {
+  const { domain, path } = getUrlParts(context.url);
+  const date = context.date || new Date();
+  const values = {
+    title: sanitizeFilenamePart(context.title).substring(0, FILENAME_TITLE_MAX_LENGTH),
+    domain,
+    'url-path': path,
+    mode: context.mode || '',
+    width: context.width ? String(Math.round(context.width)) : '',
+    height: context.height ? String(Math.round(context.height)) : ''
+  };
+
+  const name = String(template || '').replace(/\{([\w-]+)(?::([^}]*))?\}/g, (match, key, arg) => {
+    if (key === 'date') return formatTemplateDate(date, arg || FILENAME_DEFAULT_DATE_FORMAT);
+    if (key === 'counter') return String(context.counter || 1).padStart(Number(arg) || 3, '0');
+    return key in values ? sanitizeFilenamePart(values[key]) : match;
+  });
+
+  // 以点或空格结尾的文件名在 Windows 上无效
+  return sanitizeFilenamePart(name).substring(0, FILENAME_MAX_LENGTH).replace(/^[\s.]+|[\s.]+$/g, '');
+}
+
+/**
+ * 按模板生成文件名（不含扩展名）
+ * @param {string} template - 如 '{domain}_{date:YYYY-MM-DD}_{counter}'
+ * @param {Object} context - {title, url, mode, width, height, counter, date}
+ * @returns {string}
+ */
+function renderFilenameTemplate(template, context = {}) {
+  return renderTemplateSegment(template, context) || 'screenshot';
+}
+
+/**
+ * 按模板生成下载目录下的子文件夹路径，每一级分别替换变量
+ * 空的一级以及 '.' / '..' 会被去掉，结果不会跳出下载目录
+ * @param {string} template - 如 'ScrollSnap/{domain}/{date:YYYY-MM}'
+ * @param {Object} context
+ * @returns {string} 不含首尾斜杠，未设置时为空字符串
+ */
+function renderFolderTemplate(template, context = {}) {
+  return String(template || '')
+    .split(/[/\\]+/)
+    .map(segment => renderTemplateSegment(segment, context))
+    .filter(Boolean)
+    .join('/');
+}
+
+/**
+ * 按模板生成完整文件名
+ * @param {string} template
+ * @param {Object} context
+ * @param {string} extension
+ * @param {string} folderTemplate - 子文件夹模板（可选）
+ * @returns {string} 相对于下载目录的路径
+ */
+function buildFilename(template, context, extension, folderTemplate = '') {
+  const folder = renderFolderTemplate(folderTemplate, context);
+  const name = `${renderFilenameTemplate(template, context)}.${extension}`;
+  return folder ? `${folder}/${name}` : name;
+}
+
+if (typeof window !== 'undefined') {
+  window.filenameTemplate = {
+    FILENAME_TOKENS,
+    formatTemplateDate,
+    templateUsesToken,
+    renderFilenameTemplate,
+    renderFolderTemplate,
+    buildFilename
+  };
+}
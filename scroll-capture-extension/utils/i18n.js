@@ -44,7 +44,74 @@
       editorTemplateGradient: { message: '渐变背景' },
       editorTemplatePolaroid: { message: '拍立得效果' },
       editorCopyTooltip: { message: '复制到剪贴板 (Ctrl+C)' },
-      editorSaveTooltip: { message: '保存到本地 (Ctrl+S)' }
+      editorSaveTooltip: { message: '保存到本地 (Ctrl+S)' },
+      oversizePartsTitle: { message: '超长截图（已拆分）' },
+      oversizeSplitNotice: { message: '页面超出尺寸限制，已拆分为 $COUNT$ 张图片' },
+      oversizeTiledNotice: { message: '页面超出尺寸限制，已分列平铺为一张图片' },
+      containerPickHint: { message: '点击要截取的滚动区域 | ESC 取消' },
+      elementPickHint: { message: '点击截取元素 | ↑↓ 父/子元素 ←→ 兄弟元素 | Enter 截取 | ESC 取消' },
+      capturePause: { message: '暂停' },
+      captureResume: { message: '继续' },
+      captureStop: { message: '停止' },
+      captureKeepPartial: { message: '保留已截取部分' },
+      captureDiscard: { message: '放弃' },
+      captureCancelled: { message: '截图已取消' },
+      capturePartialNotice: { message: '截图已停止，已保留截取的部分' },
+      endElementPickHint: { message: '点击截图的结束元素 | ↑↓ 父/子元素 | Enter 确认 | ESC 取消' },
+      btnSavePdf: { message: 'PDF' },
+      editorSavePdfTooltip: { message: '按页导出为 PDF' },
+      btnSaveSvg: { message: 'SVG' },
+      editorSaveSvgTooltip: { message: '导出为可再次编辑的 SVG' },
+      openFileTitle: { message: '打开文件编辑' },
+      openFileHint: { message: '拖入或选择 SVG / 图片文件' },
+      openFileChoose: { message: '选择文件' },
+      openFileCancel: { message: '取消' },
+      openFileInvalid: { message: '无法打开该文件' },
+      batchDownloadZip: { message: '打包下载 ZIP' },
+      batchZipPacking: { message: '打包中...' },
+      batchZipDone: { message: '已打包下载' },
+      batchZipFailed: { message: '打包下载失败' },
+      batchZipUnavailable: { message: '请刷新页面后重试' },
+      contactSheetLabel: { message: '总览图:' },
+      contactSheetColumns: { message: '每行数量' },
+      contactSheetColumnsUnit: { message: '列' },
+      contactSheetScale: { message: '缩放' },
+      contactSheetCreate: { message: '生成总览图' },
+      contactSheetFailed: { message: '截图失败' },
+      contactSheetFailedToCreate: { message: '生成总览图失败' },
+      editorStamp: { message: '来源信息栏（网址、标题、时间）' },
+      batchStamp: { message: '来源信息' },
+      batchStampTooltip: { message: '在图片上加上网址、标题和截图时间' },
+      editorSelect: { message: '选择（拖动移动，拖动手柄缩放，双击编辑文字）' },
+      editorBringForward: { message: '上移一层 (])' },
+      editorSendBackward: { message: '下移一层 ([)' },
+      editorBringToFront: { message: '置于顶层 (Shift+])' },
+      editorSendToBack: { message: '置于底层 (Shift+[)' },
+      editorDeleteAnnotation: { message: '删除 (Delete)' },
+      editorHistoryTooLarge: { message: '这一步占用内存过大，无法撤销' },
+      editorFontFamily: { message: '字体' },
+      editorFontSize: { message: '字号' },
+      editorFontSans: { message: '无衬线' },
+      editorFontSerif: { message: '衬线' },
+      editorFontMono: { message: '等宽' },
+      editorBold: { message: '粗体 (Ctrl+B)' },
+      editorItalic: { message: '斜体 (Ctrl+I)' },
+      editorTextPlain: { message: '无效果' },
+      editorTextBackground: { message: '文字背景' },
+      editorTextOutline: { message: '文字描边' },
+      editorAlignLeft: { message: '左对齐' },
+      editorAlignCenter: { message: '居中对齐' },
+      editorAlignRight: { message: '右对齐' },
+      editorCallout: { message: '标注框（从要指向的位置拖出，文字自动换行；双击编辑文字）' },
+      editorCalloutBox: { message: '矩形标注框' },
+      editorCalloutBubble: { message: '对话气泡' },
+      editorSpotlight: { message: '聚光灯（框选重点区域，压暗其余部分）' },
+      editorCounter: { message: '步骤编号（点击放置，自动递增；双击编号填写图例说明）' },
+      editorCounterCircle: { message: '圆形编号' },
+      editorCounterSquare: { message: '方形编号' },
+      editorCounterDiamond: { message: '菱形编号' },
+      editorCounterLegend: { message: '导出时附加图例' },
+      editorCounterLabelPlaceholder: { message: '步骤说明' }
     },
     en: {
       extName: { message: 'Scroll Capture' },
@@ -73,7 +140,74 @@
       editorTemplateGradient: { message: 'Gradient Background' },
       editorTemplatePolaroid: { message: 'Polaroid Style' },
       editorCopyTooltip: { message: 'Copy to clipboard (Ctrl+C)' },
-      editorSaveTooltip: { message: 'Save to local (Ctrl+S)' }
+      editorSaveTooltip: { message: 'Save to local (Ctrl+S)' },
+      oversizePartsTitle: { message: 'Long capture (split)' },
+      oversizeSplitNotice: { message: 'Page exceeds the size limit, split into $COUNT$ images' },
+      oversizeTiledNotice: { message: 'Page exceeds the size limit, tiled into columns in one image' },
+      containerPickHint: { message: 'Click the scrolling area to capture | ESC to cancel' },
+      elementPickHint: { message: 'Click to capture element | ↑↓ parent/child ←→ siblings | Enter to capture | ESC to cancel' },
+      capturePause: { message: 'Pause' },
+      captureResume: { message: 'Resume' },
+      captureStop: { message: 'Stop' },
+      captureKeepPartial: { message: 'Keep captured part' },
+      captureDiscard: { message: 'Discard' },
+      captureCancelled: { message: 'Capture cancelled' },
+      capturePartialNotice: { message: 'Capture stopped, the captured part was kept' },
+      endElementPickHint: { message: 'Click the element to stop at | ↑↓ parent/child | Enter to confirm | ESC to cancel' },
+      btnSavePdf: { message: 'PDF' },
+      editorSavePdfTooltip: { message: 'Export as paginated PDF' },
+      btnSaveSvg: { message: 'SVG' },
+      editorSaveSvgTooltip: { message: 'Export as editable SVG' },
+      openFileTitle: { message: 'Open File to Edit' },
+      openFileHint: { message: 'Drop or choose an SVG / image file' },
+      openFileChoose: { message: 'Choose File' },
+      openFileCancel: { message: 'Cancel' },
+      openFileInvalid: { message: 'This file cannot be opened' },
+      batchDownloadZip: { message: 'Download ZIP' },
+      batchZipPacking: { message: 'Packing...' },
+      batchZipDone: { message: 'ZIP download started' },
+      batchZipFailed: { message: 'Failed to create ZIP' },
+      batchZipUnavailable: { message: 'Please reload the page and try again' },
+      contactSheetLabel: { message: 'Overview:' },
+      contactSheetColumns: { message: 'Columns' },
+      contactSheetColumnsUnit: { message: 'cols' },
+      contactSheetScale: { message: 'Scale' },
+      contactSheetCreate: { message: 'Create overview image' },
+      contactSheetFailed: { message: 'Capture failed' },
+      contactSheetFailedToCreate: { message: 'Failed to create overview image' },
+      editorStamp: { message: 'Source stamp (URL, title, time)' },
+      batchStamp: { message: 'Source stamp' },
+      batchStampTooltip: { message: 'Add the URL, title and capture time to each image' },
+      editorSelect: { message: 'Select (drag to move, drag handles to resize, double-click to edit text)' },
+      editorBringForward: { message: 'Bring forward (])' },
+      editorSendBackward: { message: 'Send backward ([)' },
+      editorBringToFront: { message: 'Bring to front (Shift+])' },
+      editorSendToBack: { message: 'Send to back (Shift+[)' },
+      editorDeleteAnnotation: { message: 'Delete (Delete)' },
+      editorHistoryTooLarge: { message: 'This step uses too much memory to be undone' },
+      editorFontFamily: { message: 'Font' },
+      editorFontSize: { message: 'Font size' },
+      editorFontSans: { message: 'Sans-serif' },
+      editorFontSerif: { message: 'Serif' },
+      editorFontMono: { message: 'Monospace' },
+      editorBold: { message: 'Bold (Ctrl+B)' },
+      editorItalic: { message: 'Italic (Ctrl+I)' },
+      editorTextPlain: { message: 'No effect' },
+      editorTextBackground: { message: 'Text background' },
+      editorTextOutline: { message: 'Text outline' },
+      editorAlignLeft: { message: 'Align left' },
+      editorAlignCenter: { message: 'Align center' },
+      editorAlignRight: { message: 'Align right' },
+      editorCallout: { message: 'Callout (drag out from the point to highlight, text wraps automatically; double-click to edit text)' },
+      editorCalloutBox: { message: 'Box callout' },
+      editorCalloutBubble: { message: 'Speech bubble' },
+      editorSpotlight: { message: 'Spotlight (select key areas and dim everything else)' },
+      editorCounter: { message: 'Step number (click to place, auto-increments; double-click a number to add a legend note)' },
+      editorCounterCircle: { message: 'Circle badge' },
+      editorCounterSquare: { message: 'Square badge' },
+      editorCounterDiamond: { message: 'Diamond badge' },
+      editorCounterLegend: { message: 'Add legend on export' },
+      editorCounterLabelPlaceholder: { message: 'Step description' }
     }
   };
 
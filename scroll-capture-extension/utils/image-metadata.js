@@ -0,0 +1,171 @@
+// Image Metadata Utilities
+// 在 PNG（tEXt / iTXt）和 JPEG（XMP）中写入截图来源信息，便于追溯截图对应的页面
+// 依赖 zip-writer.js 中的 crc32
+
+const METADATA_SOFTWARE = 'ScrollSnap';
+const METADATA_MAX_TEXT_LENGTH = 2000;
+const PNG_SIGNATURE = '\x89PNG\r\n\x1a\n';
+// 签名（8 字节）+ IHDR 块（25 字节），元数据块插入在 IHDR 之后
+const PNG_IHDR_END = 33;
+const XMP_NAMESPACE_HEADER = 'http://ns.adobe.com/xap/1.0/\x00';
+const XMP_SCROLLSNAP_NS = 'urn:scrollsnap:capture:1.0';
+
+/**
+ * 整理要写入的元数据，缺失的字段不写
+ * @param {Object} context - {title, url, mode, capturedAt, devicePixelRatio, viewportWidth, viewportHeight}
+ * @returns {Object} 字段名 -> 文本
+ */
+function buildCaptureMetadata(context = {}) {
+  const fields = {
+    title: context.title,
+    url: context.url,
+    mode: context.mode,
+    capturedAt: new Date(context.capturedAt || Date.now()).toISOString(),
+    devicePixelRatio: context.devicePixelRatio ? String(context.devicePixelRatio) : null,
+    viewport: context.viewportWidth && context.viewportHeight
+      ? `${Math.round(context.viewportWidth)}x${Math.round(context.viewportHeight)}`
+      : null
+  };
+  const metadata = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value) metadata[key] = String(value).substring(0, METADATA_MAX_TEXT_LENGTH);
+  }
+  return metadata;
+}
+
+/**
+ * 字符串转 UTF-8 二进制字符串（每个字符一个字节）
+ * @param {string} text
+ * @returns {string}
+ */
+function toUtf8Binary(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return binary;
+}
+
+function toUint32Binary(value) {
+  return String.fromCharCode((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+/**
+ * 生成 PNG 文本块：纯 ASCII 用 tEXt，其他（如中文标题）用 UTF-8 的 iTXt
+ * @param {string} keyword
+ * @param {string} text
+ * @returns {string} 二进制字符串
+ */
+function buildPngTextChunk(keyword, text) {
+  const isAscii = /^[\x20-\x7e]*$/.test(text);
+  const type = isAscii ? 'tEXt' : 'iTXt';
+  // iTXt: 关键字、不压缩、语言标签和翻译关键字留空
+  const data = isAscii
+    ? `${keyword}\x00${text}`
+    : `${keyword}\x00\x00\x00\x00\x00${toUtf8Binary(text)}`;
+  const typeAndData = type + data;
+  const bytes = new Uint8Array(typeAndData.length);
+  for (let i = 0; i < typeAndData.length; i++) {
+    bytes[i] = typeAndData.charCodeAt(i);
+  }
+  return toUint32Binary(data.length) + typeAndData + toUint32Binary(crc32(bytes));
+}
+
+/**
+ * 生成 XMP 数据包
+ * @param {Object} metadata - buildCaptureMetadata 的结果
+ * @returns {string}
+ */
+function buildXmpPacket(metadata) {
+  const escape = (value) => String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  const attrs = [
+    `xmp:CreateDate="${escape(metadata.capturedAt)}"`,
+    `xmp:CreatorTool="${METADATA_SOFTWARE}"`,
+    metadata.mode && `scrollsnap:Mode="${escape(metadata.mode)}"`,
+    metadata.devicePixelRatio && `scrollsnap:DevicePixelRatio="${escape(metadata.devicePixelRatio)}"`,
+    metadata.viewport && `scrollsnap:Viewport="${escape(metadata.viewport)}"`
+  ].filter(Boolean);
+  const title = metadata.title
+    ? `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escape(metadata.title)}</rdf:li></rdf:Alt></dc:title>`
+    : '';
+  const source = metadata.url ? `<dc:source>${escape(metadata.url)}</dc:source>` : '';
+
+  return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/"' +
+    ` xmlns:scrollsnap="${XMP_SCROLLSNAP_NS}" ${attrs.join(' ')}>${title}${source}</rdf:Description>` +
+    '</rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+}
+
+/**
+ * 在 PNG 的 IHDR 之后插入文本块
+ * @param {string} binary - PNG 二进制字符串
+ * @param {Object} metadata
+ * @returns {string|null} 不是有效 PNG 时返回 null
+ */
+function insertPngMetadata(binary, metadata) {
+  if (!binary.startsWith(PNG_SIGNATURE) || binary.substring(12, 16) !== 'IHDR') return null;
+  const keywords = {
+    title: 'Title',
+    url: 'Source URL',
+    mode: 'Capture Mode',
+    capturedAt: 'Creation Time',
+    devicePixelRatio: 'Device Pixel Ratio',
+    viewport: 'Viewport'
+  };
+  let chunks = buildPngTextChunk('Software', METADATA_SOFTWARE);
+  for (const [key, keyword] of Object.entries(keywords)) {
+    if (metadata[key]) chunks += buildPngTextChunk(keyword, metadata[key]);
+  }
+  return binary.substring(0, PNG_IHDR_END) + chunks + binary.substring(PNG_IHDR_END);
+}
+
+/**
+ * 在 JPEG 中插入 XMP（APP1），位于 JFIF（APP0）之后
+ * @param {string} binary - JPEG 二进制字符串
+ * @param {Object} metadata
+ * @returns {string|null} 不是有效 JPEG 时返回 null
+ */
+function insertJpegMetadata(binary, metadata) {
+  if (binary.charCodeAt(0) !== 0xff || binary.charCodeAt(1) !== 0xd8) return null;
+  let offset = 2;
+  if (binary.charCodeAt(2) === 0xff && binary.charCodeAt(3) === 0xe0) {
+    offset = 4 + ((binary.charCodeAt(4) << 8) | binary.charCodeAt(5));
+  }
+  const payload = XMP_NAMESPACE_HEADER + toUtf8Binary(buildXmpPacket(metadata));
+  // 段长度包含长度字段本身，单个段不能超过 65535 字节
+  const length = payload.length + 2;
+  if (length > 0xffff) return null;
+  const segment = '\xff\xe1' + String.fromCharCode(length >> 8, length & 0xff) + payload;
+  return binary.substring(0, offset) + segment + binary.substring(offset);
+}
+
+/**
+ * 将截图来源信息写入图片，仅支持 PNG 和 JPEG，其他格式原样返回
+ * @param {string} dataUrl
+ * @param {Object} context - 见 buildCaptureMetadata
+ * @returns {string} 新的 dataUrl
+ */
+function embedCaptureMetadata(dataUrl, context) {
+  const match = /^data:(image\/(?:png|jpeg));base64,/.exec(dataUrl || '');
+  if (!match) return dataUrl;
+  try {
+    const binary = atob(dataUrl.substring(match[0].length));
+    const metadata = buildCaptureMetadata(context);
+    const result = match[1] === 'image/png'
+      ? insertPngMetadata(binary, metadata)
+      : insertJpegMetadata(binary, metadata);
+    return result ? match[0] + btoa(result) : dataUrl;
+  } catch (e) {
+    console.warn('[ScrollCapture] Embed metadata failed:', e);
+    return dataUrl;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.imageMetadata = {
+    buildCaptureMetadata,
+    embedCaptureMetadata
+  };
+}
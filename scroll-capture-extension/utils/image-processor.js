@@ -1,2 +1,189 @@
 // Image Processing Utilities
-// TODO: Implement in Task 2
+// 输出格式定义、canvas 尺寸限制、编码器探测与回退（background / popup / content 共用）
+
+/**
+ * 支持的输出格式
+ * - qualityKey: 对应设置项中的质量字段
+ * - fallback: 浏览器不支持编码时回退的格式
+ */
+const IMAGE_FORMATS = {
+  png: {
+    mimeType: 'image/png',
+    extension: 'png',
+    lossy: false,
+    qualityKey: null,
+    defaultQuality: 100,
+    fallback: null
+  },
+  jpeg: {
+    mimeType: 'image/jpeg',
+    extension: 'jpeg',
+    lossy: true,
+    qualityKey: 'jpegQuality',
+    defaultQuality: 92,
+    fallback: 'png'
+  },
+  webp: {
+    mimeType: 'image/webp',
+    extension: 'webp',
+    lossy: true,
+    qualityKey: 'webpQuality',
+    defaultQuality: 85,
+    fallback: 'jpeg'
+  },
+  avif: {
+    mimeType: 'image/avif',
+    extension: 'avif',
+    lossy: true,
+    qualityKey: 'avifQuality',
+    defaultQuality: 60,
+    fallback: 'webp'
+  }
+};
+
+// Chrome 对单个 canvas 的尺寸限制：单边最大 32767 像素，总面积最大 16384 × 16384
+const MAX_CANVAS_DIMENSION = 32767;
+const MAX_CANVAS_AREA = 268435456;
+
+const encoderSupportCache = {};
+
+/**
+ * 获取格式定义，未知格式按 PNG 处理
+ * @param {string} format
+ * @returns {Object}
+ */
+function getImageFormat(format) {
+  return IMAGE_FORMATS[format] || IMAGE_FORMATS.png;
+}
+
+/**
+ * @param {string} format
+ * @returns {string}
+ */
+function getMimeType(format) {
+  return getImageFormat(format).mimeType;
+}
+
+/**
+ * @param {string} format
+ * @returns {string}
+ */
+function getFileExtension(format) {
+  return getImageFormat(format).extension;
+}
+
+/**
+ * 从 dataUrl 的 MIME 类型推断格式
+ * @param {string} dataUrl
+ * @returns {string|null} 无法识别时返回 null
+ */
+function getFormatFromDataUrl(dataUrl) {
+  const match = /^data:([^;,]+)/.exec(dataUrl || '');
+  if (!match) return null;
+  return Object.keys(IMAGE_FORMATS).find(key => IMAGE_FORMATS[key].mimeType === match[1]) || null;
+}
+
+/**
+ * 从设置中读取指定格式的质量（1-100）
+ * @param {Object} settings
+ * @param {string} format
+ * @returns {number}
+ */
+function getFormatQuality(settings, format) {
+  const info = getImageFormat(format);
+  if (!info.qualityKey) return info.defaultQuality;
+  const value = settings ? Number(settings[info.qualityKey]) : NaN;
+  return value > 0 ? value : info.defaultQuality;
+}
+
+/**
+ * 检测当前环境能否编码指定格式
+ * convertToBlob / toDataURL 对不支持的类型会静默回退为 PNG，据此判断
+ * @param {string} format
+ * @returns {Promise<boolean>}
+ */
+async function isEncoderSupported(format) {
+  const mimeType = getMimeType(format);
+  if (mimeType === 'image/png') return true;
+  if (format in encoderSupportCache) return encoderSupportCache[format];
+
+  let supported = false;
+  try {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      const canvas = new OffscreenCanvas(1, 1);
+      canvas.getContext('2d');
+      const blob = await canvas.convertToBlob({ type: mimeType });
+      supported = blob.type === mimeType;
+    } else if (typeof document !== 'undefined') {
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = 1;
+      supported = canvas.toDataURL(mimeType).startsWith(`data:${mimeType}`);
+    }
+  } catch (e) {
+    supported = false;
+  }
+
+  encoderSupportCache[format] = supported;
+  return supported;
+}
+
+/**
+ * 沿回退链找到当前环境可编码的格式
+ * @param {string} format
+ * @returns {Promise<string>}
+ */
+async function resolveOutputFormat(format) {
+  let current = IMAGE_FORMATS[format] ? format : 'png';
+  while (current !== 'png' && !(await isEncoderSupported(current))) {
+    const next = IMAGE_FORMATS[current].fallback || 'png';
+    console.warn(`[ScrollCapture] ${current} encoder not supported, falling back to ${next}`);
+    current = next;
+  }
+  return current;
+}
+
+/**
+ * 生成 convertToBlob 的编码参数
+ * @param {string} format
+ * @param {number} quality - 1-100
+ * @returns {{type: string, quality?: number}}
+ */
+function getEncodeOptions(format, quality) {
+  const info = getImageFormat(format);
+  const options = { type: info.mimeType };
+  if (info.lossy) {
+    options.quality = (quality || info.defaultQuality) / 100;
+  }
+  return options;
+}
+
+/**
+ * 生成 captureVisibleTab 的参数
+ * captureVisibleTab 只支持 png / jpeg，其他格式以无损 PNG 作为中间帧，拼接后再编码
+ * @param {string} format
+ * @param {number} quality - 1-100
+ * @returns {{format: string, quality?: number}}
+ */
+function getCaptureOptions(format, quality) {
+  if (format === 'jpeg') {
+    return { format: 'jpeg', quality };
+  }
+  return { format: 'png' };
+}
+
+if (typeof window !== 'undefined') {
+  window.imageFormats = {
+    IMAGE_FORMATS,
+    MAX_CANVAS_DIMENSION,
+    MAX_CANVAS_AREA,
+    getImageFormat,
+    getMimeType,
+    getFileExtension,
+    getFormatFromDataUrl,
+    getFormatQuality,
+    isEncoderSupported,
+    resolveOutputFormat,
+    getEncodeOptions,
+    getCaptureOptions
+  };
+}
@@ -0,0 +1,427 @@
+// PDF Writer Utilities
+// 内置的最小 PDF 生成器（JPEG 图片分页、不可见文字层和链接），不依赖网络和第三方库
+
+/**
+ * 页面尺寸（单位 pt，纵向）
+ */
+const PDF_PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792]
+};
+
+const MM_TO_PT = 72 / 25.4;
+
+// 分页时向上寻找空白行的最大范围（占页面高度的比例）
+const PDF_BREAK_SEARCH_RATIO = 0.25;
+// 空白行判定：行内采样像素与首个像素的最大通道差
+const PDF_BLANK_ROW_TOLERANCE = 8;
+
+/**
+ * 最小 PDF 文档写入器
+ * 对象 1 为 Catalog，对象 2 为 Pages，其余按添加顺序编号
+ */
+class PdfWriter {
+  constructor() {
+    this.objects = [null, null];
+    this.pageIds = [];
+    this.imageCount = 0;
+    this.textFont = null;
+  }
+
+  /**
+   * 添加一个间接对象
+   * @param {string} dict - 对象字典
+   * @param {Uint8Array} stream - 流数据（可选）
+   * @returns {number} 对象编号
+   */
+  addObject(dict, stream = null) {
+    this.objects.push({ dict, stream });
+    return this.objects.length;
+  }
+
+  /**
+   * 嵌入 JPEG 图片（DCTDecode，直接写入原始字节）
+   * @param {Uint8Array} bytes
+   * @param {number} width - 像素宽度
+   * @param {number} height - 像素高度
+   * @returns {{id: number, name: string}}
+   */
+  addJpegImage(bytes, width, height) {
+    const name = `Im${++this.imageCount}`;
+    const id = this.addObject(
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${bytes.length} >>`,
+      bytes
+    );
+    return { id, name };
+  }
+
+  /**
+   * 添加文字层字体（Type0 / Identity-H，不嵌入字形）
+   * 字符编码直接使用 UTF-16 码元，ToUnicode 按原值映射，文字不显示但可搜索、可复制
+   * @returns {{id: number, name: string}}
+   */
+  addTextFont() {
+    if (this.textFont) return this.textFont;
+    const descriptorId = this.addObject(
+      '<< /Type /FontDescriptor /FontName /GlyphLessFont /Flags 4 /FontBBox [0 -200 1000 800] /ItalicAngle 0 /Ascent 800 /Descent -200 /CapHeight 700 /StemV 80 >>'
+    );
+    const cidFontId = this.addObject(
+      `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /GlyphLessFont /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor ${descriptorId} 0 R /DW 1000 /CIDToGIDMap /Identity >>`
+    );
+    const cmap = encodePdfText(buildIdentityToUnicodeCMap());
+    const toUnicodeId = this.addObject(`<< /Length ${cmap.length} >>`, cmap);
+    const id = this.addObject(
+      `<< /Type /Font /Subtype /Type0 /BaseFont /GlyphLessFont /Encoding /Identity-H /DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`
+    );
+    this.textFont = { id, name: 'F1' };
+    return this.textFont;
+  }
+
+  /**
+   * 添加一页
+   * @param {number} width - 页面宽度（pt）
+   * @param {number} height - 页面高度（pt）
+   * @param {string} content - 页面内容流
+   * @param {object} resources - {images: Array<{id, name}>, fonts: Array<{id, name}>}
+   * @param {Array<string>} annotations - 注释字典
+   * @returns {number} 页面对象编号
+   */
+  addPage(width, height, content, resources = {}, annotations = []) {
+    const contentBytes = encodePdfText(content);
+    const contentId = this.addObject(`<< /Length ${contentBytes.length} >>`, contentBytes);
+
+    const xObjects = (resources.images || []).map(image => `/${image.name} ${image.id} 0 R`).join(' ');
+    const fonts = (resources.fonts || []).map(font => `/${font.name} ${font.id} 0 R`).join(' ');
+    let resourceDict = '<<';
+    if (xObjects) resourceDict += ` /XObject << ${xObjects} >>`;
+    if (fonts) resourceDict += ` /Font << ${fonts} >>`;
+    resourceDict += ' >>';
+
+    const annots = annotations.length
+      ? ` /Annots [${annotations.map(annot => `${this.addObject(annot)} 0 R`).join(' ')}]`
+      : '';
+
+    const pageId = this.addObject(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatPdfNumber(width)} ${formatPdfNumber(height)}] /Resources ${resourceDict} /Contents ${contentId} 0 R${annots} >>`
+    );
+    this.pageIds.push(pageId);
+    return pageId;
+  }
+
+  /**
+   * 生成 PDF 文件
+   * @param {object} info - 文档信息 {title}
+   * @returns {Blob}
+   */
+  toBlob(info = {}) {
+    this.objects[0] = { dict: '<< /Type /Catalog /Pages 2 0 R >>' };
+    this.objects[1] = {
+      dict: `<< /Type /Pages /Kids [${this.pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pageIds.length} >>`
+    };
+    const infoId = info.title
+      ? this.addObject(`<< /Title ${encodePdfString(info.title)} /Producer (ScrollSnap) >>`)
+      : null;
+
+    const chunks = [];
+    let offset = 0;
+    const push = (chunk) => {
+      const bytes = typeof chunk === 'string' ? encodePdfText(chunk) : chunk;
+      chunks.push(bytes);
+      offset += bytes.length;
+    };
+
+    // 第二行的二进制注释用于提示传输工具按二进制处理
+    push('%PDF-1.4\n');
+    push(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+    const offsets = [];
+    this.objects.forEach((object, index) => {
+      offsets.push(offset);
+      push(`${index + 1} 0 obj\n${object.dict}\n`);
+      if (object.stream) {
+        push('stream\n');
+        push(object.stream);
+        push('\nendstream\n');
+      }
+      push('endobj\n');
+    });
+
+    const xrefOffset = offset;
+    let xref = `xref\n0 ${this.objects.length + 1}\n0000000000 65535 f \n`;
+    for (const objectOffset of offsets) {
+      xref += `${String(objectOffset).padStart(10, '0')} 00000 n \n`;
+    }
+    push(xref);
+    push(`trailer\n<< /Size ${this.objects.length + 1} /Root 1 0 R${infoId ? ` /Info ${infoId} 0 R` : ''} >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+  }
+}
+
+/**
+ * 将只含 ASCII 的 PDF 语法文本转换为字节
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function encodePdfText(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+/**
+ * 生成码元到 Unicode 原值映射的 ToUnicode CMap
+ * bfrange 的起止码只能在最后一个字节不同，按高字节拆成 256 段，每块最多 100 段
+ * @returns {string}
+ */
+function buildIdentityToUnicodeCMap() {
+  const ranges = [];
+  for (let high = 0; high < 256; high++) {
+    const prefix = high.toString(16).padStart(2, '0').toUpperCase();
+    ranges.push(`<${prefix}00> <${prefix}FF> <${prefix}00>`);
+  }
+  let blocks = '';
+  for (let i = 0; i < ranges.length; i += 100) {
+    const block = ranges.slice(i, i + 100);
+    blocks += `${block.length} beginbfrange\n${block.join('\n')}\nendbfrange\n`;
+  }
+  return '/CIDInit /ProcSet findresource begin\n12 dict begin\nbegincmap\n' +
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def\n' +
+    '/CMapName /Adobe-Identity-UCS def\n/CMapType 2 def\n' +
+    '1 begincodespacerange\n<0000> <FFFF>\nendcodespacerange\n' +
+    blocks +
+    'endcmap\nCMapName currentdict /CMap defineresource pop\nend\nend\n';
+}
+
+/**
+ * 将文字编码为 Identity-H 字体使用的十六进制字符串（每个 UTF-16 码元两字节）
+ * @param {string} text
+ * @returns {string}
+ */
+function encodePdfGlyphs(text) {
+  let hex = '';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+  }
+  return `<${hex.toUpperCase()}>`;
+}
+
+/**
+ * 将链接地址编码为 PDF 字符串（非 ASCII 字符按 URL 编码）
+ * @param {string} uri
+ * @returns {string}
+ */
+function encodePdfUri(uri) {
+  const ascii = uri.replace(/[^\x20-\x7e]/g, char => encodeURIComponent(char));
+  return `(${ascii.replace(/[\\()]/g, '\\$&')})`;
+}
+
+/**
+ * 生成一页的不可见文字层和链接注释
+ * @param {object} textLayer - {texts, links}，坐标为图片像素
+ * @param {object} slice - 本页对应的图片区域 {top, height}
+ * @param {object} placement - {x, top, scale} 图片在页面上的位置（pt），top 为页面顶部的 y 坐标
+ * @param {object} font - 文字层字体
+ * @returns {{content: string, annotations: Array<string>}}
+ */
+function buildPageTextLayer(textLayer, slice, placement, font) {
+  const toX = (x) => placement.x + x * placement.scale;
+  const toY = (y) => placement.top - (y - slice.top) * placement.scale;
+  const bottom = slice.top + slice.height;
+
+  // 文字按行的垂直中点归属到页面，渲染模式 3 表示不可见
+  const lines = [];
+  for (const item of textLayer.texts || []) {
+    const center = item.y + item.height / 2;
+    if (center < slice.top || center >= bottom || !item.text) continue;
+    const fontSize = item.height * placement.scale * 0.85;
+    if (fontSize <= 0) continue;
+    // 用水平缩放让文字宽度与页面上的实际宽度一致，选中和搜索高亮才能对齐
+    const scaleX = (item.width * placement.scale) / (item.text.length * fontSize) * 100;
+    const baseline = toY(item.y + item.height * 0.8);
+    lines.push(`/${font.name} ${formatPdfNumber(fontSize)} Tf ${formatPdfNumber(scaleX)} Tz 1 0 0 1 ${formatPdfNumber(toX(item.x))} ${formatPdfNumber(baseline)} Tm ${encodePdfGlyphs(item.text)} Tj`);
+  }
+
+  const annotations = [];
+  for (const link of textLayer.links || []) {
+    const top = Math.max(link.y, slice.top);
+    const linkBottom = Math.min(link.y + link.height, bottom);
+    if (linkBottom <= top) continue;
+    const rect = [toX(link.x), toY(linkBottom), toX(link.x + link.width), toY(top)].map(formatPdfNumber).join(' ');
+    annotations.push(`<< /Type /Annot /Subtype /Link /Rect [${rect}] /Border [0 0 0] /A << /S /URI /URI ${encodePdfUri(link.href)} >> >>`);
+  }
+
+  return {
+    content: lines.length ? `BT 3 Tr\n${lines.join('\n')}\nET` : '',
+    annotations
+  };
+}
+
+/**
+ * 将任意文本编码为 PDF 字符串（UTF-16BE 十六进制）
+ * @param {string} text
+ * @returns {string}
+ */
+function encodePdfString(text) {
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+  }
+  return `<${hex.toUpperCase()}>`;
+}
+
+/**
+ * 格式化 PDF 数值，最多保留两位小数
+ * @param {number} value
+ * @returns {string}
+ */
+function formatPdfNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * 计算页面尺寸
+ * @param {string} pageSize - 'a4' | 'letter'
+ * @param {string} orientation - 'portrait' | 'landscape'
+ * @returns {{width: number, height: number}}
+ */
+function getPdfPageSize(pageSize, orientation) {
+  const [width, height] = PDF_PAGE_SIZES[pageSize] || PDF_PAGE_SIZES.a4;
+  return orientation === 'landscape' ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * 判断画布中某一行是否为空白（纯色）行
+ * @param {Uint8ClampedArray} data - 搜索区域的像素数据
+ * @param {number} width - 区域宽度
+ * @param {number} row - 区域内的行号
+ * @returns {boolean}
+ */
+function isBlankRow(data, width, row) {
+  const start = row * width * 4;
+  const step = Math.max(1, Math.floor(width / 200)) * 4;
+  const r = data[start], g = data[start + 1], b = data[start + 2];
+  for (let i = start + step; i < start + width * 4; i += step) {
+    if (Math.abs(data[i] - r) > PDF_BLANK_ROW_TOLERANCE ||
+        Math.abs(data[i + 1] - g) > PDF_BLANK_ROW_TOLERANCE ||
+        Math.abs(data[i + 2] - b) > PDF_BLANK_ROW_TOLERANCE) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * 计算分页位置，优先在页面底部附近的空白行处分页，避免切断文字和图片
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} pageHeight - 每页可容纳的图片高度（像素）
+ * @returns {Array<{top: number, height: number}>}
+ */
+function findPageBreaks(canvas, pageHeight) {
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const pages = [];
+  const searchRange = Math.floor(pageHeight * PDF_BREAK_SEARCH_RATIO);
+  let top = 0;
+
+  while (top < canvas.height) {
+    let bottom = Math.min(top + pageHeight, canvas.height);
+
+    if (bottom < canvas.height && searchRange > 0) {
+      const searchTop = bottom - searchRange;
+      const { data } = ctx.getImageData(0, searchTop, canvas.width, searchRange);
+      for (let row = searchRange - 1; row >= 0; row--) {
+        if (isBlankRow(data, canvas.width, row)) {
+          bottom = searchTop + row + 1;
+          break;
+        }
+      }
+    }
+
+    pages.push({ top, height: bottom - top });
+    top = bottom;
+  }
+
+  return pages;
+}
+
+/**
+ * 从设置中读取 PDF 导出参数
+ * @param {object} settings - 包含 pdfPageSize / pdfOrientation / pdfMargin / jpegQuality 的设置
+ * @returns {{pageSize: string, orientation: string, margin: number, quality: number}}
+ */
+function getPdfExportOptions(settings = {}) {
+  return {
+    pageSize: settings.pdfPageSize || 'a4',
+    orientation: settings.pdfOrientation || 'portrait',
+    margin: settings.pdfMargin ?? 10,
+    quality: (settings.jpegQuality || 92) / 100
+  };
+}
+
+/**
+ * 将画布导出为分页 PDF
+ * 提供 textLayer 时叠加不可见文字层和链接注释，导出的 PDF 可搜索、可点击
+ * @param {HTMLCanvasElement} canvas - 拼接后的完整截图
+ * @param {object} options - {pageSize, orientation, margin (mm), quality (0-1), title, textLayer}
+ * @returns {Promise<Blob>}
+ */
+async function createPdfFromCanvas(canvas, options = {}) {
+  const page = getPdfPageSize(options.pageSize, options.orientation);
+  const margin = (options.margin || 0) * MM_TO_PT;
+  const contentWidth = page.width - margin * 2;
+  const contentHeight = page.height - margin * 2;
+  // 图片按内容区宽度缩放
+  const scale = contentWidth / canvas.width;
+  const pageHeightPx = Math.max(1, Math.floor(contentHeight / scale));
+
+  const pdf = new PdfWriter();
+  // 文字层坐标按采集时的图片尺寸换算，画布尺寸被编辑改变后不再对应
+  const textLayer = options.textLayer &&
+    options.textLayer.width === canvas.width && options.textLayer.height === canvas.height
+    ? options.textLayer
+    : null;
+  const font = textLayer ? pdf.addTextFont() : null;
+  const slice = document.createElement('canvas');
+  const sliceCtx = slice.getContext('2d');
+
+  for (const { top, height } of findPageBreaks(canvas, pageHeightPx)) {
+    slice.width = canvas.width;
+    slice.height = height;
+    // JPEG 不支持透明，先铺白底
+    sliceCtx.fillStyle = '#ffffff';
+    sliceCtx.fillRect(0, 0, slice.width, slice.height);
+    sliceCtx.drawImage(canvas, 0, top, canvas.width, height, 0, 0, canvas.width, height);
+
+    const blob = await new Promise(resolve => slice.toBlob(resolve, 'image/jpeg', options.quality || 0.92));
+    const image = pdf.addJpegImage(new Uint8Array(await blob.arrayBuffer()), slice.width, slice.height);
+
+    const drawHeight = height * scale;
+    const x = margin;
+    const y = page.height - margin - drawHeight;
+    let content = `q ${formatPdfNumber(contentWidth)} 0 0 ${formatPdfNumber(drawHeight)} ${formatPdfNumber(x)} ${formatPdfNumber(y)} cm /${image.name} Do Q`;
+    let annotations = [];
+    if (textLayer) {
+      const layer = buildPageTextLayer(textLayer, { top, height }, { x, top: page.height - margin, scale }, font);
+      if (layer.content) content += `\n${layer.content}`;
+      annotations = layer.annotations;
+    }
+    pdf.addPage(page.width, page.height, content, { images: [image], fonts: font ? [font] : [] }, annotations);
+  }
+
+  return pdf.toBlob({ title: options.title });
+}
+
+if (typeof window !== 'undefined') {
+  window.pdfWriter = {
+    PDF_PAGE_SIZES,
+    PdfWriter,
+    getPdfPageSize,
+    findPageBreaks,
+    getPdfExportOptions,
+    createPdfFromCanvas,
+    encodePdfString,
+    formatPdfNumber
+  };
+}
@@ -6,10 +6,99 @@
 const DEFAULT_SETTINGS = {
   defaultFormat: 'png',
   jpegQuality: 92,
+  webpQuality: 85,
+  avifQuality: 60,  // 浏览器不支持 AVIF 编码时回退为 WebP
   showGuideOnInstall: true,
-  language: 'zh_CN'  // 默认语言设置为中文
+  language: 'zh_CN',  // 默认语言设置为中文
+  oversizeMode: 'split',  // 超出 canvas 尺寸限制时: 'split' 拆分为多张 | 'tile' 平铺为一张
+  captureOverlap: 100,  // 全页截图相邻两屏的重叠高度（CSS 像素），用于接缝检测，0 表示不重叠
+  lazyLoadWarmup: 'off',  // 全页截图前预滚动触发懒加载: 'off' | 'normal' | 'deep'
+  captureMaxHeight: 0,  // 全页截图的最大高度（CSS 像素），0 表示不限制
+  pdfPageSize: 'a4',  // PDF 导出纸张: 'a4' | 'letter'
+  pdfOrientation: 'portrait',  // PDF 导出方向: 'portrait' | 'landscape'
+  pdfMargin: 10,  // PDF 页边距（毫米）
+  pdfTextLayer: false,  // 全页截图时收集页面文字和链接，导出 PDF 时可搜索、可点击；每次截图都要遍历页面，默认关闭
+  filenameTemplate: 'screenshot_{date:YYYYMMDD_HHmmss}',  // 下载文件名模板，可用变量见 utils/filename.js
+  downloadFolder: '',  // 下载目录下的子文件夹，可使用文件名模板变量，留空保存到下载目录
+  // 按域名保存的子文件夹，覆盖 downloadFolder
+  // 例: { 'github.com': 'Projects/{url-path}' }
+  downloadFolderRules: {},
+  downloadSaveAs: false,  // 每次下载时询问保存位置
+  embedMetadata: true,  // 在 PNG / JPEG 中写入页面地址、标题、截图时间、DPR 和视口尺寸
+  captureStamp: 'off',  // 来源信息栏：'off' | 'header'（顶部） | 'footer'（底部）
+  stampNote: '',  // 来源信息栏中的备注（可选）
+  // 全页截图时各类 fixed/sticky 元素的处理方式: 'hide' | 'first' 仅第一屏 | 'last' 仅最后一屏 | 'always'
+  fixedElementPolicy: {
+    header: 'first',   // 顶部导航栏
+    footer: 'last',    // 底部栏
+    sidebar: 'first',  // 侧边栏
+    sticky: 'first',   // 吸顶元素（表头、分组标题等）
+    other: 'first'     // 其他浮动元素（客服按钮、返回顶部等）
+  },
+  // 按域名保存的 fixed/sticky 处理规则，覆盖 fixedElementPolicy
+  // 例: { 'example.com': { sticky: 'always', selectors: { '.chat-widget': 'hide' } } }
+  fixedElementRules: {}
 };
 
+/**
+ * Get the key used for per-domain rules
+ * @param {string} url - Page URL
+ * @returns {string|null} Hostname without leading "www.", or null for invalid URLs
+ */
+function getDomainKey(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find the per-domain rule keys that apply to a page
+ * Rules saved for a parent domain also apply to its subdomains.
+ * @param {object} rules - Rules keyed by domain
+ * @param {string} url - Page URL
+ * @returns {string[]} Matching keys, least specific first
+ */
+function getMatchingDomainRules(rules, url) {
+  const domain = getDomainKey(url);
+  if (!domain || !rules) return [];
+  return Object.keys(rules)
+    .filter(key => domain === key || domain.endsWith('.' + key))
+    .sort((a, b) => a.length - b.length);
+}
+
+/**
+ * Resolve the fixed/sticky element policy for a page
+ * The most specific matching domain rule wins.
+ * @param {object} settings - User settings
+ * @param {string} url - Page URL
+ * @returns {object} Policy per category, plus optional `selectors` map
+ */
+function resolveFixedElementPolicy(settings, url) {
+  const policy = { ...DEFAULT_SETTINGS.fixedElementPolicy, ...settings.fixedElementPolicy };
+  const rules = settings.fixedElementRules || {};
+  for (const key of getMatchingDomainRules(rules, url)) {
+    const { selectors, ...categories } = rules[key];
+    Object.assign(policy, categories);
+    if (selectors) policy.selectors = { ...policy.selectors, ...selectors };
+  }
+  return policy;
+}
+
+/**
+ * Resolve the download subfolder template for a page
+ * The most specific matching domain rule wins over the global folder.
+ * @param {object} settings - User settings
+ * @param {string} url - Page URL
+ * @returns {string} Folder template, empty for the downloads root
+ */
+function resolveDownloadFolder(settings, url) {
+  const rules = settings.downloadFolderRules || {};
+  const matches = getMatchingDomainRules(rules, url);
+  return matches.length > 0 ? rules[matches[matches.length - 1]] : (settings.downloadFolder || '');
+}
+
 /**
  * Get all user settings
  * @returns {Promise<object>} User settings object
@@ -104,6 +193,9 @@ if (typeof window !== 'undefined') {
     saveSetting,
     saveSettings,
     resetSettings,
-    initializeSettings
+    initializeSettings,
+    getDomainKey,
+    resolveFixedElementPolicy,
+    resolveDownloadFolder
   };
 }
@@ -0,0 +1,209 @@
+// ZIP Writer Utilities
+// 内置的最小 ZIP 打包器（仅存储不压缩，截图本身已压缩），不依赖网络和第三方库
+
+const ZIP_UTF8_FLAG = 0x0800;
+const ZIP_CSV_COLUMNS = ['file', 'title', 'url', 'capturedAt', 'width', 'height', 'error'];
+
+let crc32Table = null;
+
+/**
+ * 计算 CRC-32
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 转换为 ZIP 使用的 DOS 日期和时间
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * 最小 ZIP 写入器
+ * 文件名按 UTF-8 编码，不支持 ZIP64（单个文件和整个压缩包需小于 4GB）
+ */
+class ZipWriter {
+  constructor() {
+    this.entries = [];
+    this.names = new Set();
+  }
+
+  /**
+   * 添加文件，重名时自动追加序号
+   * @param {string} name - 压缩包内路径
+   * @param {Uint8Array|string} data - 文件内容，字符串按 UTF-8 编码
+   * @param {Date} date - 修改时间（可选）
+   * @returns {string} 实际使用的文件名
+   */
+  addFile(name, data, date = new Date()) {
+    const uniqueName = this._getUniqueName(name);
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    this.entries.push({
+      name: new TextEncoder().encode(uniqueName),
+      bytes,
+      crc: crc32(bytes),
+      ...toDosDateTime(date)
+    });
+    return uniqueName;
+  }
+
+  _getUniqueName(name) {
+    let candidate = name;
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    for (let i = 2; this.names.has(candidate.toLowerCase()); i++) {
+      candidate = `${base} (${i})${ext}`;
+    }
+    this.names.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  /**
+   * 生成 ZIP 文件
+   * @returns {Blob}
+   */
+  toBlob() {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of this.entries) {
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, ZIP_UTF8_FLAG, true);
+      local.setUint16(8, 0, true); // 仅存储
+      local.setUint16(10, entry.time, true);
+      local.setUint16(12, entry.date, true);
+      local.setUint32(14, entry.crc, true);
+      local.setUint32(18, entry.bytes.length, true);
+      local.setUint32(22, entry.bytes.length, true);
+      local.setUint16(26, entry.name.length, true);
+      local.setUint16(28, 0, true);
+
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 20, true);
+      header.setUint16(8, ZIP_UTF8_FLAG, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, entry.time, true);
+      header.setUint16(14, entry.date, true);
+      header.setUint32(16, entry.crc, true);
+      header.setUint32(20, entry.bytes.length, true);
+      header.setUint32(24, entry.bytes.length, true);
+      header.setUint16(28, entry.name.length, true);
+      header.setUint32(42, offset, true);
+      central.push(new Uint8Array(header.buffer), entry.name);
+
+      chunks.push(new Uint8Array(local.buffer), entry.name, entry.bytes);
+      offset += 30 + entry.name.length + entry.bytes.length;
+    }
+
+    const centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+  }
+}
+
+/**
+ * dataUrl 转字节
+ * @param {string} dataUrl
+ * @returns {Uint8Array}
+ */
+function dataUrlToBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * 生成 CSV 清单，首行为列名，加 BOM 以便 Excel 识别 UTF-8
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+function buildManifestCsv(rows) {
+  const escape = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [ZIP_CSV_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(ZIP_CSV_COLUMNS.map(column => escape(row[column])).join(','));
+  }
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * 将批量截图结果打包为 ZIP，附带 manifest.json 和 manifest.csv
+ * @param {Array<Object>} results - 批量结果 {title, url, dataUrl, dimensions, capturedAt, success, error}
+ * @param {Function} getName - (result, index) => 不含扩展名的文件名
+ * @param {Function} getExtension - (result) => 扩展名
+ * @returns {Blob}
+ */
+function createBatchZip(results, getName, getExtension) {
+  const zip = new ZipWriter();
+  const rows = results.map((result, index) => {
+    const capturedAt = result.capturedAt ? new Date(result.capturedAt) : null;
+    const row = {
+      file: null,
+      title: result.title || '',
+      url: result.url || '',
+      capturedAt: capturedAt ? capturedAt.toISOString() : null,
+      width: result.dimensions ? result.dimensions.width : null,
+      height: result.dimensions ? result.dimensions.height : null,
+      error: result.success ? null : (result.error || 'CAPTURE_FAILED')
+    };
+    if (result.success && result.dataUrl) {
+      row.file = zip.addFile(`${getName(result, index)}.${getExtension(result)}`, dataUrlToBytes(result.dataUrl), capturedAt || undefined);
+    }
+    return row;
+  });
+
+  zip.addFile('manifest.json', JSON.stringify({ generator: 'ScrollSnap', createdAt: new Date().toISOString(), items: rows }, null, 2));
+  zip.addFile('manifest.csv', buildManifestCsv(rows));
+  return zip.toBlob();
+}
+
+if (typeof window !== 'undefined') {
+  window.zipWriter = {
+    ZipWriter,
+    crc32,
+    dataUrlToBytes,
+    buildManifestCsv,
+    createBatchZip
+  };
+}